@@ -0,0 +1,191 @@
+/**
+ * Conformance test kit for store adapters.
+ * Framework agnostic: each case is an async function that throws on failure.
+ */
+import { CookieJar } from 'tough-cookie';
+import { AdapterCookieStore } from './adapterStore.js';
+
+/**
+ * @typedef {Object} AdapterConformanceCase
+ * @property {string} description - What the case checks
+ * @property {() => Promise<void>} run - Runs the case; rejects on failure
+ */
+
+/**
+ * Builds the conformance cases for an adapter factory.
+ * Every case calls `createAdapter()` to get a fresh, empty adapter.
+ *
+ * @example
+ * for (const { description, run } of adapterConformanceTests(() => createRedisAdapter(client))) {
+ *   test(description, run);
+ * }
+ * @param {() => import('./adapterStore.js').CookieStoreAdapter|Promise<import('./adapterStore.js').CookieStoreAdapter>} createAdapter - Adapter factory
+ * @returns {AdapterConformanceCase[]}
+ */
+export function adapterConformanceTests(createAdapter) {
+	const cases = [];
+	const define = (description, fn) => {
+		cases.push({
+			description: `Adapter ${description}`,
+			run: async () => fn(await createAdapter())
+		});
+	};
+
+	define('returns nothing for a missing key', async (adapter) => {
+		const result = await adapter.get(key('example.com', '/', 'missing'));
+		check(result === null || result === undefined, `get() of a missing key should return null or undefined, got ${JSON.stringify(result)}`);
+	});
+
+	define('returns what was set', async (adapter) => {
+		await adapter.set(key('example.com', '/', 'sid'), sample('example.com', '/', 'sid', 'abc'));
+		const result = await adapter.get(key('example.com', '/', 'sid'));
+		check(result?.value === 'abc', 'get() should return the stored cookie');
+		check(result?.expires === '2100-01-01T00:00:00.000Z', 'get() should keep cookie attributes');
+	});
+
+	define('replaces a cookie with the same key', async (adapter) => {
+		await adapter.set(key('example.com', '/', 'sid'), sample('example.com', '/', 'sid', 'old'));
+		await adapter.set(key('example.com', '/', 'sid'), sample('example.com', '/', 'sid', 'new'));
+		const all = await adapter.list();
+		check(all.length === 1, `set() should replace, found ${all.length} cookies`);
+		check(all[0].value === 'new', 'set() should store the latest value');
+	});
+
+	define('keys cookies by domain, path and name', async (adapter) => {
+		await adapter.set(key('example.com', '/', 'sid'), sample('example.com', '/', 'sid', '1'));
+		await adapter.set(key('example.com', '/api', 'sid'), sample('example.com', '/api', 'sid', '2'));
+		await adapter.set(key('api.example.com', '/', 'sid'), sample('api.example.com', '/', 'sid', '3'));
+		await adapter.set(key('example.com', '/', 'other'), sample('example.com', '/', 'other', '4'));
+		check((await adapter.list()).length === 4, 'Cookies differing by domain, path or name should not collide');
+		check((await adapter.get(key('example.com', '/api', 'sid')))?.value === '2', 'get() should use the full key');
+	});
+
+	define('deletes a cookie and ignores missing keys', async (adapter) => {
+		await adapter.set(key('example.com', '/', 'sid'), sample('example.com', '/', 'sid', 'abc'));
+		await adapter.delete(key('example.com', '/', 'sid'));
+		await adapter.delete(key('example.com', '/', 'never-set'));
+		const result = await adapter.get(key('example.com', '/', 'sid'));
+		check(result === null || result === undefined, 'delete() should remove the cookie');
+	});
+
+	define('lists all cookies without a filter', async (adapter) => {
+		await adapter.set(key('a.com', '/', 'x'), sample('a.com', '/', 'x', '1'));
+		await adapter.set(key('b.com', '/', 'y'), sample('b.com', '/', 'y', '2'));
+		const names = (await adapter.list()).map((cookie) => cookie.key).sort();
+		check(names.join(',') === 'x,y', `list() should return every cookie, got ${names.join(',')}`);
+	});
+
+	define('filters list() by exact domain and path', async (adapter) => {
+		await adapter.set(key('example.com', '/', 'root'), sample('example.com', '/', 'root', '1'));
+		await adapter.set(key('example.com', '/api', 'api'), sample('example.com', '/api', 'api', '2'));
+		await adapter.set(key('www.example.com', '/', 'sub'), sample('www.example.com', '/', 'sub', '3'));
+
+		const byDomain = (await adapter.list({ domain: 'example.com' })).map((cookie) => cookie.key).sort();
+		check(byDomain.join(',') === 'api,root', `list({ domain }) should match the domain exactly, got ${byDomain.join(',')}`);
+
+		const byPath = (await adapter.list({ domain: 'example.com', path: '/api' })).map((cookie) => cookie.key);
+		check(byPath.join(',') === 'api', `list({ domain, path }) should match the path exactly, got ${byPath.join(',')}`);
+	});
+
+	define('keeps partitioned cookies apart by partitionKey', async (adapter) => {
+		const partitioned = { ...key('widget.example', '/', 'w'), partitionKey: 'https://news.example' };
+		await adapter.set(key('widget.example', '/', 'w'), sample('widget.example', '/', 'w', 'plain'));
+		await adapter.set(partitioned, { ...sample('widget.example', '/', 'w', 'partitioned'), partitionKey: 'https://news.example' });
+
+		check((await adapter.list()).length === 2, 'A partitioned cookie should not replace the unpartitioned one of the same key');
+		check((await adapter.get(partitioned))?.value === 'partitioned', 'get() should use the partitionKey');
+		check((await adapter.get(key('widget.example', '/', 'w')))?.value === 'plain', 'get() without a partitionKey should return the unpartitioned cookie');
+
+		const unpartitioned = (await adapter.list({ domain: 'widget.example', partitionKey: null })).map((cookie) => cookie.value);
+		check(unpartitioned.join(',') === 'plain', `list({ partitionKey: null }) should return unpartitioned cookies only, got ${unpartitioned.join(',')}`);
+
+		const inPartition = (await adapter.list({ domain: 'widget.example', partitionKey: 'https://news.example' })).map((cookie) => cookie.value);
+		check(inPartition.join(',') === 'partitioned', `list({ partitionKey }) should return that partition only, got ${inPartition.join(',')}`);
+
+		await adapter.delete(partitioned);
+		check((await adapter.get(key('widget.example', '/', 'w')))?.value === 'plain', 'delete() of a partitioned key should keep the unpartitioned cookie');
+	});
+
+	define('returns copies that do not alias stored data', async (adapter) => {
+		await adapter.set(key('example.com', '/', 'sid'), sample('example.com', '/', 'sid', 'abc'));
+		const first = await adapter.get(key('example.com', '/', 'sid'));
+		first.value = 'mutated';
+		const second = await adapter.get(key('example.com', '/', 'sid'));
+		check(second.value === 'abc', 'Mutating a returned cookie should not change the store');
+	});
+
+	define('backs a CookieJar end to end', async (adapter) => {
+		const jar = new CookieJar(new AdapterCookieStore(adapter));
+		await jar.setCookie('sid=abc; Path=/; HttpOnly', 'https://example.com/login');
+		await jar.setCookie('wide=1; Domain=example.com; Path=/', 'https://example.com/');
+		await jar.setCookie('api=2; Path=/api', 'https://example.com/api/v1');
+		await jar.setCookie('sid=rotated; Path=/; HttpOnly', 'https://example.com/');
+
+		const root = await jar.getCookieString('https://example.com/');
+		check(root === 'sid=rotated; wide=1', `Unexpected cookies for /: "${root}"`);
+
+		const sub = await jar.getCookieString('https://www.example.com/api/v1');
+		check(sub === 'wide=1', `Unexpected cookies for subdomain: "${sub}"`);
+
+		await jar.removeAllCookies();
+		check((await adapter.list()).length === 0, 'removeAllCookies() should empty the adapter');
+	});
+
+	define('stores partitioned cookies with their own domain', async (adapter) => {
+		const store = new AdapterCookieStore(adapter);
+		const partitionJar = new CookieJar(store.partitionStore('https://news.example'));
+		await partitionJar.setCookie('w=1; Path=/; Secure; SameSite=None; Partitioned', 'https://widget.example/');
+
+		const [stored] = await adapter.list();
+		check(stored?.domain === 'widget.example', `The cookie domain should stay canonical, got ${JSON.stringify(stored?.domain)}`);
+		check(stored?.partitionKey === 'https://news.example', 'The cookie should carry its partitionKey');
+		check((await new CookieJar(store).getCookieString('https://widget.example/')) === '', 'The unpartitioned jar should not read partitioned cookies');
+		check((await partitionJar.getCookieString('https://widget.example/')) === 'w=1', 'The partition jar should read its cookies');
+	});
+
+	return cases;
+}
+
+/**
+ * Runs every conformance case and reports the results.
+ * @param {Function} createAdapter - Adapter factory
+ * @returns {Promise<{ passed: number, failed: number, results: Array<{ description: string, error?: Error }> }>}
+ */
+export async function runAdapterConformance(createAdapter) {
+	const results = [];
+
+	for (const { description, run } of adapterConformanceTests(createAdapter)) {
+		try {
+			await run();
+			results.push({ description });
+		} catch (error) {
+			results.push({ description, error });
+		}
+	}
+
+	const failed = results.filter((result) => result.error).length;
+
+	return { passed: results.length - failed, failed, results };
+}
+
+function key(domain, path, name) {
+	return { domain, path, name };
+}
+
+function sample(domain, path, name, value) {
+	return {
+		key: name,
+		value,
+		domain,
+		path,
+		expires: '2100-01-01T00:00:00.000Z',
+		hostOnly: true,
+		creation: new Date().toISOString()
+	};
+}
+
+function check(condition, message) {
+	if (!condition) {
+		throw new Error(message);
+	}
+}
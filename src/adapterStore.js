@@ -0,0 +1,249 @@
+/**
+ * Async store adapters.
+ * Wraps a small get/set/delete/list contract into a tough-cookie Store, so jars can be
+ * backed by Redis, DynamoDB and friends without implementing the whole Store class.
+ */
+import { Cookie, Store, pathMatch, permuteDomain } from 'tough-cookie';
+import { CookieJarError } from './errors.js';
+
+/**
+ * @typedef {Object} CookieAdapterKey
+ * @property {string} domain - Canonical cookie domain (no leading dot)
+ * @property {string} path - Cookie path
+ * @property {string} name - Cookie name
+ * @property {string} [partitionKey] - Partition key of a partitioned (CHIPS) cookie; absent for other cookies
+ */
+
+/**
+ * @typedef {Object} CookieAdapterFilter
+ * @property {string} [domain] - Only cookies with exactly this domain
+ * @property {string} [path] - Only cookies with exactly this path
+ * @property {string|null} [partitionKey] - Only cookies of this partition; `null` for unpartitioned cookies only
+ */
+
+/**
+ * @typedef {Object} CookieStoreAdapter
+ * @property {(key: CookieAdapterKey) => Promise<Object|null|undefined>} get - Returns the serialized cookie, if any.
+ * @property {(key: CookieAdapterKey, cookie: Object) => Promise<void>} set - Inserts or replaces a serialized cookie.
+ * @property {(key: CookieAdapterKey) => Promise<void>} delete - Removes a cookie; missing keys are ignored.
+ * @property {(filter?: CookieAdapterFilter) => Promise<Object[]>} list - Returns serialized cookies matching the filter (all when omitted).
+ */
+
+const ADAPTER_METHODS = ['get', 'set', 'delete', 'list'];
+
+/**
+ * tough-cookie Store backed by a {@link CookieStoreAdapter}.
+ * Cookies cross the adapter boundary as plain JSON objects (`cookie.toJSON()`).
+ *
+ * Partitioned (CHIPS) cookies, from `partitionStore(key)`, share the adapter: their keys and
+ * JSON carry a `partitionKey` next to the cookie's own domain, and the store's own reads
+ * filter them out with `partitionKey: null`.
+ */
+export class AdapterCookieStore extends Store {
+
+	/**
+	 * @param {CookieStoreAdapter} adapter - Storage adapter
+	 */
+	constructor(adapter) {
+		super();
+
+		const missing = ADAPTER_METHODS.filter((method) => typeof adapter?.[method] !== 'function');
+		if (missing.length > 0) {
+			throw new CookieJarError(`Store adapter is missing: ${missing.join(', ')}`, 'INVALID_OPTIONS');
+		}
+
+		this.adapter = adapter;
+		this.synchronous = false;
+		this._partitionKey = null;
+		this._partitions = new Map();
+	}
+
+	/**
+	 * Returns the store of a partition's cookies, kept in the same adapter.
+	 * @param {string} partitionKey - Partition key (scheme and registrable domain of the top-level site)
+	 * @returns {AdapterCookieStore}
+	 */
+	partitionStore(partitionKey) {
+		if (!this._partitions.has(partitionKey)) {
+			const store = new AdapterCookieStore(this.adapter);
+			store._partitionKey = partitionKey;
+			this._partitions.set(partitionKey, store);
+		}
+
+		return this._partitions.get(partitionKey);
+	}
+
+	/**
+	 * Lists the partition keys the adapter holds cookies under.
+	 * @returns {Promise<string[]>}
+	 */
+	async listPartitionKeys() {
+		const partitionKeys = (await this.adapter.list())
+			.map((json) => json.partitionKey)
+			.filter((partitionKey) => typeof partitionKey === 'string');
+
+		return [...new Set(partitionKeys)];
+	}
+
+	findCookie(domain, path, key, callback) {
+		return settle(this._findCookie(domain, path, key), callback);
+	}
+
+	findCookies(domain, path, allowSpecialUseDomain = false, callback) {
+		if (typeof allowSpecialUseDomain === 'function') {
+			callback = allowSpecialUseDomain;
+			allowSpecialUseDomain = true;
+		}
+
+		return settle(this._findCookies(domain, path, allowSpecialUseDomain), callback);
+	}
+
+	putCookie(cookie, callback) {
+		return settle(this._putCookie(cookie), callback);
+	}
+
+	updateCookie(oldCookie, newCookie, callback) {
+		return settle(this._putCookie(newCookie), callback);
+	}
+
+	removeCookie(domain, path, key, callback) {
+		return settle(this.adapter.delete(this._key(domain, path, key)), callback);
+	}
+
+	removeCookies(domain, path, callback) {
+		return settle(this._removeMatching(path ? { domain, path } : { domain }), callback);
+	}
+
+	removeAllCookies(callback) {
+		return settle(this._removeMatching(undefined), callback);
+	}
+
+	getAllCookies(callback) {
+		return settle(this._getAllCookies(), callback);
+	}
+
+	async _findCookie(domain, path, key) {
+		if (isNil(domain) || isNil(path) || isNil(key)) {
+			return undefined;
+		}
+
+		return toCookie(await this.adapter.get(this._key(domain, path, key)));
+	}
+
+	async _findCookies(domain, path, allowSpecialUseDomain) {
+		if (!domain) {
+			return [];
+		}
+
+		const domains = permuteDomain(domain, allowSpecialUseDomain) || [domain];
+		const results = [];
+
+		for (const currentDomain of domains) {
+			for (const json of await this._list({ domain: currentDomain })) {
+				const cookie = toCookie(json);
+				if (cookie && (!path || pathMatch(path, cookie.path))) {
+					results.push(cookie);
+				}
+			}
+		}
+
+		return results;
+	}
+
+	async _putCookie(cookie) {
+		const { domain, path, key } = cookie;
+		if (isNil(domain) || isNil(path) || isNil(key)) {
+			return;
+		}
+
+		const json = cookie.toJSON();
+		if (this._partitionKey !== null) {
+			json.partitionKey = this._partitionKey;
+		}
+
+		await this.adapter.set(this._key(domain, path, key), json);
+	}
+
+	async _removeMatching(filter) {
+		for (const json of await this._list(filter)) {
+			await this.adapter.delete(this._key(json.domain, json.path, json.key));
+		}
+	}
+
+	async _getAllCookies() {
+		const cookies = (await this._list())
+			.map(toCookie)
+			.filter(Boolean);
+
+		return cookies.sort((a, b) => (a.creation?.getTime?.() ?? 0) - (b.creation?.getTime?.() ?? 0));
+	}
+
+	// Adapter key of a cookie of this store; unpartitioned keys have no partitionKey at all
+	_key(domain, path, name) {
+		return this._partitionKey === null ? { domain, path, name } : { domain, path, name, partitionKey: this._partitionKey };
+	}
+
+	// Lists this store's cookies only, even from adapters that ignore the partitionKey filter
+	async _list(filter = {}) {
+		const cookies = await this.adapter.list({ ...filter, partitionKey: this._partitionKey });
+
+		return cookies.filter((json) => (json.partitionKey ?? null) === this._partitionKey);
+	}
+
+}
+
+/**
+ * Creates the in-memory reference adapter.
+ * Values are cloned on the way in and out, like a real external store would do.
+ * @returns {CookieStoreAdapter}
+ */
+export function createMemoryAdapter() {
+	const cookies = new Map();
+	const keyOf = ({ domain, path, name, partitionKey }) => JSON.stringify([domain, path, name, partitionKey ?? null]);
+
+	return {
+		async get(key) {
+			const cookie = cookies.get(keyOf(key));
+
+			return cookie ? structuredClone(cookie) : undefined;
+		},
+
+		async set(key, cookie) {
+			cookies.set(keyOf(key), structuredClone(cookie));
+		},
+
+		async delete(key) {
+			cookies.delete(keyOf(key));
+		},
+
+		async list(filter = {}) {
+			return [...cookies.values()]
+				.filter((cookie) => isNil(filter.domain) || cookie.domain === filter.domain)
+				.filter((cookie) => isNil(filter.path) || cookie.path === filter.path)
+				.filter((cookie) => filter.partitionKey === undefined || (cookie.partitionKey ?? null) === filter.partitionKey)
+				.map((cookie) => structuredClone(cookie));
+		}
+	};
+}
+
+function isNil(value) {
+	return value === null || value === undefined;
+}
+
+function toCookie(json) {
+	return json ? Cookie.fromJSON(json) ?? undefined : undefined;
+}
+
+/**
+ * Bridges a promise to tough-cookie's optional Node-style callback.
+ */
+function settle(promise, callback) {
+	if (typeof callback !== 'function') {
+		return promise;
+	}
+
+	promise.then(
+		(result) => callback(null, result),
+		(error) => callback(error)
+	);
+}
@@ -0,0 +1,173 @@
+/**
+ * Playwright storageState and Puppeteer cookie interoperability.
+ * Lets sessions flow browser → API client → browser.
+ */
+import { Cookie } from 'tough-cookie';
+import { cookieUrl, isExpired } from './cookieUtils.js';
+import { createLogger } from './logger.js';
+import { getPartitionJar, getPartitionKey, listJarCookies } from './partitioned.js';
+
+/**
+ * @typedef {Object} BrowserCookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {string} domain - Cookie domain; a leading dot marks a domain (non host-only) cookie
+ * @property {string} [path='/'] - Cookie path
+ * @property {number} [expires=-1] - Expiry in seconds since epoch, -1 for session cookies
+ * @property {boolean} [httpOnly=false] - HttpOnly flag
+ * @property {boolean} [secure=false] - Secure flag
+ * @property {'Strict'|'Lax'|'None'} [sameSite] - SameSite attribute
+ * @property {string|{ sourceOrigin: string }} [partitionKey] - Top-level site of a partitioned (CHIPS) cookie
+ */
+
+/**
+ * @typedef {Object} StorageState
+ * @property {BrowserCookie[]} cookies - Browser cookies
+ * @property {Object[]} origins - localStorage entries per origin (not used by the jar)
+ */
+
+const SAME_SITE_TO_JAR = { strict: 'strict', lax: 'lax', none: 'none' };
+const SAME_SITE_TO_BROWSER = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/**
+ * Converts a Playwright/Puppeteer cookie into a tough-cookie Cookie.
+ * @param {BrowserCookie} browserCookie - Browser cookie
+ * @returns {Cookie}
+ */
+export function fromBrowserCookie(browserCookie) {
+	const domain = String(browserCookie.domain ?? '');
+	const expires = Number(browserCookie.expires ?? -1);
+
+	return new Cookie({
+		key: browserCookie.name,
+		value: browserCookie.value ?? '',
+		domain: domain.replace(/^\./, '').toLowerCase(),
+		path: browserCookie.path || '/',
+		secure: Boolean(browserCookie.secure),
+		httpOnly: Boolean(browserCookie.httpOnly),
+		hostOnly: !domain.startsWith('.'),
+		sameSite: SAME_SITE_TO_JAR[String(browserCookie.sameSite ?? '').toLowerCase()],
+		expires: expires > 0 ? new Date(expires * 1000) : 'Infinity'
+	});
+}
+
+/**
+ * Converts a tough-cookie Cookie into the Playwright/Puppeteer cookie shape.
+ * @param {Cookie} cookie - Jar cookie
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.defaultSameSite] - SameSite reported for cookies without one
+ * @param {string} [options.partitionKey] - Partition key of a partitioned cookie
+ * @returns {BrowserCookie}
+ */
+export function toBrowserCookie(cookie, options = {}) {
+	const expiryTime = cookie.expiryTime();
+	const sameSite = SAME_SITE_TO_BROWSER[cookie.sameSite] ?? options.defaultSameSite;
+
+	const browserCookie = {
+		name: cookie.key,
+		value: cookie.value,
+		domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+		path: cookie.path || '/',
+		expires: Number.isFinite(expiryTime) ? expiryTime / 1000 : -1,
+		httpOnly: Boolean(cookie.httpOnly),
+		secure: Boolean(cookie.secure)
+	};
+
+	if (sameSite) {
+		browserCookie.sameSite = sameSite;
+	}
+	if (options.partitionKey) {
+		browserCookie.partitionKey = options.partitionKey;
+	}
+
+	return browserCookie;
+}
+
+/**
+ * Imports Playwright/Puppeteer cookies into a jar.
+ * Cookies with a `partitionKey` go to that partition of the jar.
+ * @param {import('tough-cookie').CookieJar} jar - Target cookie jar
+ * @param {BrowserCookie[]} browserCookies - Browser cookies
+ * @param {Object} [options={}] - Import options
+ * @param {import('./logger.js').CookieLogger|false} [options.logger] - Where cookies that fail to import are reported
+ * @returns {Promise<Cookie[]>} Cookies that were stored
+ */
+export async function importPuppeteerCookies(jar, browserCookies, options = {}) {
+	const log = createLogger(options.logger);
+	const stored = [];
+	const now = Date.now();
+
+	for (const browserCookie of browserCookies ?? []) {
+		const cookie = fromBrowserCookie(browserCookie);
+		if (isExpired(cookie, now)) {
+			continue;
+		}
+
+		try {
+			const partitionKey = browserCookie.partitionKey?.sourceOrigin ?? browserCookie.partitionKey;
+			const target = partitionKey ? getPartitionJar(jar, getPartitionKey(partitionKey), true) : jar;
+			const result = await target.setCookie(cookie, cookieUrl(cookie));
+			if (result) {
+				stored.push(result);
+			}
+		} catch (error) {
+			log.warn({ name: cookie.key, error: error.message }, `Failed to import cookie ${cookie.key}: ${error.message}`);
+		}
+	}
+
+	return stored;
+}
+
+/**
+ * Lists the unexpired cookies of a jar and its partitions in the browser cookie shape.
+ * @param {import('tough-cookie').CookieJar} jar - Source cookie jar
+ * @param {Object} [options={}] - Options passed to {@link toBrowserCookie}
+ * @returns {Promise<BrowserCookie[]>}
+ */
+async function listBrowserCookies(jar, options = {}) {
+	const now = Date.now();
+
+	return (await listJarCookies(jar))
+		.filter(({ cookie }) => !isExpired(cookie, now))
+		.map(({ cookie, partition }) => toBrowserCookie(cookie, { ...options, partitionKey: partition }));
+}
+
+/**
+ * Exports every unexpired cookie in a jar in the Puppeteer `page.setCookie()` shape.
+ * Partitioned cookies carry their `partitionKey`.
+ * @param {import('tough-cookie').CookieJar} jar - Source cookie jar
+ * @returns {Promise<BrowserCookie[]>}
+ */
+export async function exportPuppeteerCookies(jar) {
+	return listBrowserCookies(jar);
+}
+
+/**
+ * Imports the cookies of a Playwright storageState into a jar.
+ * @param {import('tough-cookie').CookieJar} jar - Target cookie jar
+ * @param {StorageState|string} state - storageState object or its JSON text
+ * @param {Object} [options={}] - Import options
+ * @param {import('./logger.js').CookieLogger|false} [options.logger] - Where cookies that fail to import are reported
+ * @returns {Promise<Cookie[]>} Cookies that were stored
+ */
+export async function importStorageState(jar, state, options = {}) {
+	const parsed = typeof state === 'string' ? JSON.parse(state) : state;
+
+	return importPuppeteerCookies(jar, parsed?.cookies, options);
+}
+
+/**
+ * Exports the jar as a Playwright storageState (for `browser.newContext({ storageState })`).
+ * Cookies without SameSite are reported as `Lax`, the browser default; partitioned
+ * cookies carry their `partitionKey`.
+ * @param {import('tough-cookie').CookieJar} jar - Source cookie jar
+ * @param {Object} [options={}] - Export options
+ * @param {Object[]} [options.origins=[]] - localStorage entries to include as-is
+ * @returns {Promise<StorageState>}
+ */
+export async function exportStorageState(jar, options = {}) {
+	return {
+		cookies: await listBrowserCookies(jar, { defaultSameSite: 'Lax' }),
+		origins: options.origins ?? []
+	};
+}
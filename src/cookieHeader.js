@@ -0,0 +1,84 @@
+/**
+ * Cookie request header helpers.
+ * Parses Cookie headers and merges caller-provided cookies with the jar's.
+ */
+import { CookieJarError } from './errors.js';
+
+/**
+ * How a cookie name present both in a manual `Cookie` header and in the jar is resolved.
+ * - `manual-wins`: send the caller's cookie, drop the jar's
+ * - `jar-wins`: send the jar's cookie, drop the caller's
+ * - `both`: send both (the server decides which one it reads)
+ * @typedef {'manual-wins'|'jar-wins'|'both'} CookieMergeStrategy
+ */
+
+export const MERGE_STRATEGIES = ['manual-wins', 'jar-wins', 'both'];
+
+/**
+ * Splits a Cookie request header into name/value pairs.
+ * @param {string} header - Cookie header value
+ * @returns {Array<{ name: string, value: string }>}
+ */
+export function parseCookieHeader(header) {
+	if (!header) {
+		return [];
+	}
+
+	return String(header)
+		.split(';')
+		.map((pair) => pair.trim())
+		.filter(Boolean)
+		.map((pair) => {
+			const index = pair.indexOf('=');
+
+			return index === -1
+				? { name: '', value: pair }
+				: { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+		});
+}
+
+/**
+ * Throws unless the value is a known merge strategy.
+ * @param {string} strategy - Strategy to check
+ * @returns {CookieMergeStrategy}
+ */
+export function validateMergeStrategy(strategy) {
+	if (!MERGE_STRATEGIES.includes(strategy)) {
+		const allowed = MERGE_STRATEGIES.map((name) => `"${name}"`).join(', ');
+		throw new CookieJarError(`Unknown mergeStrategy "${strategy}"; expected one of ${allowed}`, 'INVALID_OPTIONS');
+	}
+
+	return strategy;
+}
+
+/**
+ * Merges a manual Cookie header with the jar's cookie string, resolving names set in both.
+ * Manual cookies come first, as they always have.
+ * @param {string} manualHeader - Cookie header provided by the caller
+ * @param {string} jarHeader - Cookie string from the jar
+ * @param {CookieMergeStrategy} [strategy='manual-wins'] - Conflict resolution
+ * @returns {string}
+ */
+export function mergeCookieHeader(manualHeader, jarHeader, strategy = 'manual-wins') {
+	let manual = parseCookieHeader(manualHeader);
+	let fromJar = parseCookieHeader(jarHeader);
+
+	if (strategy === 'manual-wins') {
+		const names = cookieNames(manual);
+		fromJar = fromJar.filter((pair) => !names.has(pair.name));
+	} else if (strategy === 'jar-wins') {
+		const names = cookieNames(fromJar);
+		manual = manual.filter((pair) => !names.has(pair.name));
+	}
+
+	return [...manual, ...fromJar].map(formatPair).join('; ');
+}
+
+// Nameless pairs never conflict
+function cookieNames(pairs) {
+	return new Set(pairs.map((pair) => pair.name).filter(Boolean));
+}
+
+function formatPair({ name, value }) {
+	return name ? `${name}=${value}` : value;
+}
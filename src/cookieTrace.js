@@ -0,0 +1,182 @@
+/**
+ * Cookie decision trace.
+ * Explains, for every cookie in the jar, whether a request sent it and why not: the
+ * domain/path/Secure/expiry/SameSite matching of tough-cookie, replayed cookie by cookie,
+ * plus the plugin's own checks (partitions, domain policy, policy rules, manual headers).
+ */
+import { canonicalDomain, domainMatch, pathMatch } from 'tough-cookie';
+import { isExpired } from './cookieUtils.js';
+
+/**
+ * Why a cookie was not sent.
+ * - `expired`: past its Expires/Max-Age
+ * - `domain`: the request host is not the cookie's host (host-only) or inside its domain
+ * - `path`: the request path is not inside the cookie's path
+ * - `secure`: Secure cookie on a request that is not a secure origin
+ * - `same-site`: SameSite=Strict/Lax cookie on a cross-site request
+ * - `partition`: partitioned under another top-level site
+ * - `blocked`: the request host is blocked by `allowDomains`/`denyDomains`
+ * - `policy`: rejected by a policy rule
+ * - `overridden`: the manual Cookie header sets the same name (`mergeStrategy: 'manual-wins'`)
+ * - `disabled`: the request has `cookies.send: false`
+ * - `unmatched`: the jar did not return it for another reason
+ * @typedef {'expired'|'domain'|'path'|'secure'|'same-site'|'partition'|'blocked'|'policy'|'overridden'|'disabled'|'unmatched'} CookieTraceReason
+ */
+
+/**
+ * @typedef {Object} CookieTraceEntry
+ * @property {string} name - Cookie name
+ * @property {string} domain - Cookie domain
+ * @property {string} path - Cookie path
+ * @property {string} [partition] - Partition key, for partitioned cookies
+ * @property {boolean} sent - Whether the cookie was in the request's Cookie header
+ * @property {CookieTraceReason|null} reason - Why it was not sent
+ * @property {string|null} detail - The reason, spelled out
+ */
+
+/**
+ * @typedef {Object} CookieTrace
+ * @property {string} url - Request URL
+ * @property {string|null} site - Top-level site of the request
+ * @property {'strict'|'lax'|'none'|null} sameSiteContext - SameSite context the jar was read with
+ * @property {CookieTraceEntry[]} cookies - Every cookie in the jar and its partitions
+ */
+
+const SAME_SITE_LEVELS = { strict: 3, lax: 2, none: 1 };
+
+const TABLE_COLUMNS = [
+	['Name', (entry) => entry.name],
+	['Domain', (entry) => entry.domain],
+	['Path', (entry) => entry.path],
+	['Sent', (entry) => entry.sent ? 'yes' : 'no'],
+	['Reason', (entry) => entry.reason ? `${entry.reason}: ${entry.detail}` : '']
+];
+
+/**
+ * Collects the plugin's decisions about the cookies of one request, then explains the
+ * cookies it made no decision about.
+ * @param {string} url - Request URL
+ * @param {Object} request - How the jar was read
+ * @param {string|null} request.site - Top-level site
+ * @param {'strict'|'lax'|'none'|null} request.sameSiteContext - SameSite context
+ * @param {boolean} request.secure - Whether the request is a secure origin
+ * @param {string} request.partitionKey - Partition whose cookies the request may receive
+ */
+export function createTraceRecorder(url, { site, sameSiteContext, secure, partitionKey }) {
+	const decisions = new Map();
+
+	// Cookies rewritten by policy rules are traced as the stored cookie they came from
+	const originals = new Map();
+	const decide = (cookie, decision) => decisions.set(traceKey(originals.get(cookie) ?? cookie), decision);
+
+	return {
+		rewritten(original, cookie) {
+			originals.set(cookie, original);
+		},
+
+		sent(cookie) {
+			decide(cookie, { sent: true, reason: null, detail: null });
+		},
+
+		withheld(cookie, reason, detail) {
+			decide(cookie, { sent: false, reason, detail });
+		},
+
+		/**
+		 * @param {Array<{ cookie: import('tough-cookie').Cookie, partition?: string }>} jarCookies - Every cookie in the jar before it was read
+		 * @returns {CookieTrace}
+		 */
+		finish(jarCookies) {
+			const cookies = jarCookies.map(({ cookie, partition }) => {
+				const entry = { name: cookie.key, domain: cookie.domain, path: cookie.path, ...(partition && { partition }) };
+
+				if (partition && partition !== partitionKey) {
+					const detail = `partitioned under ${partition}, the request is for ${partitionKey}`;
+
+					return { ...entry, sent: false, reason: 'partition', detail };
+				}
+
+				const decision = decisions.get(traceKey(cookie))
+					?? explainCookie(cookie, url, { sameSiteContext, secure })
+					?? { reason: 'unmatched', detail: 'not returned by the jar' };
+
+				return { ...entry, sent: false, ...decision };
+			});
+
+			return { url, site: site ?? null, sameSiteContext: sameSiteContext ?? null, cookies };
+		}
+	};
+}
+
+/**
+ * Explains why tough-cookie would not return a cookie for a URL.
+ * @param {import('tough-cookie').Cookie} cookie - Cookie to check
+ * @param {string} url - Request URL
+ * @param {Object} request - Request details
+ * @param {'strict'|'lax'|'none'|null} [request.sameSiteContext] - SameSite context, when enforced
+ * @param {boolean} request.secure - Whether the request is a secure origin
+ * @returns {{ reason: CookieTraceReason, detail: string }|null} Null when the cookie matches
+ */
+export function explainCookie(cookie, url, { sameSiteContext, secure }) {
+	const { hostname, pathname, protocol } = new URL(url);
+	const host = canonicalDomain(hostname);
+
+	if (isExpired(cookie)) {
+		return { reason: 'expired', detail: `expired at ${new Date(cookie.expiryTime()).toISOString()}` };
+	}
+
+	if (cookie.hostOnly ? cookie.domain !== host : !domainMatch(host, cookie.domain, false)) {
+		const detail = cookie.hostOnly
+			? `host-only cookie of ${cookie.domain}, the request host is ${host}`
+			: `domain ${cookie.domain} does not cover the request host ${host}`;
+
+		return { reason: 'domain', detail };
+	}
+
+	if (typeof cookie.path === 'string' && !pathMatch(pathname || '/', cookie.path)) {
+		return { reason: 'path', detail: `path ${cookie.path} does not cover the request path ${pathname}` };
+	}
+
+	if (cookie.secure && !secure) {
+		return { reason: 'secure', detail: `Secure cookie on a plain ${protocol.slice(0, -1)} request` };
+	}
+
+	const sameSite = cookie.sameSite === 'strict' || cookie.sameSite === 'lax' ? cookie.sameSite : 'none';
+	if (sameSiteContext && SAME_SITE_LEVELS[sameSite] > SAME_SITE_LEVELS[sameSiteContext]) {
+		const request = sameSiteContext === 'lax' ? 'cross-site navigation' : 'cross-site request';
+
+		return { reason: 'same-site', detail: `SameSite=${sameSite === 'strict' ? 'Strict' : 'Lax'} cookie on a ${request}` };
+	}
+
+	return null;
+}
+
+/**
+ * Formats a cookie trace as a text table, one row per cookie.
+ * @param {CookieTrace} trace - Trace from `context.cookieTrace`
+ * @returns {string}
+ */
+export function formatCookieTrace(trace) {
+	const context = [trace.site && `site ${trace.site}`, trace.sameSiteContext && `SameSite context ${trace.sameSiteContext}`].filter(Boolean);
+	const title = `Cookies for ${trace.url}${context.length > 0 ? ` (${context.join(', ')})` : ''}`;
+
+	if (trace.cookies.length === 0) {
+		return `${title}\n(the jar is empty)`;
+	}
+
+	const rows = [
+		TABLE_COLUMNS.map(([heading]) => heading),
+		...trace.cookies.map((entry) => TABLE_COLUMNS.map(([, cell]) => cell(entry)))
+	];
+	const widths = TABLE_COLUMNS.map((column, index) => Math.max(...rows.map((row) => row[index].length)));
+
+	return [title, ...rows.map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())].join('\n');
+}
+
+// Identifies a cookie across store reads, which may return copies; partitioned cookies
+// live in their own jar, so they never clash with the jar's own cookies
+function traceKey(cookie) {
+	const partitioned = cookie.extensions?.some((extension) => extension.trim().toLowerCase() === 'partitioned');
+
+	return `${cookie.domain};${cookie.path};${cookie.key};${partitioned ? 'partitioned' : ''}`;
+}
@@ -0,0 +1,59 @@
+/**
+ * Shared helpers for working with tough-cookie jars and stores.
+ */
+
+/**
+ * Returns every cookie in the jar, regardless of domain or path.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @returns {Promise<import('tough-cookie').Cookie[]>}
+ */
+export function getAllCookies(jar) {
+	return new Promise((resolve, reject) => {
+		jar.store.getAllCookies((err, cookies) => {
+			if (err) {
+				return reject(err);
+			}
+			resolve(cookies ?? []);
+		});
+	});
+}
+
+/**
+ * Checks whether a cookie has expired.
+ * @param {import('tough-cookie').Cookie} cookie - Cookie to check
+ * @param {number} [now=Date.now()] - Reference time in milliseconds
+ * @returns {boolean}
+ */
+export function isExpired(cookie, now = Date.now()) {
+	const expiryTime = cookie.expiryTime();
+
+	return expiryTime !== undefined && expiryTime <= now;
+}
+
+/**
+ * Removes a cookie from a store.
+ * @param {import('tough-cookie').Store} store - Cookie store
+ * @param {import('tough-cookie').Cookie} cookie - Cookie with domain, path and key
+ * @returns {Promise<void>}
+ */
+export function removeCookie(store, cookie) {
+	return new Promise((resolve, reject) => {
+		store.removeCookie(cookie.domain, cookie.path, cookie.key, (err) => {
+			if (err) {
+				return reject(err);
+			}
+			resolve();
+		});
+	});
+}
+
+/**
+ * Builds a URL that tough-cookie accepts when storing the cookie as-is.
+ * @param {import('tough-cookie').Cookie} cookie - Cookie with domain and path
+ * @returns {string}
+ */
+export function cookieUrl(cookie) {
+	const scheme = cookie.secure ? 'https' : 'http';
+
+	return `${scheme}://${cookie.domain}${cookie.path || '/'}`;
+}
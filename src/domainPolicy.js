@@ -0,0 +1,53 @@
+/**
+ * Domain allowlist/denylist.
+ * Decides, by request host, whether the jar may store a response's cookies and send
+ * its cookies with a request. `denyDomains` wins over `allowDomains`.
+ */
+import { compileHostPatterns } from './hostPatterns.js';
+
+/**
+ * A cookie the plugin did not store or send.
+ * @typedef {Object} CookieRejection
+ * @property {'store'|'send'} action - Whether the cookie was not stored or not sent
+ * @property {string} url - Request URL
+ * @property {string} name - Cookie name
+ * @property {string} cookie - The Set-Cookie header (store) or the stored cookie (send)
+ * @property {string} reason - Why the cookie was rejected
+ * @property {string} [rule] - Name of the policy rule that rejected it
+ */
+
+/**
+ * Compiles the `allowDomains`/`denyDomains` plugin options.
+ * @param {Object} options - Plugin options
+ * @param {import('./hostPatterns.js').HostPattern[]} [options.allowDomains] - Only these hosts store and receive cookies
+ * @param {import('./hostPatterns.js').HostPattern[]} [options.denyDomains] - These hosts never store or receive cookies
+ * @returns {((url: string) => string|null)|null} Returns the rejection reason for a URL, or null when it is allowed
+ */
+export function resolveDomainPolicy({ allowDomains, denyDomains }) {
+	if (allowDomains === undefined && denyDomains === undefined) {
+		return null;
+	}
+
+	const isAllowed = allowDomains === undefined ? null : compileHostPatterns(allowDomains, 'allowDomains');
+	const isDenied = denyDomains === undefined ? null : compileHostPatterns(denyDomains, 'denyDomains');
+
+	return (url) => {
+		let hostname;
+		try {
+			hostname = new URL(url).hostname;
+		} catch {
+			// Without a host there is nothing to allow, but nothing to deny either
+			return isAllowed ? `invalid URL ${url} is not in allowDomains` : null;
+		}
+
+		if (isDenied?.(hostname)) {
+			return `host ${hostname} matches denyDomains`;
+		}
+
+		if (isAllowed && !isAllowed(hostname)) {
+			return `host ${hostname} is not in allowDomains`;
+		}
+
+		return null;
+	};
+}
@@ -0,0 +1,152 @@
+/**
+ * AES-256-GCM encryption for persisted cookie files.
+ * Uses only node:crypto.
+ */
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+import { CookieJarError } from './errors.js';
+
+const FORMAT = 'luminara-cookie-jar/aes-256-gcm';
+const VERSION = 1;
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * @typedef {Uint8Array|string} CookieKey
+ * 32 bytes of key material. Strings are read as hex (64 characters) or base64.
+ */
+
+/**
+ * @typedef {CookieKey|(() => CookieKey|Promise<CookieKey>)} CookieKeySource
+ */
+
+/**
+ * @typedef {Object} CookieEncryptionOptions
+ * @property {CookieKeySource} key - Key used to encrypt, and tried first when decrypting.
+ * @property {CookieKeySource[]|(() => CookieKey[]|Promise<CookieKey[]>)} [previousKeys] - Retired keys still accepted for decryption.
+ */
+
+/**
+ * Generates a random key suitable for `encryption.key`.
+ * @returns {Buffer}
+ */
+export function generateCookieKey() {
+	return randomBytes(KEY_LENGTH);
+}
+
+/**
+ * Checks whether a parsed cookie file is an encrypted envelope.
+ * @param {Object} data - Parsed file contents
+ * @returns {boolean}
+ */
+export function isEncryptedCookieFile(data) {
+	return data?.format === FORMAT;
+}
+
+/**
+ * Encrypts a serialized cookie document with the current key.
+ * @param {string} plaintext - Serialized cookie document
+ * @param {CookieEncryptionOptions} options - Encryption options
+ * @returns {Promise<Object>} Envelope to be written as JSON
+ */
+export async function encryptCookieFile(plaintext, options) {
+	const key = normalizeKey(await resolveKeySource(options.key));
+	const keyId = getKeyId(key);
+	const iv = randomBytes(IV_LENGTH);
+
+	const cipher = createCipheriv('aes-256-gcm', key, iv);
+	cipher.setAAD(Buffer.from(`${FORMAT}:${keyId}`));
+	const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+	return {
+		format: FORMAT,
+		version: VERSION,
+		keyId,
+		iv: iv.toString('base64'),
+		tag: cipher.getAuthTag().toString('base64'),
+		data: data.toString('base64')
+	};
+}
+
+/**
+ * Decrypts an envelope produced by `encryptCookieFile()`.
+ * @param {Object} envelope - Parsed encrypted file
+ * @param {CookieEncryptionOptions} options - Encryption options
+ * @returns {Promise<{ plaintext: string, rotated: boolean }>} `rotated` is true when a previous key was used
+ */
+export async function decryptCookieFile(envelope, options) {
+	if (envelope.version !== VERSION) {
+		throw new CookieJarError(`Unsupported encrypted cookie file version: ${envelope.version}`, 'COOKIE_FILE_UNSUPPORTED');
+	}
+
+	const keys = await resolveKeys(options);
+	const index = keys.findIndex((key) => getKeyId(key) === envelope.keyId);
+
+	if (index === -1) {
+		throw new CookieJarError(
+			`Cookie file was encrypted with a different key (key id ${envelope.keyId}); ` +
+			'pass that key in encryption.key or encryption.previousKeys',
+			'COOKIE_KEY_MISMATCH'
+		);
+	}
+
+	try {
+		const decipher = createDecipheriv('aes-256-gcm', keys[index], Buffer.from(envelope.iv, 'base64'));
+		decipher.setAAD(Buffer.from(`${FORMAT}:${envelope.keyId}`));
+		decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+		const plaintext = Buffer.concat([
+			decipher.update(Buffer.from(envelope.data, 'base64')),
+			decipher.final()
+		]).toString('utf8');
+
+		return { plaintext, rotated: index > 0 };
+	} catch (error) {
+		throw new CookieJarError(`Cookie file failed authentication and may have been tampered with: ${error.message}`, 'COOKIE_FILE_CORRUPT');
+	}
+}
+
+/**
+ * Resolves the current key followed by any previous keys.
+ */
+async function resolveKeys(options) {
+	const current = normalizeKey(await resolveKeySource(options.key));
+	const previous = typeof options.previousKeys === 'function'
+		? await options.previousKeys()
+		: options.previousKeys ?? [];
+
+	const keys = [current];
+	for (const source of previous) {
+		keys.push(normalizeKey(await resolveKeySource(source)));
+	}
+
+	return keys;
+}
+
+async function resolveKeySource(source) {
+	return typeof source === 'function' ? source() : source;
+}
+
+/**
+ * Converts supported key inputs to a 32 byte Buffer.
+ */
+function normalizeKey(key) {
+	let buffer;
+
+	if (Buffer.isBuffer(key) || key instanceof Uint8Array) {
+		buffer = Buffer.from(key);
+	} else if (typeof key === 'string') {
+		buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+	}
+
+	if (!buffer || buffer.length !== KEY_LENGTH) {
+		throw new CookieJarError(`Encryption key must be ${KEY_LENGTH} bytes (Buffer, hex or base64 string)`, 'INVALID_COOKIE_KEY');
+	}
+
+	return buffer;
+}
+
+/**
+ * Short fingerprint identifying which key encrypted a file.
+ */
+function getKeyId(key) {
+	return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
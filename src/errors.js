@@ -0,0 +1,18 @@
+/**
+ * Error raised by the cookie jar plugin.
+ * The `code` property identifies the failure so callers can branch on it. Messages carry no
+ * `[cookie-jar]` prefix, since they are often embedded in log messages that already have it.
+ */
+export class CookieJarError extends Error {
+
+	/**
+	 * @param {string} message - Human readable description
+	 * @param {string} code - Machine readable error code
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = 'CookieJarError';
+		this.code = code;
+	}
+
+}
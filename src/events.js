@@ -0,0 +1,99 @@
+/**
+ * Cookie lifecycle events.
+ * The plugin reports what happens to cookies on an EventEmitter kept per jar, so every
+ * plugin and client sharing a jar sees the same events.
+ */
+import { EventEmitter } from 'node:events';
+
+/**
+ * Events emitted for cookies the plugin stores, sends, rejects or removes.
+ * - `cookie:stored`: a response set a new cookie
+ * - `cookie:updated`: a response replaced a stored cookie (`previous` holds the old one)
+ * - `cookie:deleted`: a response expired a stored cookie, or `limits` evicted it
+ * - `cookie:rejected`: a cookie was not stored or sent (same fields as `onCookieRejected`)
+ * - `cookie:expired`: a stored cookie was found expired and removed
+ * - `cookie:sent`: a jar cookie was added to a request's Cookie header
+ * @typedef {'cookie:stored'|'cookie:updated'|'cookie:deleted'|'cookie:rejected'|'cookie:expired'|'cookie:sent'} CookieEventType
+ */
+
+/**
+ * @typedef {Object} CookieEvent
+ * @property {CookieEventType} type - Event name
+ * @property {string} name - Cookie name
+ * @property {import('tough-cookie').Cookie|string} cookie - The cookie; for `cookie:rejected`, the Set-Cookie header (store) or the stored cookie (send) as a string
+ * @property {string} url - Request URL
+ * @property {Object} context - Luminara request context of the request involved
+ * @property {import('tough-cookie').Cookie} [previous] - `cookie:updated`: the cookie that was replaced
+ * @property {string} [reason] - `cookie:rejected`: why; `cookie:deleted`: `'server'`, `'domain-limit'` or `'total-limit'`
+ * @property {'store'|'send'} [action] - `cookie:rejected`: whether the cookie was not stored or not sent
+ * @property {string} [rule] - `cookie:rejected`: policy rule that rejected it
+ */
+
+export const COOKIE_EVENTS = Object.freeze([
+	'cookie:stored',
+	'cookie:updated',
+	'cookie:deleted',
+	'cookie:rejected',
+	'cookie:expired',
+	'cookie:sent'
+]);
+
+const emittersByJar = new WeakMap();
+
+/**
+ * Returns the event emitter of a jar, creating it on first use.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @returns {EventEmitter}
+ */
+export function getCookieEvents(jar) {
+	let events = emittersByJar.get(jar);
+	if (!events) {
+		events = new EventEmitter();
+		emittersByJar.set(jar, events);
+	}
+
+	return events;
+}
+
+/**
+ * Emits a cookie event to every listener, even when one of them throws.
+ * Listeners observe cookies; their failures are handed to `onError` instead of failing the request.
+ * @param {EventEmitter} events - Emitter from {@link getCookieEvents}
+ * @param {CookieEvent} event - Event to emit
+ * @param {(error: Error) => void} onError - Called with the error of a listener that threw or rejected
+ */
+export function emitCookieEvent(events, event, onError) {
+	for (const listener of events.rawListeners(event.type)) {
+		try {
+			const result = listener.call(events, event);
+			if (typeof result?.catch === 'function') {
+				result.catch(onError);
+			}
+		} catch (error) {
+			onError(error);
+		}
+	}
+}
+
+/**
+ * Adds `jar.on()`, `jar.once()` and `jar.off()` as non-enumerable methods subscribing to the
+ * jar's cookie events. Existing properties are left untouched.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @returns {import('tough-cookie').CookieJar} The same jar
+ */
+export function addEventMethods(jar) {
+	const events = getCookieEvents(jar);
+
+	for (const name of ['on', 'once', 'off']) {
+		if (!(name in jar)) {
+			const value = (type, listener) => {
+				events[name](type, listener);
+
+				return jar;
+			};
+			Object.defineProperty(jar, name, { value, configurable: true, writable: true });
+		}
+	}
+
+	return jar;
+}
@@ -0,0 +1,475 @@
+/**
+ * File-backed cookie store.
+ * Keeps cookies in memory and mirrors changes to a JSON file on disk, either right away
+ * or batched (write-behind).
+ */
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { Cookie, MemoryCookieStore } from 'tough-cookie';
+import { decryptCookieFile, encryptCookieFile, isEncryptedCookieFile } from './encryption.js';
+import { CookieJarError } from './errors.js';
+import { createLogger } from './logger.js';
+
+/**
+ * @typedef {import('./encryption.js').CookieEncryptionOptions} CookieEncryptionOptions
+ */
+
+/**
+ * @typedef {Object} WriteBehindOptions
+ * @property {number} [delay=1000] - Milliseconds without changes before pending changes are written.
+ * @property {number} [maxPending=100] - Number of pending changes that triggers a write without waiting for the delay.
+ */
+
+/**
+ * @typedef {Object} FileCookieStoreOptions
+ * @property {number} [mode=0o600] - File mode used when writing the cookie file.
+ * @property {CookieEncryptionOptions} [encryption] - Encrypt the file at rest with AES-256-GCM.
+ * @property {boolean|WriteBehindOptions} [writeBehind=false] - Batch changes instead of writing after each one.
+ * @property {boolean} [flushOnExit=true] - Write pending changes on `beforeExit` and SIGTERM.
+ * @property {import('./logger.js').CookieLogger|false} [logger] - Where background write failures are reported. Defaults to the console.
+ */
+
+const DEFAULT_WRITE_BEHIND = { delay: 1000, maxPending: 100 };
+
+// Stores with changes not yet on disk, flushed when the process shuts down
+const pendingStores = new Set();
+
+/**
+ * In-memory store that reports every change through `_markDirty()`.
+ */
+class ChangeTrackingStore extends MemoryCookieStore {
+
+	putCookie(cookie, callback) {
+		const result = super.putCookie(cookie, callback);
+		this._markDirty();
+
+		return result;
+	}
+
+	removeCookie(domain, path, key, callback) {
+		const result = super.removeCookie(domain, path, key, callback);
+		this._markDirty();
+
+		return result;
+	}
+
+	removeCookies(domain, path, callback) {
+		const result = super.removeCookies(domain, path, callback);
+		this._markDirty();
+
+		return result;
+	}
+
+	removeAllCookies(callback) {
+		const result = super.removeAllCookies(callback);
+		this._markDirty();
+
+		return result;
+	}
+
+}
+
+/**
+ * Partitioned cookies of one partition key, written to the file of the store they belong to.
+ */
+class PartitionCookieStore extends ChangeTrackingStore {
+
+	/**
+	 * @param {FileCookieStore} parent - Store whose file holds the partition
+	 */
+	constructor(parent) {
+		super();
+		this.parent = parent;
+	}
+
+	_markDirty() {
+		this.parent._markDirty();
+	}
+
+}
+
+/**
+ * tough-cookie store that persists the jar to a JSON file.
+ *
+ * Plain files use the same shape as `CookieJar.serialize()`, so they can also be
+ * read back with `CookieJar.deserialize()`. With `encryption` set, that document
+ * is wrapped in an AES-256-GCM envelope. Writes go to a temporary file that is
+ * renamed over the target, so a crash never leaves a half-written jar.
+ *
+ * With `writeBehind`, changes are batched: the file is written once no change has
+ * happened for `delay` ms, or as soon as `maxPending` changes are waiting.
+ *
+ * Partitioned (CHIPS) cookies are kept in one store per partition key, from
+ * `partitionStore(key)`, and written to the same file under `partitions`.
+ */
+export class FileCookieStore extends ChangeTrackingStore {
+
+	/**
+	 * @param {string} path - Location of the cookie file
+	 * @param {FileCookieStoreOptions} [options={}] - Store configuration
+	 */
+	constructor(path, options = {}) {
+		super();
+
+		if (typeof path !== 'string' || !path) {
+			throw new CookieJarError('FileCookieStore requires a file path', 'INVALID_OPTIONS');
+		}
+
+		this.path = path;
+		this.mode = options.mode ?? 0o600;
+		this.encryption = options.encryption ?? null;
+		this.writeBehind = resolveWriteBehind(options.writeBehind);
+		this.flushOnExit = options.flushOnExit ?? true;
+		this.logger = createLogger(options.logger);
+		this._loading = null;
+		this._saving = null;
+		this._dirty = false;
+		this._pending = 0;
+		this._timer = null;
+		this._partitions = new Map();
+	}
+
+	/**
+	 * Number of changes not yet written to disk.
+	 * @returns {number}
+	 */
+	get pendingChanges() {
+		return this._pending;
+	}
+
+	/**
+	 * Reads the cookie file into memory. Safe to call many times; the file is only read once.
+	 * @returns {Promise<void>}
+	 */
+	load() {
+		if (!this._loading) {
+			this._loading = this._readFile();
+		}
+
+		return this._loading;
+	}
+
+	/**
+	 * Writes pending changes now and waits until every change has been written to disk.
+	 * @returns {Promise<void>}
+	 */
+	flush() {
+		clearTimeout(this._timer);
+		this._timer = null;
+
+		if (this._saving) {
+			return this._saving;
+		}
+
+		if (!this._dirty) {
+			untrackPendingStore(this);
+
+			return Promise.resolve();
+		}
+
+		this._saving = this._drain().finally(() => {
+			this._saving = null;
+			if (!this._dirty) {
+				untrackPendingStore(this);
+			}
+		});
+
+		return this._saving;
+	}
+
+	/**
+	 * Returns the store of a partition's cookies, persisted along with this store.
+	 * @param {string} partitionKey - Partition key (scheme and registrable domain of the top-level site)
+	 * @returns {MemoryCookieStore}
+	 */
+	partitionStore(partitionKey) {
+		if (!this._partitions.has(partitionKey)) {
+			this._partitions.set(partitionKey, new PartitionCookieStore(this));
+		}
+
+		return this._partitions.get(partitionKey);
+	}
+
+	/**
+	 * Lists the partition keys with stored cookies, once the file is loaded.
+	 * @returns {Promise<string[]>}
+	 */
+	async listPartitionKeys() {
+		await this.load();
+
+		return [...this._partitions.keys()].filter((partitionKey) => getAllCookiesSync(this._partitions.get(partitionKey)).length > 0);
+	}
+
+	/**
+	 * Flags the store as changed and schedules a write.
+	 * Without write-behind the write starts right away.
+	 */
+	_markDirty() {
+		this._dirty = true;
+		this._pending += 1;
+
+		if (this.flushOnExit) {
+			trackPendingStore(this);
+		}
+
+		if (!this.writeBehind || this._pending >= this.writeBehind.maxPending) {
+			this._flushInBackground();
+
+			return;
+		}
+
+		// Debounce: every change pushes the write back by `delay`
+		clearTimeout(this._timer);
+		this._timer = setTimeout(() => this._flushInBackground(), this.writeBehind.delay);
+
+		// A pending write must not keep the process alive; beforeExit flushes it instead
+		this._timer.unref?.();
+	}
+
+	_flushInBackground() {
+		this.flush().catch((error) => {
+			this.logger.error({ path: this.path, error: error.message }, `Failed to persist cookies to ${this.path}: ${error.message}`);
+		});
+	}
+
+	/**
+	 * Writes until no changes are left. Changes made during a write trigger one more pass.
+	 */
+	async _drain() {
+		await this.load();
+
+		while (this._dirty) {
+			this._dirty = false;
+			this._pending = 0;
+			await this._writeFile(this.serializeCookies());
+		}
+	}
+
+	/**
+	 * Returns the JSON document written to disk.
+	 * @returns {{ cookies: Object[], partitions?: Object<string, Object[]> }}
+	 */
+	serializeCookies() {
+		const partitions = {};
+		for (const [partitionKey, store] of this._partitions) {
+			const cookies = serializeStore(store);
+			if (cookies.length > 0) {
+				partitions[partitionKey] = cookies;
+			}
+		}
+
+		return {
+			cookies: serializeStore(this),
+			...(Object.keys(partitions).length > 0 && { partitions })
+		};
+	}
+
+	/**
+	 * Restores cookies from a JSON document produced by `serializeCookies()`.
+	 * Cookies already in memory win over the file, and expired cookies are dropped.
+	 * @param {{ cookies?: Object[], partitions?: Object<string, Object[]> }} data - Parsed cookie file
+	 */
+	restoreCookies(data) {
+		restoreStore(this, data?.cookies);
+
+		for (const [partitionKey, cookies] of Object.entries(data?.partitions ?? {})) {
+			restoreStore(this.partitionStore(partitionKey), cookies);
+		}
+	}
+
+	/**
+	 * Returns every stored cookie without going through the callback API.
+	 * @returns {Cookie[]}
+	 */
+	getAllCookiesSync() {
+		return getAllCookiesSync(this);
+	}
+
+	async _readFile() {
+		let text;
+		try {
+			text = await readFile(this.path, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return;
+			}
+			throw error;
+		}
+
+		if (!text.trim()) {
+			return;
+		}
+
+		const { data, rotated } = await this.decode(text);
+		this.restoreCookies(data);
+
+		// Re-encrypt files written with a previous key
+		if (rotated) {
+			this._markDirty();
+		}
+	}
+
+	/**
+	 * Parses (and decrypts) the raw file contents.
+	 * @param {string} text - File contents
+	 * @returns {Promise<{ data: { cookies?: Object[] }, rotated: boolean }>}
+	 */
+	async decode(text) {
+		const data = this._parseJson(text);
+
+		if (!this.encryption) {
+			if (isEncryptedCookieFile(data)) {
+				throw new CookieJarError(`Cookie file ${this.path} is encrypted; configure the encryption option to read it`, 'COOKIE_FILE_ENCRYPTED');
+			}
+
+			return { data, rotated: false };
+		}
+
+		if (!isEncryptedCookieFile(data)) {
+			throw new CookieJarError(`Cookie file ${this.path} is not encrypted; refusing to load plaintext cookies`, 'COOKIE_FILE_NOT_ENCRYPTED');
+		}
+
+		const { plaintext, rotated } = await decryptCookieFile(data, this.encryption);
+
+		return { data: this._parseJson(plaintext), rotated };
+	}
+
+	/**
+	 * Serializes (and encrypts) the cookie document to the raw file contents.
+	 * @param {{ cookies: Object[] }} data - Cookie document
+	 * @returns {Promise<string>}
+	 */
+	async encode(data) {
+		if (!this.encryption) {
+			return JSON.stringify(data, null, '\t');
+		}
+
+		const envelope = await encryptCookieFile(JSON.stringify(data), this.encryption);
+
+		return JSON.stringify(envelope, null, '\t');
+	}
+
+	_parseJson(text) {
+		try {
+			return JSON.parse(text);
+		} catch (error) {
+			throw new CookieJarError(`Cookie file ${this.path} is not valid JSON: ${error.message}`, 'COOKIE_FILE_CORRUPT');
+		}
+	}
+
+	async _writeFile(data) {
+		const contents = await this.encode(data);
+		const tempPath = `${this.path}.${process.pid}.${Date.now()}.tmp`;
+		await mkdir(dirname(this.path), { recursive: true });
+
+		try {
+			await writeFile(tempPath, contents, { mode: this.mode });
+			await rename(tempPath, this.path);
+		} catch (error) {
+			await unlink(tempPath).catch(() => {});
+			throw error;
+		}
+	}
+
+}
+
+function getAllCookiesSync(store) {
+	let result = [];
+	MemoryCookieStore.prototype.getAllCookies.call(store, (err, cookies) => {
+		result = cookies ?? [];
+	});
+
+	return result;
+}
+
+function serializeStore(store) {
+	return getAllCookiesSync(store).map((cookie) => {
+		const json = cookie.toJSON();
+		delete json.creationIndex;
+
+		return json;
+	});
+}
+
+/**
+ * Puts file cookies into a store without marking it changed.
+ */
+function restoreStore(store, cookies = []) {
+	const now = Date.now();
+
+	for (const json of cookies) {
+		const cookie = Cookie.fromJSON(json);
+		if (!cookie) {
+			continue;
+		}
+
+		const expiryTime = cookie.expiryTime();
+		if (expiryTime !== undefined && expiryTime <= now) {
+			continue;
+		}
+
+		if (store.idx[cookie.domain]?.[cookie.path]?.[cookie.key]) {
+			continue;
+		}
+
+		MemoryCookieStore.prototype.putCookie.call(store, cookie);
+	}
+}
+
+function resolveWriteBehind(writeBehind) {
+	if (!writeBehind) {
+		return null;
+	}
+
+	const options = { ...DEFAULT_WRITE_BEHIND, ...(writeBehind === true ? {} : writeBehind) };
+
+	if (!Number.isFinite(options.delay) || options.delay < 0) {
+		throw new CookieJarError('writeBehind.delay must be a non-negative number of milliseconds', 'INVALID_OPTIONS');
+	}
+
+	if (!Number.isInteger(options.maxPending) || options.maxPending < 1) {
+		throw new CookieJarError('writeBehind.maxPending must be a positive integer', 'INVALID_OPTIONS');
+	}
+
+	return options;
+}
+
+/**
+ * Registers a store for the shutdown flush.
+ * Process listeners are only installed while some store has unwritten changes.
+ */
+function trackPendingStore(store) {
+	if (pendingStores.size === 0) {
+		process.on('beforeExit', flushPendingStores);
+		process.on('SIGTERM', onSigterm);
+	}
+
+	pendingStores.add(store);
+}
+
+function untrackPendingStore(store) {
+	if (pendingStores.delete(store) && pendingStores.size === 0) {
+		process.off('beforeExit', flushPendingStores);
+		process.off('SIGTERM', onSigterm);
+	}
+}
+
+function flushPendingStores() {
+	return Promise.all([...pendingStores].map((store) => store.flush().catch((error) => {
+		store.logger.error({ path: store.path, error: error.message }, `Failed to persist cookies to ${store.path}: ${error.message}`);
+	})));
+}
+
+/**
+ * Flushes on SIGTERM, then lets the signal terminate the process as it would have
+ * without our listener (unless the application handles SIGTERM itself).
+ */
+function onSigterm() {
+	process.off('SIGTERM', onSigterm);
+
+	flushPendingStores().finally(() => {
+		if (process.listenerCount('SIGTERM') === 0) {
+			process.kill(process.pid, 'SIGTERM');
+		}
+	});
+}
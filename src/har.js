@@ -0,0 +1,263 @@
+/**
+ * HAR (HTTP Archive) cookie import and export.
+ * Seeds a jar from a recorded HAR log, and records the plugin's cookie traffic as HAR.
+ */
+import { createRequire } from 'node:module';
+import { Cookie } from 'tough-cookie';
+import { parseCookieHeader } from './cookieHeader.js';
+import { createLogger } from './logger.js';
+
+const { version } = createRequire(import.meta.url)('../package.json');
+
+/**
+ * @typedef {Object} HarCookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {string} [path] - Cookie path
+ * @property {string} [domain] - Cookie domain
+ * @property {string} [expires] - Expiry as an ISO 8601 date
+ * @property {boolean} [httpOnly] - HttpOnly flag
+ * @property {boolean} [secure] - Secure flag
+ * @property {string} [sameSite] - SameSite attribute
+ */
+
+/**
+ * @typedef {Object} HarImportResult
+ * @property {Cookie[]} stored - Cookies stored from Set-Cookie responses
+ * @property {Cookie[]} seeded - Cookies that were sent in requests before any response set them
+ */
+
+/**
+ * Seeds a jar from the cookies in a HAR log.
+ *
+ * Entries are replayed in order. For each entry, cookies the request sent that the
+ * jar would not already send are added as host-only cookies, then the response's
+ * Set-Cookie headers (or `response.cookies` when the headers were stripped) are
+ * stored against the request URL, so later responses override earlier ones.
+ * @param {import('tough-cookie').CookieJar} jar - Target cookie jar
+ * @param {Object|string} har - HAR object or its JSON text
+ * @param {Object} [options={}] - Import options
+ * @param {import('./logger.js').CookieLogger|false} [options.logger] - Where cookies that fail to import are reported
+ * @returns {Promise<HarImportResult>}
+ */
+export async function importHar(jar, har, options = {}) {
+	const log = createLogger(options.logger);
+	const parsed = typeof har === 'string' ? JSON.parse(har) : har;
+	const entries = parsed?.log?.entries ?? [];
+	const result = { stored: [], seeded: [] };
+
+	for (const entry of entries) {
+		const url = entry.request?.url;
+		if (!url) {
+			continue;
+		}
+
+		await seedRequestCookies(jar, url, entry.request.cookies ?? [], result.seeded, log);
+
+		for (const setCookie of getHarSetCookies(entry.response)) {
+			try {
+				const cookie = await jar.setCookie(setCookie, url);
+				if (cookie) {
+					result.stored.push(cookie);
+				}
+			} catch (error) {
+				log.warn({ url, cookie: setCookie, error: error.message }, `Failed to import HAR cookie: ${error.message}`);
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Adds request cookies the jar does not already have for the URL.
+ */
+async function seedRequestCookies(jar, url, harCookies, seeded, log) {
+	const known = new Set((await jar.getCookies(url)).map((cookie) => cookie.key));
+
+	for (const harCookie of harCookies) {
+		if (!harCookie?.name || known.has(harCookie.name)) {
+			continue;
+		}
+
+		try {
+			const cookie = await jar.setCookie(new Cookie({ key: harCookie.name, value: harCookie.value ?? '', path: '/' }), url);
+			if (cookie) {
+				seeded.push(cookie);
+				known.add(cookie.key);
+			}
+		} catch (error) {
+			log.warn({ url, name: harCookie.name, error: error.message }, `Failed to import HAR cookie: ${error.message}`);
+		}
+	}
+}
+
+/**
+ * Returns the Set-Cookie strings of a HAR response.
+ */
+function getHarSetCookies(response) {
+	const headers = (response?.headers ?? [])
+		.filter((header) => String(header.name).toLowerCase() === 'set-cookie')
+		.flatMap((header) => String(header.value).split('\n'))
+		.filter(Boolean);
+
+	if (headers.length > 0) {
+		return headers;
+	}
+
+	return (response?.cookies ?? []).map(harCookieToSetCookie);
+}
+
+/**
+ * Rebuilds a Set-Cookie string from a HAR cookie object.
+ */
+function harCookieToSetCookie(harCookie) {
+	const parts = [`${harCookie.name}=${harCookie.value ?? ''}`];
+
+	if (harCookie.domain) {
+		parts.push(`Domain=${harCookie.domain}`);
+	}
+	if (harCookie.path) {
+		parts.push(`Path=${harCookie.path}`);
+	}
+	if (harCookie.expires) {
+		parts.push(`Expires=${new Date(harCookie.expires).toUTCString()}`);
+	}
+	if (harCookie.httpOnly) {
+		parts.push('HttpOnly');
+	}
+	if (harCookie.secure) {
+		parts.push('Secure');
+	}
+	if (harCookie.sameSite) {
+		parts.push(`SameSite=${harCookie.sameSite}`);
+	}
+
+	return parts.join('; ');
+}
+
+/**
+ * Converts a parsed Set-Cookie header into a HAR cookie object.
+ * @param {Cookie} cookie - Parsed cookie
+ * @returns {HarCookie}
+ */
+export function toHarCookie(cookie) {
+	const harCookie = { name: cookie.key, value: cookie.value };
+
+	if (cookie.path) {
+		harCookie.path = cookie.path;
+	}
+	if (cookie.domain) {
+		harCookie.domain = cookie.domain;
+	}
+
+	const expiryTime = cookie.expiryTime();
+	if (Number.isFinite(expiryTime)) {
+		harCookie.expires = new Date(expiryTime).toISOString();
+	}
+
+	harCookie.httpOnly = Boolean(cookie.httpOnly);
+	harCookie.secure = Boolean(cookie.secure);
+
+	// Browsers write SameSite capitalized (Strict, Lax, None)
+	if (cookie.sameSite) {
+		harCookie.sameSite = cookie.sameSite[0].toUpperCase() + cookie.sameSite.slice(1);
+	}
+
+	return harCookie;
+}
+
+/**
+ * Creates a recorder that collects the plugin's cookie traffic as HAR entries.
+ * Pass it to `cookieJarPlugin({ har: recorder })` and call `recorder.toHar()` to export.
+ * @returns {HarRecorder}
+ */
+export function createHarRecorder() {
+	const entries = [];
+
+	return {
+		entries,
+
+		/**
+		 * Adds one request/response exchange.
+		 * @param {Object} exchange - Recorded exchange
+		 */
+		record(exchange) {
+			entries.push(toHarEntry(exchange));
+		},
+
+		/**
+		 * Returns a HAR 1.2 document with the recorded entries.
+		 * @returns {Object}
+		 */
+		toHar() {
+			return {
+				log: {
+					version: '1.2',
+					creator: { name: 'luminara-cookie-jar', version },
+					entries: entries.slice()
+				}
+			};
+		},
+
+		/**
+		 * Removes all recorded entries.
+		 */
+		clear() {
+			entries.length = 0;
+		}
+	};
+}
+
+/**
+ * @typedef {ReturnType<typeof createHarRecorder>} HarRecorder
+ */
+
+/**
+ * Builds a HAR entry holding the Cookie and Set-Cookie traffic of an exchange.
+ */
+function toHarEntry({ startedAt, method, url, cookieHeader, status, statusText, setCookies }) {
+	const time = Date.now() - startedAt;
+	const requestHeaders = cookieHeader ? [{ name: 'Cookie', value: cookieHeader }] : [];
+	const responseHeaders = setCookies.map((value) => ({ name: 'Set-Cookie', value }));
+	const responseCookies = setCookies
+		.map((value) => Cookie.parse(value, { loose: true }))
+		.filter(Boolean)
+		.map(toHarCookie);
+
+	return {
+		startedDateTime: new Date(startedAt).toISOString(),
+		time,
+		request: {
+			method,
+			url,
+			httpVersion: 'HTTP/1.1',
+			cookies: parseCookieHeader(cookieHeader),
+			headers: requestHeaders,
+			queryString: getQueryString(url),
+			headersSize: -1,
+			bodySize: -1
+		},
+		response: {
+			status: status ?? 0,
+			statusText: statusText ?? '',
+			httpVersion: 'HTTP/1.1',
+			cookies: responseCookies,
+			headers: responseHeaders,
+			content: { size: -1, mimeType: '' },
+			redirectURL: '',
+			headersSize: -1,
+			bodySize: -1
+		},
+		cache: {},
+		timings: { send: 0, wait: time, receive: 0 }
+	};
+}
+
+function getQueryString(url) {
+	try {
+		return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+	} catch {
+		return [];
+	}
+}
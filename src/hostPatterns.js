@@ -0,0 +1,62 @@
+/**
+ * Host matching shared by options that list hosts.
+ * A pattern is an exact host (`localhost`), a wildcard for subdomains (`*.test`)
+ * or a RegExp tested against the host name.
+ */
+import { CookieJarError } from './errors.js';
+
+/**
+ * @typedef {string|RegExp} HostPattern
+ */
+
+/**
+ * Compiles a list of host patterns into a predicate.
+ * @param {HostPattern[]} patterns - Patterns to match
+ * @param {string} optionName - Option name used in validation errors
+ * @returns {(hostname: string) => boolean}
+ */
+export function compileHostPatterns(patterns, optionName) {
+	if (!Array.isArray(patterns)) {
+		throw new CookieJarError(`The "${optionName}" option must be an array of host names, wildcards or RegExps`, 'INVALID_OPTIONS');
+	}
+
+	const matchers = patterns.map((pattern) => compileHostPattern(pattern, optionName));
+
+	return (hostname) => {
+		const host = normalizeHost(hostname);
+
+		return matchers.some((matches) => matches(host));
+	};
+}
+
+function compileHostPattern(pattern, optionName) {
+	if (pattern instanceof RegExp) {
+		return (host) => {
+			// Global and sticky patterns keep state between calls
+			pattern.lastIndex = 0;
+
+			return pattern.test(host);
+		};
+	}
+
+	if (typeof pattern !== 'string' || !pattern.trim()) {
+		throw new CookieJarError(`Invalid "${optionName}" entry ${JSON.stringify(pattern) ?? String(pattern)}; expected a host name, a wildcard or a RegExp`, 'INVALID_OPTIONS');
+	}
+
+	const host = normalizeHost(pattern);
+
+	if (host.startsWith('*.')) {
+		const suffix = host.slice(1);
+
+		return (candidate) => candidate.endsWith(suffix) && candidate.length > suffix.length;
+	}
+
+	return (candidate) => candidate === host;
+}
+
+/**
+ * Lowercases a host and strips IPv6 brackets and trailing dots.
+ */
+function normalizeHost(hostname) {
+	return hostname.trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/\.+$/, '');
+}
@@ -2,11 +2,103 @@
  * Luminara Cookie Jar Plugin
  * Automatic Cookie/Set-Cookie header management for server-side environments.
  */
-import { CookieJar } from 'tough-cookie';
+import { readFile } from 'node:fs/promises';
+import { Cookie, CookieJar, canonicalDomain, cookieCompare, defaultPath } from 'tough-cookie';
+import { FileCookieStore } from './fileCookieStore.js';
+import { CookieJarError } from './errors.js';
+import { importNetscape } from './netscape.js';
+import { importStorageState } from './browserCookies.js';
+import { importHar } from './har.js';
+import { AdapterCookieStore } from './adapterStore.js';
+import { addSnapshotMethods } from './snapshot.js';
+import { mergeCookieHeader, parseCookieHeader, validateMergeStrategy } from './cookieHeader.js';
+import { getCookieHeader, hasCookieHeader, toHeaderObject, withCookieHeader } from './requestHeaders.js';
+import { followRedirects, getRedirectLocation, resolveRedirectOptions } from './redirects.js';
+import { getSameSiteDecision, validateSite } from './sameSite.js';
+import { isSecureOrigin, resolveSecureContexts, toCookieUrl } from './secureContext.js';
+import { resolveDomainPolicy } from './domainPolicy.js';
+import { checkCookieSize, enforceLimitsAfterStore, resolveCookieLimits, saveAccessTimes } from './limits.js';
+import { checkCookiePrefix, validatePrefixMode } from './prefixes.js';
+import { addPartitionMethods, checkPartitioned, getPartitionJar, getPartitionKey, isPartitioned, listJarCookies, loadPartitions } from './partitioned.js';
+import { compilePolicies } from './policy.js';
+import { addEventMethods, emitCookieEvent, getCookieEvents } from './events.js';
+import { isExpired, removeCookie } from './cookieUtils.js';
+import { createLogger } from './logger.js';
+import { createCookieMetrics } from './metrics.js';
+import { createTraceRecorder, formatCookieTrace } from './cookieTrace.js';
+import { notStored, setResponseCookies, toSentCookies } from './responseCookies.js';
+
+export { FileCookieStore, CookieJarError };
+export { generateCookieKey } from './encryption.js';
+export { importNetscape, exportNetscape, parseNetscape, formatNetscape } from './netscape.js';
+export {
+	importStorageState,
+	exportStorageState,
+	importPuppeteerCookies,
+	exportPuppeteerCookies,
+	fromBrowserCookie,
+	toBrowserCookie
+} from './browserCookies.js';
+export { importHar, createHarRecorder, toHarCookie } from './har.js';
+export { parseCookieHeader, mergeCookieHeader } from './cookieHeader.js';
+export { AdapterCookieStore, createMemoryAdapter } from './adapterStore.js';
+export { adapterConformanceTests, runAdapterConformance } from './adapterConformance.js';
+export { snapshotJar, restoreJar, diffSnapshots } from './snapshot.js';
+export { getSameSiteDecision } from './sameSite.js';
+export { enforceCookieLimits, DEFAULT_COOKIE_LIMITS } from './limits.js';
+export { COOKIE_EVENTS } from './events.js';
+export { redactCookie } from './logger.js';
+export { COOKIE_METRICS } from './metrics.js';
+export { formatCookieTrace } from './cookieTrace.js';
+
+/**
+ * @typedef {Object} CookieJarPersistOptions
+ * @property {string} path - JSON file the jar is loaded from and written back to.
+ * @property {number} [mode=0o600] - File mode used when writing the cookie file.
+ * @property {import('./encryption.js').CookieEncryptionOptions} [encryption] - Encrypt the file at rest (AES-256-GCM).
+ */
+
+/**
+ * @typedef {Object} CookieJarSeedOptions
+ * @property {string} [netscape] - Path of a Netscape cookies.txt file to import on attach.
+ * @property {string} [storageState] - Path of a Playwright storageState JSON file to import on attach.
+ * @property {string} [har] - Path of a HAR file whose cookie traffic is replayed into the jar on attach.
+ */
+
+/**
+ * Per-request cookie controls, passed as the `cookies` request option.
+ * `false` is short for `{ send: false, store: false }`.
+ * @typedef {Object} RequestCookieOptions
+ * @property {boolean} [send=true] - Add the jar's cookies to this request.
+ * @property {boolean} [store=true] - Store the cookies this response sets.
+ * @property {CookieJar} [jar] - Use this jar instead of the plugin's jar for this request.
+ * @property {string} [site] - Top-level site for this request, overriding the plugin's `site` option.
+ * @property {boolean} [navigation=false] - Treat the request as a top-level navigation (SameSite=Lax cookies are sent cross-site on safe methods).
+ * @property {boolean} [trace] - Record a cookie trace for this request, overriding the plugin's `trace` option.
+ */
 
 /**
  * @typedef {Object} CookieJarPluginOptions
  * @property {CookieJar} [jar] - Provide your own CookieJar instance to share across clients.
+ * @property {CookieJarPersistOptions} [persist] - Persist the jar to a file between runs.
+ * @property {import('./adapterStore.js').CookieStoreAdapter} [store] - Back the jar with an async get/set/delete/list adapter.
+ * @property {CookieJarSeedOptions} [seed] - Cookies imported into the jar when the plugin attaches.
+ * @property {import('./har.js').HarRecorder} [har] - Records the Cookie/Set-Cookie traffic of every request.
+ * @property {import('./cookieHeader.js').CookieMergeStrategy} [mergeStrategy='manual-wins'] - Which cookie is sent when a manual Cookie header and the jar have the same name.
+ * @property {boolean|import('./redirects.js').RedirectOptions} [redirects] - Follow redirects in the plugin, storing and sending cookies on every hop.
+ * @property {string|((context: Object) => string|undefined|Promise<string|undefined>)} [site] - Top-level site requests are made for; enables SameSite enforcement and keys partitioned cookies.
+ * @property {Array<string|RegExp>|((url: URL) => boolean)} [secureContexts] - Hosts (exact, `*.` wildcard or RegExp) or a predicate whose plain-http requests may store and send Secure cookies.
+ * @property {Array<string|RegExp>} [allowDomains] - Only requests to these hosts (exact, `*.` wildcard or RegExp) store and send cookies.
+ * @property {Array<string|RegExp>} [denyDomains] - Requests to these hosts never store or send cookies; wins over `allowDomains`.
+ * @property {(rejection: import('./domainPolicy.js').CookieRejection) => void} [onCookieRejected] - Called for every cookie that was not stored or sent. Defaults to a warning on the logger.
+ * @property {boolean|import('./limits.js').CookieLimits} [limits] - Cap cookie size and count per domain and per jar, evicting least recently used cookies. `true` uses browser-like defaults.
+ * @property {import('./prefixes.js').CookiePrefixMode|false} [cookiePrefixes='reject'] - Enforce `__Host-`/`__Secure-` prefix rules on stored cookies: reject violations, or warn and store them. `false` leaves it to the jar.
+ * @property {import('./policy.js').CookiePolicyRule[]} [policies] - Rules evaluated in order for every stored and sent cookie; each accepts, rejects or rewrites matching cookies.
+ * @property {(match: import('./policy.js').CookiePolicyMatchRecord) => void} [onPolicyMatch] - Called for every policy rule that matched a cookie, for auditing.
+ * @property {import('./metrics.js').CookieMetricsSink} [metrics] - Receives cookie counters, gauges and histograms, also kept in `plugin.stats()`.
+ * @property {boolean} [trace=false] - Record in `context.cookieTrace` whether each cookie in the jar was sent with a request, and why not. Traces are also logged at debug level.
+ * @property {import('./logger.js').CookieLogger|false} [logger] - Receives the plugin's log messages with structured fields and redacted cookie values. Defaults to console warnings and errors; `false` silences it.
+ * @property {false|Array<string|number>} [errorStatuses=['4xx', '5xx']] - Failed responses whose Set-Cookie headers are stored: status classes ('4xx') or exact statuses (401). `false` ignores them.
  */
 
 /**
@@ -15,38 +107,706 @@ import { CookieJar } from 'tough-cookie';
  * @returns {Object} Luminara plugin object
  */
 export function cookieJarPlugin(options = {}) {
-	const { jar: externalJar } = options;
-	const jar = externalJar ?? new CookieJar();
+	const { jar: externalJar, persist, store, seed, har } = options;
+	const mergeStrategy = validateMergeStrategy(options.mergeStrategy ?? 'manual-wins');
+	const redirects = resolveRedirectOptions(options.redirects);
+	const errorStatuses = resolveErrorStatuses(options.errorStatuses ?? ['4xx', '5xx']);
+	const site = validateSite(options.site);
+	const secureContexts = resolveSecureContexts(options.secureContexts);
+	const domainPolicy = resolveDomainPolicy(options);
+	const limits = resolveCookieLimits(options.limits);
+	const cookiePrefixes = validatePrefixMode(options.cookiePrefixes ?? 'reject');
+	const log = createLogger(options.logger);
+
+	// Callbacks, listeners and the metrics sink only observe cookies, so one that throws is logged instead of failing the request
+	const notify = (name, callback, ...args) => {
+		try {
+			callback?.(...args);
+		} catch (error) {
+			log.error({ callback: name, error: error.message }, `${name} threw: ${error.message}`);
+		}
+	};
+
+	const metrics = createCookieMetrics(options.metrics, notify);
+	const onCookieRejected = options.onCookieRejected ?? ((rejection) => warnCookieRejected(log, rejection));
+	const policy = compilePolicies(options.policies);
+	const onPolicyMatch = options.onPolicyMatch;
+	const trace = options.trace ?? false;
+
+	if (typeof trace !== 'boolean') {
+		throw new CookieJarError('The "trace" option must be a boolean', 'INVALID_OPTIONS');
+	}
+
+	for (const name of ['onCookieRejected', 'onPolicyMatch']) {
+		if (options[name] !== undefined && typeof options[name] !== 'function') {
+			throw new CookieJarError(`The "${name}" option must be a function`, 'INVALID_OPTIONS');
+		}
+	}
+
+	const storageOptions = ['jar', 'persist', 'store'].filter((name) => options[name]);
+	if (storageOptions.length > 1) {
+		const names = storageOptions.map((name) => `"${name}"`).join(' and ');
+		throw new CookieJarError(`Options ${names} cannot be combined; pick one way to provide the jar`, 'INVALID_OPTIONS');
+	}
+
+	// In warn mode the plugin validates prefixes itself, so its own jar must not drop violations
+	if (cookiePrefixes === 'warn' && externalJar && externalJar.prefixSecurity !== 'unsafe-disabled') {
+		throw new CookieJarError('The "cookiePrefixes" option \'warn\' needs a "jar" created with prefixSecurity \'unsafe-disabled\', or the jar drops the cookies it should only warn about', 'INVALID_OPTIONS');
+	}
+	const jarOptions = cookiePrefixes === 'warn' ? { prefixSecurity: 'unsafe-disabled' } : undefined;
+	const jar = addEventMethods(addPartitionMethods(addSnapshotMethods(externalJar ?? createJar(persist, store, jarOptions, log))));
+	const events = getCookieEvents(jar);
+	let ready = null;
+
+	// HAR exchanges waiting for their response, keyed by request
+	const pendingExchanges = new WeakMap();
+
+	// Requests whose redirects the plugin follows, keyed by request
+	const redirectRequests = new WeakMap();
+
+	// Top-level site of each request, resolved once in onRequest
+	const requestSites = new WeakMap();
+
+	// Cookies each request was sent with, keyed by request; followed redirects replace them hop by hop
+	const requestCookies = new WeakMap();
+
+	const sameSiteFor = (context, cookieOptions, url) => getSameSiteDecision(url, requestSites.get(context.req), {
+		method: context.req?.method,
+		navigation: cookieOptions.navigation
+	});
+
+	const emitEvent = (event) => emitCookieEvent(events, event, (error) => {
+		log.error({ event: event.type, error: error.message }, `A ${event.type} listener threw: ${error.message}`);
+	});
+
+	const emit = (type, context, url, cookie, details) => {
+		log.debug({ event: type, url, name: cookie.key, cookie, reason: details?.reason }, `${type} "${cookie.key}" for ${url}`);
+		emitEvent({ type, name: cookie.key, cookie, url, context, ...details });
+	};
+
+	// Reports a cookie that was not stored or sent
+	const rejectCookie = (context, rejection) => {
+		metrics.rejected(getHost(rejection.url), rejection.action);
+		notify('onCookieRejected', onCookieRejected, rejection);
+		emitEvent({ type: 'cookie:rejected', ...rejection, context });
+	};
+
+	// Runs the policy rules for one cookie; returns it (possibly rewritten) or the rejecting rule
+	const applyPolicy = (context, cookieOptions, action, url, cookie) => {
+		const thirdParty = sameSiteFor(context, cookieOptions, url)?.crossSite ?? false;
+		const { cookie: result, matches } = policy(cookie, { action, url, thirdParty });
+
+		for (const match of matches) {
+			notify('onPolicyMatch', onPolicyMatch, match);
+		}
+
+		return result ? { cookie: result } : { rule: matches[matches.length - 1].rule };
+	};
+
+	// Expired cookies are removed here rather than by tough-cookie, so they can be reported
+	const getLiveCookies = async (context, url, sourceJar, cookieUrl, getOptions) => {
+		const cookies = [];
+
+		for (const cookie of await sourceJar.getCookies(cookieUrl, { ...getOptions, expire: false })) {
+			if (isExpired(cookie)) {
+				await removeCookie(sourceJar.store, cookie);
+				emit('cookie:expired', context, url, cookie);
+			} else {
+				cookies.push(cookie);
+			}
+		}
+
+		// Least-recently-used eviction needs the access times tough-cookie just set
+		if (limits) {
+			await saveAccessTimes(sourceJar.store, cookies);
+		}
+
+		return cookies;
+	};
+
+	// Jar reads and writes of the hooks and redirect hops: trusted dev hosts count as https,
+	// SameSite rules apply, partitioned cookies stay in their partition and hosts blocked by
+	// the domain policy neither send nor store
+	// A trace recorder, when given, is told what happened to each cookie
+	const readJar = async (context, targetJar, cookieOptions, url, recorder) => {
+		const cookieUrl = toCookieUrl(url, secureContexts);
+		const getOptions = sameSiteOptions(sameSiteFor(context, cookieOptions, url));
+		const partitionJar = getPartitionJar(targetJar, getPartitionKey(url, requestSites.get(context.req)));
+		const blocked = domainPolicy?.(url);
+
+		const cookies = [
+			...await getLiveCookies(context, url, targetJar, cookieUrl, getOptions),
+			...(partitionJar ? await getLiveCookies(context, url, partitionJar, cookieUrl, getOptions) : [])
+		];
+
+		if (blocked) {
+			for (const cookie of cookies) {
+				recorder?.withheld(cookie, 'blocked', blocked);
+				rejectCookie(context, { action: 'send', url, name: cookie.key, cookie: cookie.toString(), reason: blocked });
+			}
+
+			return [];
+		}
+
+		const sent = [];
+		for (const cookie of cookies.sort(cookieCompare)) {
+			const decision = policy ? applyPolicy(context, cookieOptions, 'send', url, cookie) : { cookie };
+			if (decision.cookie) {
+				sent.push(decision.cookie);
+				if (decision.cookie !== cookie) {
+					recorder?.rewritten(cookie, decision.cookie);
+				}
+			} else {
+				const reason = `rejected by policy "${decision.rule}"`;
+				recorder?.withheld(cookie, 'policy', reason);
+				rejectCookie(context, { action: 'send', url, name: cookie.key, cookie: cookie.toString(), reason, rule: decision.rule });
+			}
+		}
+
+		return sent;
+	};
+
+	// Builds the Cookie header from the caller's cookies and the jar's, reporting the jar
+	// cookies that made it in; resolves to the header and those cookies
+	const sendCookies = (context, url, manualCookie, cookies, recorder) => {
+		const jarCookie = cookies.map((cookie) => cookie.cookieString()).join('; ');
+		const overridden = mergeStrategy === 'manual-wins'
+			? new Set(parseCookieHeader(manualCookie).map((pair) => pair.name).filter(Boolean))
+			: new Set();
+		const sent = cookies.filter((cookie) => !overridden.has(cookie.key));
+		const header = mergeCookieHeader(manualCookie, jarCookie, mergeStrategy);
+
+		for (const cookie of cookies) {
+			if (overridden.has(cookie.key)) {
+				recorder?.withheld(cookie, 'overridden', `the request's Cookie header sets "${cookie.key}"`);
+			} else {
+				recorder?.sent(cookie);
+			}
+		}
+
+		for (const cookie of sent) {
+			emit('cookie:sent', context, url, cookie);
+		}
+		metrics.requestSent(getHost(url), sent, header);
+
+		return { header, sent };
+	};
+
+	// Stores a response's cookies; resolves to the outcome of each Set-Cookie header
+	const writeJar = async (context, targetJar, cookieOptions, url, res) => {
+		const blocked = domainPolicy?.(url);
+
+		// Outcomes keyed by the header as it is stored, which policy rules may rewrite
+		const outcomes = [];
+		const outcomeOf = new Map();
+
+		const reject = (setCookie, reason, rule) => {
+			outcomeOf.get(setCookie).reason = reason;
+			rejectCookie(context, { action: 'store', url, name: getCookieName(setCookie), cookie: setCookie, reason, ...(rule && { rule }) });
+		};
+
+		// Policy rules see the parsed cookie; rewritten cookies are stored as their new Set-Cookie
+		const checkPolicy = (setCookie) => {
+			const cookie = policy ? Cookie.parse(setCookie) : null;
+			if (!cookie) {
+				return setCookie;
+			}
+
+			const decision = applyPolicy(context, cookieOptions, 'store', url, cookie);
+			if (!decision.cookie) {
+				reject(setCookie, `rejected by policy "${decision.rule}"`, decision.rule);
+
+				return null;
+			}
+
+			return decision.cookie === cookie ? setCookie : decision.cookie.toString();
+		};
+
+		const secureOrigin = isSecureOrigin(url, secureContexts);
+
+		// Prefix violations are rejected, or only logged in warn mode
+		const checkPrefix = (setCookie) => {
+			const violation = cookiePrefixes ? checkCookiePrefix(setCookie, secureOrigin) : null;
+			if (violation && cookiePrefixes === 'warn') {
+				const name = getCookieName(setCookie);
+				log.warn({ url, name, reason: violation, cookie: setCookie }, `Cookie "${name}" from ${url} breaks its prefix rules: ${violation}`);
+
+				return null;
+			}
+
+			return violation;
+		};
+
+		const setCookies = [];
+		for (const header of getSetCookieHeaders(res)) {
+			const outcome = { setCookie: header, cookie: null, accepted: false, reason: 'dropped by the jar' };
+			outcomes.push(outcome);
+			outcomeOf.set(header, outcome);
+
+			if (blocked) {
+				reject(header, blocked);
+				continue;
+			}
+
+			const setCookie = checkPolicy(header);
+			if (!setCookie) {
+				continue;
+			}
+			outcomeOf.set(setCookie, outcome);
+
+			const reason = checkPrefix(setCookie)
+				?? checkPartitioned(setCookie)
+				?? (limits && checkCookieSize(setCookie, limits.maxCookieBytes));
+			if (reason) {
+				reject(setCookie, reason);
+			} else {
+				setCookies.push(setCookie);
+			}
+		}
+
+		const cookieUrl = toCookieUrl(url, secureContexts);
+		const setCookieOptions = sameSiteOptions(sameSiteFor(context, cookieOptions, url));
+		const onRejected = (setCookie, error) => reject(setCookie, error.message);
+
+		// What the response did to the jar, for the limits
+		const storedCookies = [];
+		let added = 0;
+
+		// A Set-Cookie dated in the past deletes the cookie; it is removed now rather than on the next read
+		const storeIn = (sourceJar, values, partition) => storeSetCookies(sourceJar, cookieUrl, values, setCookieOptions, {
+			onRejected,
+			async onStored(cookie, previous, setCookie) {
+				Object.assign(outcomeOf.get(setCookie), { cookie, accepted: true, reason: null });
+				metrics.accepted(cookie.domain);
+
+				if (!isExpired(cookie)) {
+					storedCookies.push({ cookie, ...(partition && { partition }) });
+					added += previous ? 0 : 1;
+					emit(previous ? 'cookie:updated' : 'cookie:stored', context, url, cookie, previous ? { previous } : {});
+
+					return;
+				}
+
+				await removeCookie(sourceJar.store, cookie);
+				if (previous) {
+					added--;
+					emit('cookie:deleted', context, url, previous, { reason: 'server' });
+				}
+			}
+		});
+
+		const partitioned = setCookies.filter(isPartitioned);
+		const partitionKey = getPartitionKey(url, requestSites.get(context.req));
+		const storedPartitioned = partitioned.length > 0
+			? await storeIn(getPartitionJar(targetJar, partitionKey, true), partitioned, partitionKey)
+			: 0;
+
+		const stored = await storeIn(targetJar, setCookies.filter((setCookie) => !partitioned.includes(setCookie)));
+
+		if (limits && stored + storedPartitioned > 0) {
+			const change = { stored: storedCookies, added };
+			const evictions = await enforceLimitsAfterStore(targetJar, limits, change, (cookie, { reason }) => {
+				metrics.evicted(cookie.domain, reason);
+				if (reason === 'expired') {
+					emit('cookie:expired', context, url, cookie);
+				} else {
+					emit('cookie:deleted', context, url, cookie, { reason });
+				}
+			});
+			if (evictions.length > 0) {
+				notify('limits.onEvict', limits.onEvict, evictions);
+			}
+		}
+
+		if (targetJar === jar && stored + storedPartitioned > 0 && metrics.wantsJarSize()) {
+			metrics.jarSize(await countCookies(jar));
+		}
+
+		return outcomes;
+	};
+
+	// Stores a response's cookies when the request allows it and lists them as `response.cookies`
+	const receiveCookies = async (context, targetJar, cookieOptions, url, res) => {
+		const outcomes = cookieOptions.store
+			? await writeJar(context, targetJar, cookieOptions, url, res)
+			: notStored(getSetCookieHeaders(res), 'the request has cookies.store: false');
+
+		setResponseCookies(res, outcomes, requestCookies.get(context.req));
+	};
+
+	// Stores a response's cookies and follows its redirects when the plugin took them over
+	const handleResponse = async (context, res) => {
+		await whenReady();
+		const cookieOptions = getRequestCookieOptions(context.req);
+		const targetJar = cookieOptions.jar ?? jar;
+
+		const url = resolveAbsoluteUrl(context);
+		await receiveCookies(context, targetJar, cookieOptions, url, res);
+
+		if (har) {
+			recordExchange(har, pendingExchanges, context, url, res);
+		}
+
+		const redirectRequest = redirectRequests.get(context.req);
+		redirectRequests.delete(context.req);
+
+		if (redirectRequest && getRedirectLocation(res, url)) {
+			const { response, chain } = await followRedirectChain(context, url, res, redirectRequest, {
+				redirects,
+				har,
+				notify,
+				cookieHeader: async (hopUrl, manualCookie) => {
+					const jarCookies = cookieOptions.send ? await readJar(context, targetJar, cookieOptions, hopUrl) : [];
+					const { header, sent } = sendCookies(context, hopUrl, manualCookie, jarCookies);
+					requestCookies.set(context.req, toSentCookies(header, sent));
+
+					return header;
+				},
+				receiveCookies: (hopUrl, hopRes) => receiveCookies(context, targetJar, cookieOptions, hopUrl, hopRes)
+			});
+
+			// Later plugins and the caller get the final hop's fetch Response instead of the 3xx
+			context.res = response;
+			context.redirectChain = chain;
+		}
+	};
+
+	// Loading and seeding run once, on attach; hooks wait for them to finish
+	const whenReady = () => {
+		if (!ready) {
+			ready = prepareJar(jar, seed, log);
+		}
+
+		return ready;
+	};
 
 	return {
 		name: 'cookie-jar',
 
+		// Cookie lifecycle events, shared with `client.jar` and every plugin using the same jar
+		on(type, listener) {
+			events.on(type, listener);
+
+			return this;
+		},
+
+		once(type, listener) {
+			events.once(type, listener);
+
+			return this;
+		},
+
+		off(type, listener) {
+			events.off(type, listener);
+
+			return this;
+		},
+
+		/**
+		 * Cookie counts since the plugin was created or the stats were reset.
+		 * @returns {Promise<import('./metrics.js').CookieStats>}
+		 */
+		async stats() {
+			await whenReady();
+
+			return metrics.snapshot(await countCookies(jar));
+		},
+
+		resetStats() {
+			metrics.reset();
+		},
+
 		onAttach(client) {
 			client.jar = jar;
+			whenReady().catch((error) => {
+				log.error({ error: error.message }, `Failed to load cookies: ${error.message}`);
+			});
 		},
 
 		async onRequest(context) {
+			await whenReady();
+			const cookieOptions = getRequestCookieOptions(context.req);
+			const targetJar = cookieOptions.jar ?? jar;
+
 			const url = resolveAbsoluteUrl(context);
+			requestSites.set(context.req, cookieOptions.site ?? (typeof site === 'function' ? await site(context) : site));
+			const sameSite = sameSiteFor(context, cookieOptions, url);
+			if (sameSite) {
+				context.sameSite = sameSite;
+			}
+
+			// The jar is listed before it is read, since reading removes expired cookies
+			const recorder = (cookieOptions.trace ?? trace) ? createTraceRecorder(url, {
+				site: requestSites.get(context.req),
+				sameSiteContext: sameSite?.sameSiteContext,
+				secure: isSecureOrigin(url, secureContexts),
+				partitionKey: getPartitionKey(url, requestSites.get(context.req))
+			}) : null;
+			const tracedCookies = recorder ? await listJarCookies(targetJar) : [];
+
 			const headers = context.req.headers || {};
-			const existingCookie = headers['Cookie'] || headers['cookie'] || '';
-			const jarCookie = await jar.getCookieString(url);
+			const existingCookie = getCookieHeader(headers);
+			const jarCookies = cookieOptions.send ? await readJar(context, targetJar, cookieOptions, url, recorder) : [];
+			const { header: mergedCookie, sent } = sendCookies(context, url, existingCookie, jarCookies, recorder);
+			context.sentCookies = toSentCookies(mergedCookie, sent);
+			requestCookies.set(context.req, context.sentCookies);
 
-			if (jarCookie) {
-				const mergedCookie = existingCookie
-					? `${existingCookie}; ${jarCookie}`
-					: jarCookie;
+			if (recorder) {
+				if (!cookieOptions.send) {
+					for (const { cookie } of tracedCookies) {
+						recorder.withheld(cookie, 'disabled', 'the request has cookies.send: false');
+					}
+				}
+
+				context.cookieTrace = recorder.finish(tracedCookies);
+				log.debug({ url, cookieTrace: context.cookieTrace }, formatCookieTrace(context.cookieTrace));
+			}
+
+			if (jarCookies.length > 0 || hasCookieHeader(headers)) {
+				context.req.headers = withCookieHeader(headers, mergedCookie);
+			}
+
+			// Take over redirects unless the caller chose how to handle them
+			if (redirects && (context.req.redirect ?? 'follow') === 'follow') {
+				context.req.redirect = 'manual';
+				redirectRequests.set(context.req, {
+					method: (context.req.method || 'GET').toUpperCase(),
+					headers: toHeaderObject(withCookieHeader(headers, '')),
+					manualCookie: existingCookie,
+					cookieHeader: mergedCookie,
+					startedAt: Date.now()
+				});
+			}
 
-				context.req.headers = {
-					...headers,
-					'Cookie': mergedCookie
-				};
+			if (har) {
+				pendingExchanges.set(context.req, {
+					startedAt: Date.now(),
+					method: (context.req.method || 'GET').toUpperCase(),
+					url,
+					cookieHeader: mergedCookie
+				});
 			}
 		},
 
 		async onResponse(context) {
+			await handleResponse(context, context.res);
+		},
+
+		async onResponseError(context) {
+			// Servers rotate or clear sessions on 401/403/500 too
+			const res = context.res ?? context.error?.response;
+			const status = res?.status ?? context.error?.status;
+			if (!res) {
+				return;
+			}
+
+			// Clients that fail non-2xx responses report the 3xx of a redirect the plugin took over
+			// here; it is a hop of the chain, not a failure, whatever errorStatuses says
+			if (redirectRequests.has(context.req) && getRedirectLocation(res, resolveAbsoluteUrl(context))) {
+				await handleResponse(context, res);
+
+				return;
+			}
+
+			if (!matchesStatus(errorStatuses, status)) {
+				setResponseCookies(res, notStored(getSetCookieHeaders(res), `status ${status} is not in errorStatuses`), requestCookies.get(context.req));
+
+				// The exchange still happened, so it belongs in the HAR log even though its cookies were not stored
+				if (har) {
+					recordExchange(har, pendingExchanges, context, resolveAbsoluteUrl(context), res);
+				}
+
+				return;
+			}
+
+			await whenReady();
+			const cookieOptions = getRequestCookieOptions(context.req);
 			const url = resolveAbsoluteUrl(context);
-			await storeSetCookiesFromResponse(jar, url, context.res);
+
+			await receiveCookies(context, cookieOptions.jar ?? jar, cookieOptions, url, res);
+
+			if (har) {
+				recordExchange(har, pendingExchanges, context, url, res);
+			}
+		},
+	};
+}
+
+/**
+ * Creates the plugin's own jar, backed by a file or store adapter when requested.
+ */
+function createJar(persist, store, jarOptions, logger) {
+	if (persist) {
+		return new CookieJar(new FileCookieStore(persist.path, { logger, ...persist }), jarOptions);
+	}
+
+	if (store) {
+		return new CookieJar(new AdapterCookieStore(store), jarOptions);
+	}
+
+	return new CookieJar(undefined, jarOptions);
+}
+
+/**
+ * Waits for stores that load asynchronously (such as FileCookieStore), then imports seed cookies.
+ */
+async function prepareJar(jar, seed, logger) {
+	if (typeof jar.store?.load === 'function') {
+		await jar.store.load();
+	}
+
+	await loadPartitions(jar);
+
+	if (seed?.netscape) {
+		await importNetscape(jar, await readFile(seed.netscape, 'utf8'), { logger });
+	}
+
+	if (seed?.storageState) {
+		await importStorageState(jar, await readFile(seed.storageState, 'utf8'), { logger });
+	}
+
+	if (seed?.har) {
+		await importHar(jar, await readFile(seed.har, 'utf8'), { logger });
+	}
+}
+
+/**
+ * Follows the redirects of a response the plugin took over, storing and sending cookies on every hop.
+ */
+function followRedirectChain(context, url, res, redirectRequest, { redirects, har, notify, cookieHeader, receiveCookies }) {
+	const firstHop = {
+		method: redirectRequest.method,
+		url,
+		cookieHeader: redirectRequest.cookieHeader,
+		status: res.status,
+		statusText: res.statusText,
+		location: getRedirectLocation(res, url),
+		setCookies: getSetCookieHeaders(res),
+		startedAt: redirectRequest.startedAt
+	};
+	notify('redirects.onRedirect', redirects.onRedirect, firstHop);
+
+	const start = {
+		method: redirectRequest.method,
+		headers: redirectRequest.headers,
+		body: context.req.body,
+		signal: context.req.signal,
+		hop: firstHop,
+		response: res
+	};
+
+	return followRedirects(start, {
+		cookieHeader(hopUrl, sameOrigin) {
+			// Like fetch, a manual Cookie header does not follow the request to another origin
+			return cookieHeader(hopUrl, sameOrigin ? redirectRequest.manualCookie : '');
 		},
+
+		async storeCookies(hopUrl, res) {
+			await receiveCookies(hopUrl, res);
+
+			return getSetCookieHeaders(res);
+		},
+
+		onHop(hop) {
+			har?.record(hop);
+			notify('redirects.onRedirect', redirects.onRedirect, hop);
+		}
+	}, redirects);
+}
+
+/**
+ * Completes the pending HAR exchange for a request with its response.
+ */
+function recordExchange(har, pendingExchanges, context, url, res = context.res) {
+	const pending = pendingExchanges.get(context.req) ?? {
+		startedAt: Date.now(),
+		method: (context.req?.method || 'GET').toUpperCase(),
+		url,
+		cookieHeader: ''
+	};
+	pendingExchanges.delete(context.req);
+
+	har.record({
+		...pending,
+		status: res?.status,
+		statusText: res?.statusText,
+		setCookies: getSetCookieHeaders(res)
+	});
+}
+
+/**
+ * Validates the `errorStatuses` option.
+ * @returns {Array<string|number>}
+ */
+function resolveErrorStatuses(option) {
+	if (option === false) {
+		return [];
+	}
+
+	if (!Array.isArray(option) || !option.every(isStatusEntry)) {
+		throw new CookieJarError('errorStatuses must be false or an array of status classes (\'4xx\') and statuses (401)', 'INVALID_OPTIONS');
+	}
+
+	return option;
+}
+
+function isStatusEntry(entry) {
+	if (typeof entry === 'string') {
+		return /^[1-5]xx$/.test(entry);
+	}
+
+	return Number.isInteger(entry) && entry >= 100 && entry <= 599;
+}
+
+/**
+ * Checks a status against status classes ('4xx') and exact statuses.
+ */
+function matchesStatus(statuses, status) {
+	if (!Number.isInteger(status)) {
+		return false;
+	}
+
+	return statuses.some((entry) => typeof entry === 'number' ? entry === status : entry[0] === String(status)[0]);
+}
+
+/**
+ * Reads the `cookies` request option.
+ * @returns {{ send: boolean, store: boolean, jar: CookieJar|undefined, site: string|undefined, navigation: boolean, trace: boolean|undefined }}
+ */
+function getRequestCookieOptions(req) {
+	const option = req?.cookies;
+
+	if (option === undefined || option === null || option === true) {
+		return { send: true, store: true, jar: undefined, site: undefined, navigation: false, trace: undefined };
+	}
+
+	if (option === false) {
+		return { send: false, store: false, jar: undefined, site: undefined, navigation: false, trace: undefined };
+	}
+
+	if (typeof option !== 'object') {
+		throw new CookieJarError('The "cookies" request option must be a boolean or an object', 'INVALID_OPTIONS');
+	}
+
+	if (option.jar !== undefined && typeof option.jar?.getCookieString !== 'function') {
+		throw new CookieJarError('The "cookies.jar" request option must be a CookieJar', 'INVALID_OPTIONS');
+	}
+
+	if (option.trace !== undefined && typeof option.trace !== 'boolean') {
+		throw new CookieJarError('The "cookies.trace" request option must be a boolean', 'INVALID_OPTIONS');
+	}
+
+	if (option.site !== undefined && typeof option.site !== 'string') {
+		throw new CookieJarError('The "cookies.site" request option must be a URL or host name', 'INVALID_OPTIONS');
+	}
+
+	return {
+		send: option.send ?? true,
+		store: option.store ?? true,
+		jar: option.jar,
+		site: validateSite(option.site),
+		navigation: option.navigation ?? false,
+		trace: option.trace
 	};
 }
 
@@ -74,11 +834,11 @@ function resolveAbsoluteUrl(context) {
 }
 
 /**
- * Extracts and stores Set-Cookie headers from response.
+ * Extracts the deduplicated Set-Cookie header values from a response.
  */
-async function storeSetCookiesFromResponse(jar, url, res) {
+function getSetCookieHeaders(res) {
 	if (!res || !res.headers) {
-		return;
+		return [];
 	}
 
 	const rawHeaders = res.headers;
@@ -105,27 +865,119 @@ async function storeSetCookiesFromResponse(jar, url, res) {
 
 	// Deduplicate
 	const seen = new Set();
-	setCookieValues = setCookieValues.filter((value) => {
+
+	return setCookieValues.filter((value) => {
 		if (seen.has(value)) {
 			return false;
 		}
 		seen.add(value);
 		return true;
 	});
+}
+
+/**
+ * tough-cookie options enforcing a SameSite decision (none without a decision).
+ */
+function sameSiteOptions(decision) {
+	return decision ? { sameSiteContext: decision.sameSiteContext } : {};
+}
+
+/**
+ * Reports a cookie that was not stored or sent; the default `onCookieRejected`.
+ * @param {Required<import('./logger.js').CookieLogger>} log - Plugin logger
+ * @param {import('./domainPolicy.js').CookieRejection} rejection
+ */
+function warnCookieRejected(log, { action, url, name, cookie, reason, rule }) {
+	const verb = action === 'send' ? 'Withheld' : 'Rejected';
+	log.warn({ action, url, name, reason, rule, cookie }, `${verb} cookie "${name}" for ${url}: ${reason}`);
+}
+
+/**
+ * Returns the host of a URL, or an empty string for URLs that do not parse.
+ */
+function getHost(url) {
+	try {
+		return new URL(url).hostname;
+	} catch {
+		return '';
+	}
+}
+
+/**
+ * Counts the cookies in a jar and its partitions.
+ */
+async function countCookies(jar) {
+	return (await listJarCookies(jar)).length;
+}
+
+
+/**
+ * Returns the name of a Set-Cookie header.
+ */
+function getCookieName(setCookie) {
+	const pair = setCookie.split(';')[0];
+
+	return pair.includes('=') ? pair.slice(0, pair.indexOf('=')).trim() : '';
+}
+
+/**
+ * Stores Set-Cookie header values in the jar.
+ * Cookies the jar refuses are passed to `onRejected` with the error; stored cookies are
+ * passed to `onStored` with the cookie they replaced, if any, and their header.
+ * @returns {Promise<number>} Number of cookies stored
+ */
+async function storeSetCookies(jar, url, setCookieValues, setCookieOptions, { onStored, onRejected }) {
+	let stored = 0;
 
-	// Store cookies
 	for (const value of setCookieValues) {
+		let cookie;
+		let previous;
 		try {
-			await new Promise((resolve, reject) => {
-				jar.setCookie(value, url, (err) => {
+			previous = await findStoredCookie(jar, url, value);
+			cookie = await new Promise((resolve, reject) => {
+				jar.setCookie(value, url, setCookieOptions, (err, result) => {
 					if (err) {
 						return reject(err);
 					}
-					resolve();
+					resolve(result);
 				});
 			});
 		} catch (error) {
-			console.warn(`[cookie-jar] Failed to store cookie: ${error.message}`);
+			onRejected(value, error);
+			continue;
+		}
+
+		// The jar resolves without a cookie when it drops one silently (prefix rules)
+		if (cookie) {
+			stored++;
+			await onStored(cookie, previous, value);
 		}
 	}
+
+	return stored;
+}
+
+/**
+ * Finds the stored cookie a Set-Cookie header would replace, resolving its domain and path
+ * the way the jar does.
+ * @returns {Promise<Cookie|null>}
+ */
+function findStoredCookie(jar, url, setCookie) {
+	const cookie = Cookie.parse(setCookie, { loose: jar.enableLooseMode });
+	if (!cookie) {
+		return Promise.resolve(null);
+	}
+
+	const { hostname, pathname } = new URL(url);
+	const domain = cookie.domain || canonicalDomain(hostname);
+	const path = cookie.path?.startsWith('/') ? cookie.path : defaultPath(pathname);
+
+	return new Promise((resolve, reject) => {
+		jar.store.findCookie(domain, path, cookie.key, (err, found) => {
+			if (err) {
+				return reject(err);
+			}
+			resolve(found ?? null);
+		});
+	});
 }
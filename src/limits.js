@@ -0,0 +1,261 @@
+/**
+ * Cookie quotas.
+ * Caps the size of single cookies and the number of cookies per domain and per jar, evicting
+ * in the order RFC 6265 section 5.3 suggests: expired cookies first, then cookies of domains
+ * over their quota, then any cookie, least recently used first. Partitioned cookies count
+ * towards the jar's total, and each partition has its own per-domain quota.
+ */
+import { MemoryCookieStore } from 'tough-cookie';
+import { CookieJarError } from './errors.js';
+import { isExpired, removeCookie } from './cookieUtils.js';
+import { getPartitionJar, listJarCookies } from './partitioned.js';
+
+/**
+ * Browser-like defaults, used for limits that are not set.
+ */
+export const DEFAULT_COOKIE_LIMITS = Object.freeze({
+	maxCookiesPerDomain: 180,
+	maxCookies: 3000,
+	maxCookieBytes: 4096
+});
+
+const LIMIT_NAMES = Object.keys(DEFAULT_COOKIE_LIMITS);
+
+// Cookies in each jar and its partitions, listed once and then kept up to date as the
+// plugins sharing the jar store and evict cookies
+const jarCounts = new WeakMap();
+
+/**
+ * @typedef {Object} CookieLimits
+ * @property {number} [maxCookiesPerDomain=180] - Cookies kept per domain attribute
+ * @property {number} [maxCookies=3000] - Cookies kept in the jar
+ * @property {number} [maxCookieBytes=4096] - Largest accepted cookie, counting name and value bytes
+ * @property {(evictions: CookieEviction[]) => void} [onEvict] - Called with the cookies evicted after a response
+ */
+
+/**
+ * A cookie removed to keep the jar within its limits.
+ * @typedef {Object} CookieEviction
+ * @property {string} name - Cookie name
+ * @property {string} domain - Cookie domain
+ * @property {string} path - Cookie path
+ * @property {string} [partition] - Partition key, for partitioned cookies
+ * @property {'expired'|'domain-limit'|'total-limit'} reason - Which rule evicted it
+ * @property {string} cookie - The evicted cookie, serialized
+ * @property {Date|null} lastAccessed - When the cookie was last stored or sent
+ */
+
+/**
+ * Normalizes the `limits` plugin option.
+ * @param {boolean|CookieLimits} [option] - `true` for the defaults, or limits overriding them
+ * @returns {Required<Omit<CookieLimits, 'onEvict'>> & Pick<CookieLimits, 'onEvict'> | null}
+ */
+export function resolveCookieLimits(option) {
+	if (!option) {
+		return null;
+	}
+
+	const limits = { ...DEFAULT_COOKIE_LIMITS, ...(option === true ? {} : option) };
+
+	for (const name of LIMIT_NAMES) {
+		const value = limits[name];
+		if (value !== Infinity && (!Number.isInteger(value) || value < 1)) {
+			throw new CookieJarError(`limits.${name} must be a positive integer or Infinity`, 'INVALID_OPTIONS');
+		}
+	}
+
+	if (limits.onEvict !== undefined && typeof limits.onEvict !== 'function') {
+		throw new CookieJarError('limits.onEvict must be a function', 'INVALID_OPTIONS');
+	}
+
+	return limits;
+}
+
+/**
+ * Checks a Set-Cookie header against `maxCookieBytes`, counting the name and value like browsers do.
+ * @param {string} setCookie - Set-Cookie header value
+ * @param {number} maxCookieBytes - Largest accepted cookie
+ * @returns {string|null} The rejection reason, or null when the cookie fits
+ */
+export function checkCookieSize(setCookie, maxCookieBytes) {
+	const pair = setCookie.split(';')[0];
+	const size = Buffer.byteLength(pair.replace('=', '').trim());
+
+	return size > maxCookieBytes ? `cookie is ${size} bytes, more than maxCookieBytes (${maxCookieBytes})` : null;
+}
+
+/**
+ * Evicts cookies until the jar and its partitions are within their limits.
+ * Reads the whole jar; the plugin itself uses {@link enforceLimitsAfterStore}.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @param {CookieLimits} [limits] - Limits; unset ones use the defaults
+ * @param {(cookie: import('tough-cookie').Cookie, eviction: CookieEviction) => void} [onEvicted] - Called with each cookie as it is evicted
+ * @returns {Promise<CookieEviction[]>} The evicted cookies, in eviction order
+ */
+export async function enforceCookieLimits(jar, limits = {}, onEvicted) {
+	const { maxCookiesPerDomain, maxCookies } = { ...DEFAULT_COOKIE_LIMITS, ...limits };
+	const evictions = [];
+
+	jarCounts.set(jar, await trimJar(jar, maxCookiesPerDomain, maxCookies, createEvictor(jar, evictions, onEvicted)));
+
+	return evictions;
+}
+
+/**
+ * Keeps a jar within its limits after a response stored cookies in it, without reading the
+ * whole jar: only the domains stored into are checked against `maxCookiesPerDomain`, and the
+ * count of cookies is kept as they are stored and evicted. Once the count goes over
+ * `maxCookies`, the jar is listed and trimmed to 90% of it, so the listing is not repeated
+ * on every response of a full jar.
+ * Cookies added to the jar other than through the plugin are counted at the next listing.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar the response stored into
+ * @param {CookieLimits} limits - Limits; unset ones use the defaults
+ * @param {Object} change - What the response did to the jar
+ * @param {Array<{ cookie: import('tough-cookie').Cookie, partition?: string }>} change.stored - Cookies it stored
+ * @param {number} change.added - How many cookies it added, less the ones it deleted
+ * @param {(cookie: import('tough-cookie').Cookie, eviction: CookieEviction) => void} [onEvicted] - Called with each cookie as it is evicted
+ * @returns {Promise<CookieEviction[]>} The evicted cookies, in eviction order
+ */
+export async function enforceLimitsAfterStore(jar, limits, { stored, added }, onEvicted) {
+	const { maxCookiesPerDomain, maxCookies } = { ...DEFAULT_COOKIE_LIMITS, ...limits };
+	const evictions = [];
+	const evict = createEvictor(jar, evictions, onEvicted);
+
+	// The first check lists the jar to count it
+	if (!jarCounts.has(jar)) {
+		jarCounts.set(jar, await trimJar(jar, maxCookiesPerDomain, maxCookies, evict));
+
+		return evictions;
+	}
+
+	jarCounts.set(jar, jarCounts.get(jar) + added);
+
+	const domains = new Map();
+	for (const { cookie, partition } of stored) {
+		domains.set(JSON.stringify([partition ?? null, cookie.domain]), { partition, domain: cookie.domain });
+	}
+
+	const now = Date.now();
+	for (const { partition, domain } of domains.values()) {
+		const store = partition ? getPartitionJar(jar, partition).store : jar.store;
+		const cookies = (await store.findCookies(domain, null, true))
+			.filter((cookie) => cookie.domain === domain)
+			.map((cookie) => ({ cookie, ...(partition && { partition }) }));
+
+		await trimDomain(cookies, maxCookiesPerDomain, evict, now);
+	}
+
+	if (jarCounts.get(jar) > maxCookies) {
+		jarCounts.set(jar, await trimJar(jar, maxCookiesPerDomain, maxCookies - Math.floor(maxCookies / 10), evict));
+	}
+
+	return evictions;
+}
+
+/**
+ * Saves the access times tough-cookie just set on cookies it read, so least-recently-used
+ * eviction also works for stores that hand out copies (adapters) or write to disk.
+ * @param {import('tough-cookie').Store} store - Store the cookies were read from
+ * @param {import('tough-cookie').Cookie[]} cookies - Cookies read
+ */
+export async function saveAccessTimes(store, cookies) {
+	// A plain memory store returns the cookies it holds, which tough-cookie already updated
+	if (store.constructor === MemoryCookieStore) {
+		return;
+	}
+
+	for (const cookie of cookies) {
+		await store.updateCookie(cookie, cookie);
+	}
+}
+
+// Removes a cookie from the store it lives in and reports it
+function createEvictor(jar, evictions, onEvicted) {
+	return async ({ cookie, partition }, reason) => {
+		await removeCookie(partition ? getPartitionJar(jar, partition).store : jar.store, cookie);
+		if (jarCounts.has(jar)) {
+			jarCounts.set(jar, jarCounts.get(jar) - 1);
+		}
+
+		const eviction = {
+			name: cookie.key,
+			domain: cookie.domain,
+			path: cookie.path,
+			...(partition && { partition }),
+			reason,
+			cookie: cookie.toString(),
+			lastAccessed: cookie.lastAccessed instanceof Date ? cookie.lastAccessed : null
+		};
+		evictions.push(eviction);
+		onEvicted?.(cookie, eviction);
+	};
+}
+
+/**
+ * Evicts over the whole jar and its partitions, keeping at most `maxCookies`.
+ * @returns {Promise<number>} Cookies left
+ */
+async function trimJar(jar, maxCookiesPerDomain, maxCookies, evict) {
+	const now = Date.now();
+	const byDomain = new Map();
+	for (const entry of await listJarCookies(jar)) {
+		if (isExpired(entry.cookie, now)) {
+			await evict(entry, 'expired');
+			continue;
+		}
+
+		const domain = JSON.stringify([entry.partition ?? null, entry.cookie.domain]);
+		const domainCookies = byDomain.get(domain) ?? [];
+		domainCookies.push(entry);
+		byDomain.set(domain, domainCookies);
+	}
+
+	const cookies = [];
+	for (const domainCookies of byDomain.values()) {
+		cookies.push(...await trimDomain(domainCookies, maxCookiesPerDomain, evict, now));
+	}
+
+	// Least recently used first, so evicting from the front drops the oldest
+	cookies.sort((a, b) => compareLastAccessed(a.cookie, b.cookie));
+	const over = Math.max(0, cookies.length - maxCookies);
+	for (const entry of cookies.slice(0, over)) {
+		await evict(entry, 'total-limit');
+	}
+
+	return cookies.length - over;
+}
+
+/**
+ * Evicts the expired cookies of one domain, then its least recently used ones over the quota.
+ * @returns {Promise<Array<{ cookie: import('tough-cookie').Cookie, partition?: string }>>} Cookies left
+ */
+async function trimDomain(cookies, maxCookiesPerDomain, evict, now) {
+	const live = [];
+	for (const entry of cookies) {
+		if (isExpired(entry.cookie, now)) {
+			await evict(entry, 'expired');
+		} else {
+			live.push(entry);
+		}
+	}
+
+	live.sort((a, b) => compareLastAccessed(a.cookie, b.cookie));
+	const over = Math.max(0, live.length - maxCookiesPerDomain);
+	for (const entry of live.slice(0, over)) {
+		await evict(entry, 'domain-limit');
+	}
+
+	return live.slice(over);
+}
+
+function compareLastAccessed(a, b) {
+	const accessed = accessTime(a) - accessTime(b);
+
+	return accessed !== 0 ? accessed : (a.creationIndex || 0) - (b.creationIndex || 0);
+}
+
+function accessTime(cookie) {
+	const date = cookie.lastAccessed instanceof Date ? cookie.lastAccessed : cookie.creation;
+
+	return date instanceof Date ? date.getTime() : 0;
+}
@@ -0,0 +1,110 @@
+/**
+ * Logging.
+ * Messages go to an injectable logger (pino, bunyan or anything with level methods taking
+ * `(fields, message)`), with structured fields. Cookie values are redacted before they
+ * reach the logger, so secrets never end up in logs.
+ */
+import { CookieJarError } from './errors.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[redacted]';
+
+// Fields holding Set-Cookie strings, and fields holding Cookie request headers
+const SET_COOKIE_FIELDS = new Set(['cookie', 'setCookie']);
+const COOKIE_HEADER_FIELDS = new Set(['cookieHeader']);
+
+/**
+ * Each level method is optional; levels the logger lacks are skipped.
+ * @typedef {Object} CookieLogger
+ * @property {(fields: Object, message: string) => void} [debug] - Cookies stored, updated, deleted, expired and sent
+ * @property {(fields: Object, message: string) => void} [info] - Informational messages
+ * @property {(fields: Object, message: string) => void} [warn] - Rejected cookies and prefix violations
+ * @property {(fields: Object, message: string) => void} [error] - Cookies that could not be loaded or persisted
+ */
+
+// Prints warnings and errors with the plugin's prefix, as the plugin always has
+const consoleLogger = {
+	warn: (fields, message) => console.warn(`[cookie-jar] ${message}`),
+	error: (fields, message) => console.error(`[cookie-jar] ${message}`)
+};
+
+/**
+ * Wraps the `logger` option so every call gets redacted fields.
+ * The result is itself a {@link CookieLogger} with every level.
+ * @param {CookieLogger|false} [logger] - Logger to write to; `false` silences logging, omitted logs warnings and errors to the console
+ * @returns {Required<CookieLogger>}
+ */
+export function createLogger(logger = consoleLogger) {
+	if (logger === false) {
+		logger = {};
+	}
+
+	if (!logger || (typeof logger !== 'object' && typeof logger !== 'function')) {
+		throw new CookieJarError('The "logger" option must be false or an object with debug/info/warn/error methods', 'INVALID_OPTIONS');
+	}
+
+	const invalid = LOG_LEVELS.filter((level) => logger[level] !== undefined && typeof logger[level] !== 'function');
+	if (invalid.length > 0) {
+		throw new CookieJarError(`The "logger" option has non-function levels: ${invalid.join(', ')}`, 'INVALID_OPTIONS');
+	}
+
+	return Object.fromEntries(LOG_LEVELS.map((level) => [level, (fields, message) => {
+		// Methods are looked up on every call, so they stay bound to the logger (pino relies on it)
+		if (typeof logger[level] === 'function') {
+			logger[level](redactFields(fields), message);
+		}
+	}]));
+}
+
+/**
+ * Replaces the value of a Set-Cookie header with `[redacted]`, keeping its name and attributes.
+ * With `request: true`, redacts every pair of a Cookie request header instead.
+ * @param {string} header - Set-Cookie or Cookie header value
+ * @param {Object} [options={}] - Redaction options
+ * @param {boolean} [options.request=false] - The header is a Cookie request header
+ * @returns {string}
+ */
+export function redactCookie(header, options = {}) {
+	return String(header)
+		.split(';')
+		.map((pair, index) => {
+			// Only the first pair of a Set-Cookie is the cookie; the rest are attributes
+			if (!options.request && index > 0) {
+				return pair;
+			}
+
+			// A pair without "=" is a nameless cookie's value
+			const separator = pair.indexOf('=');
+
+			return separator === -1 ? pair.replace(/\S.*/, REDACTED) : `${pair.slice(0, separator)}=${REDACTED}`;
+		})
+		.join(';');
+}
+
+function redactFields(fields) {
+	const redacted = {};
+
+	for (const [key, value] of Object.entries(fields ?? {})) {
+		if (value === undefined) {
+			continue;
+		}
+
+		if (isCookie(value)) {
+			redacted[key] = redactCookie(value.toString());
+		} else if (SET_COOKIE_FIELDS.has(key) && typeof value === 'string') {
+			redacted[key] = redactCookie(value);
+		} else if (COOKIE_HEADER_FIELDS.has(key) && typeof value === 'string') {
+			redacted[key] = redactCookie(value, { request: true });
+		} else {
+			redacted[key] = value;
+		}
+	}
+
+	return redacted;
+}
+
+// tough-cookie Cookie, without depending on a particular copy of the class
+function isCookie(value) {
+	return Boolean(value) && typeof value === 'object' && 'key' in value && 'value' in value && typeof value.cookieString === 'function';
+}
@@ -0,0 +1,157 @@
+/**
+ * Cookie metrics.
+ * Counts what the plugin does with cookies, overall and per domain, and forwards every
+ * measurement to an optional metrics sink (a StatsD, Prometheus or OpenTelemetry adapter).
+ */
+import { CookieJarError } from './errors.js';
+
+/**
+ * Metric names reported to the sink.
+ * - `sent`, `headerBytes`: histograms, once per request and redirect hop, tagged with `host`
+ * - `accepted`, `evicted`: counters tagged with the cookie `domain` (`evicted` also with `reason`)
+ * - `rejected`: counter tagged with the request `host` and `action` (`store` or `send`)
+ * - `jarSize`: gauge, after responses that stored cookies in the plugin's jar
+ */
+export const COOKIE_METRICS = Object.freeze({
+	sent: 'cookie_jar.cookies_sent',
+	headerBytes: 'cookie_jar.cookie_header_bytes',
+	accepted: 'cookie_jar.cookies_accepted',
+	rejected: 'cookie_jar.cookies_rejected',
+	evicted: 'cookie_jar.cookies_evicted',
+	jarSize: 'cookie_jar.jar_size'
+});
+
+const SINK_METHODS = ['increment', 'gauge', 'histogram'];
+
+/**
+ * Each method is optional; measurements of a kind the sink lacks are skipped.
+ * @typedef {Object} CookieMetricsSink
+ * @property {(name: string, value: number, tags: Object<string, string>) => void} [increment] - Adds to a counter
+ * @property {(name: string, value: number, tags: Object<string, string>) => void} [gauge] - Sets a gauge
+ * @property {(name: string, value: number, tags: Object<string, string>) => void} [histogram] - Records one value of a distribution
+ */
+
+/**
+ * @typedef {Object} CookieDomainStats
+ * @property {number} sent - Cookies sent
+ * @property {number} accepted - Set-Cookie headers stored
+ * @property {number} rejected - Cookies not stored or sent
+ * @property {number} evicted - Cookies evicted by `limits`
+ */
+
+/**
+ * @typedef {Object} CookieStats
+ * @property {number} requests - Requests and redirect hops the plugin built a Cookie header for
+ * @property {number} sent - Cookies sent from the jar
+ * @property {number} cookieHeaderBytes - Bytes of every Cookie header sent
+ * @property {number} maxCookieHeaderBytes - Largest Cookie header sent
+ * @property {number} accepted - Set-Cookie headers stored
+ * @property {number} rejected - Cookies not stored or sent
+ * @property {number} evicted - Cookies evicted by `limits`
+ * @property {number} jarSize - Cookies in the plugin's jar, partitions included, when the stats were taken
+ * @property {Object<string, CookieDomainStats>} domains - The counts per cookie domain, or per request host for rejected cookies
+ */
+
+/**
+ * Creates the metrics recorder of a plugin.
+ * @param {CookieMetricsSink} [sink] - Where measurements are forwarded
+ * @param {(name: string, callback: () => void) => void} [notify] - Calls the sink, reporting its errors instead of throwing them
+ */
+export function createCookieMetrics(sink, notify = (name, callback) => callback()) {
+	if (sink !== undefined && (!sink || typeof sink !== 'object')) {
+		throw new CookieJarError('The "metrics" option must be an object with increment/gauge/histogram methods', 'INVALID_OPTIONS');
+	}
+
+	const invalid = SINK_METHODS.filter((method) => sink?.[method] !== undefined && typeof sink[method] !== 'function');
+	if (invalid.length > 0) {
+		throw new CookieJarError(`The "metrics" option has non-function methods: ${invalid.join(', ')}`, 'INVALID_OPTIONS');
+	}
+
+	let stats = emptyStats();
+
+	const report = (method, name, value, tags) => {
+		if (typeof sink?.[method] === 'function') {
+			notify(`metrics.${method}`, () => sink[method](name, value, tags));
+		}
+	};
+
+	const countDomain = (domain, field) => {
+		stats.domains[domain] ??= { sent: 0, accepted: 0, rejected: 0, evicted: 0 };
+		stats.domains[domain][field]++;
+	};
+
+	return {
+		/**
+		 * Records the Cookie header of a request and the jar cookies in it.
+		 * @param {string} host - Request host
+		 * @param {import('tough-cookie').Cookie[]} cookies - Jar cookies sent
+		 * @param {string} cookieHeader - The whole Cookie header
+		 */
+		requestSent(host, cookies, cookieHeader) {
+			const bytes = Buffer.byteLength(cookieHeader);
+
+			stats.requests++;
+			stats.sent += cookies.length;
+			stats.cookieHeaderBytes += bytes;
+			stats.maxCookieHeaderBytes = Math.max(stats.maxCookieHeaderBytes, bytes);
+			for (const cookie of cookies) {
+				countDomain(cookie.domain, 'sent');
+			}
+
+			report('histogram', COOKIE_METRICS.sent, cookies.length, { host });
+			report('histogram', COOKIE_METRICS.headerBytes, bytes, { host });
+		},
+
+		accepted(domain) {
+			stats.accepted++;
+			countDomain(domain, 'accepted');
+			report('increment', COOKIE_METRICS.accepted, 1, { domain });
+		},
+
+		rejected(host, action) {
+			stats.rejected++;
+			countDomain(host, 'rejected');
+			report('increment', COOKIE_METRICS.rejected, 1, { host, action });
+		},
+
+		evicted(domain, reason) {
+			stats.evicted++;
+			countDomain(domain, 'evicted');
+			report('increment', COOKIE_METRICS.evicted, 1, { domain, reason });
+		},
+
+		/**
+		 * Whether the sink wants the jar size, which costs a full read of the store.
+		 */
+		wantsJarSize: () => typeof sink?.gauge === 'function',
+
+		jarSize(size) {
+			report('gauge', COOKIE_METRICS.jarSize, size, {});
+		},
+
+		/**
+		 * @param {number} jarSize - Cookies currently in the jar
+		 * @returns {CookieStats} A copy of the counts so far
+		 */
+		snapshot(jarSize) {
+			return { ...structuredClone(stats), jarSize };
+		},
+
+		reset() {
+			stats = emptyStats();
+		}
+	};
+}
+
+function emptyStats() {
+	return {
+		requests: 0,
+		sent: 0,
+		cookieHeaderBytes: 0,
+		maxCookieHeaderBytes: 0,
+		accepted: 0,
+		rejected: 0,
+		evicted: 0,
+		domains: {}
+	};
+}
@@ -0,0 +1,154 @@
+/**
+ * Netscape cookies.txt import and export.
+ * The format used by curl, wget, yt-dlp and browser extensions.
+ */
+import { Cookie } from 'tough-cookie';
+import { cookieUrl, isExpired } from './cookieUtils.js';
+import { createLogger } from './logger.js';
+import { listJarCookies } from './partitioned.js';
+
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+const HEADER = [
+	'# Netscape HTTP Cookie File',
+	'# This file was generated by luminara-cookie-jar. Edit at your own risk.',
+	''
+].join('\n');
+
+/**
+ * Parses cookies.txt content into tough-cookie Cookie objects.
+ * Comments, blank lines, malformed lines and expired cookies are skipped.
+ * @param {string} text - cookies.txt content
+ * @returns {Cookie[]}
+ */
+export function parseNetscape(text) {
+	const cookies = [];
+	const now = Date.now();
+
+	for (const rawLine of String(text).split(/\r?\n/)) {
+		let line = rawLine.trim();
+		let httpOnly = false;
+
+		if (line.startsWith(HTTP_ONLY_PREFIX)) {
+			httpOnly = true;
+			line = line.slice(HTTP_ONLY_PREFIX.length);
+		} else if (!line || line.startsWith('#')) {
+			continue;
+		}
+
+		const fields = line.split('\t');
+		if (fields.length < 6) {
+			continue;
+		}
+
+		const [domainField, includeSubdomains, path, secure, expiry, name, value = ''] = fields;
+		const expirySeconds = Number(expiry);
+		if (!domainField || !name || !Number.isFinite(expirySeconds)) {
+			continue;
+		}
+
+		const cookie = new Cookie({
+			key: name,
+			value,
+			domain: domainField.replace(/^\./, '').toLowerCase(),
+			path: path || '/',
+			secure: secure.toUpperCase() === 'TRUE',
+			httpOnly,
+			hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+
+			// Expiry 0 marks a session cookie
+			expires: expirySeconds > 0 ? new Date(expirySeconds * 1000) : 'Infinity'
+		});
+
+		if (isExpired(cookie, now)) {
+			continue;
+		}
+
+		cookies.push(cookie);
+	}
+
+	return cookies;
+}
+
+/**
+ * Formats cookies as cookies.txt content.
+ * @param {Cookie[]} cookies - Cookies to format
+ * @returns {string}
+ */
+export function formatNetscape(cookies) {
+	const lines = cookies.map((cookie) => {
+		const domain = cookie.hostOnly ? cookie.domain : `.${cookie.domain}`;
+		const expiryTime = cookie.expiryTime();
+		const expiry = Number.isFinite(expiryTime) ? Math.floor(expiryTime / 1000) : 0;
+
+		return [
+			cookie.httpOnly ? `${HTTP_ONLY_PREFIX}${domain}` : domain,
+			cookie.hostOnly ? 'FALSE' : 'TRUE',
+			cookie.path || '/',
+			cookie.secure ? 'TRUE' : 'FALSE',
+			expiry,
+			cookie.key,
+			cookie.value
+		].join('\t');
+	});
+
+	return HEADER + lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * Imports cookies.txt content into a jar.
+ * @param {import('tough-cookie').CookieJar} jar - Target cookie jar
+ * @param {string} text - cookies.txt content
+ * @param {Object} [options={}] - Import options
+ * @param {import('./logger.js').CookieLogger|false} [options.logger] - Where cookies that fail to import are reported
+ * @returns {Promise<Cookie[]>} Cookies that were stored
+ */
+export async function importNetscape(jar, text, options = {}) {
+	const log = createLogger(options.logger);
+	const stored = [];
+
+	for (const cookie of parseNetscape(text)) {
+		try {
+			const result = await jar.setCookie(cookie, cookieUrl(cookie));
+			if (result) {
+				stored.push(result);
+			}
+		} catch (error) {
+			log.warn({ name: cookie.key, error: error.message }, `Failed to import cookie ${cookie.key}: ${error.message}`);
+		}
+	}
+
+	return stored;
+}
+
+/**
+ * Exports every unexpired cookie in a jar as cookies.txt content.
+ * cookies.txt has no partition column, so partitioned (CHIPS) cookies are
+ * left out and reported instead of being exported as unpartitioned ones.
+ * @param {import('tough-cookie').CookieJar} jar - Source cookie jar
+ * @param {Object} [options={}] - Export options
+ * @param {import('./logger.js').CookieLogger|false} [options.logger] - Where left-out partitioned cookies are reported
+ * @returns {Promise<string>}
+ */
+export async function exportNetscape(jar, options = {}) {
+	const now = Date.now();
+	const cookies = [];
+	let partitioned = 0;
+
+	for (const { cookie, partition } of await listJarCookies(jar)) {
+		if (isExpired(cookie, now)) {
+			continue;
+		}
+		if (partition) {
+			partitioned++;
+		} else {
+			cookies.push(cookie);
+		}
+	}
+
+	if (partitioned > 0) {
+		createLogger(options.logger).warn({ partitioned }, `Left ${partitioned} partitioned cookies out of the cookies.txt export: the format has no partition key`);
+	}
+
+	return formatNetscape(cookies);
+}
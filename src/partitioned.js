@@ -0,0 +1,168 @@
+/**
+ * Partitioned cookies (CHIPS).
+ * Cookies set with the `Partitioned` attribute are kept apart per partition key, the site
+ * (scheme and registrable domain) of the top-level page, and are only sent when a request
+ * is made for that same top-level site. Each partition is a separate jar, so a widget's
+ * cookie set under one site never reaches the widget embedded in another. Stores that
+ * provide `partitionStore(key)` (the file and adapter stores) persist partitions with the
+ * jar; other jars keep them in memory.
+ */
+import { Cookie, CookieJar } from 'tough-cookie';
+import { getAllCookies } from './cookieUtils.js';
+import { getSiteKey } from './sameSite.js';
+
+// Partition jars of each jar, keyed by partition key
+const partitionsByJar = new WeakMap();
+
+/**
+ * Checks whether a Set-Cookie header has the Partitioned attribute.
+ * @param {string} setCookie - Set-Cookie header value
+ * @returns {boolean}
+ */
+export function isPartitioned(setCookie) {
+	const cookie = Cookie.parse(setCookie);
+
+	return Boolean(cookie?.extensions?.some((extension) => extension.trim().toLowerCase() === 'partitioned'));
+}
+
+/**
+ * Checks the rules of a partitioned Set-Cookie header: like browsers, only Secure cookies can be partitioned.
+ * @param {string} setCookie - Set-Cookie header value
+ * @returns {string|null} The violated rule, or null
+ */
+export function checkPartitioned(setCookie) {
+	return isPartitioned(setCookie) && !Cookie.parse(setCookie)?.secure
+		? 'Partitioned cookie must have the Secure attribute'
+		: null;
+}
+
+/**
+ * Returns the partition key of a request: its top-level site, or the request's own site
+ * when it is not made for another page.
+ * @param {string} url - Request URL
+ * @param {string} [site] - Top-level site of the request
+ * @returns {string}
+ */
+export function getPartitionKey(url, site) {
+	return getSiteKey(site || url);
+}
+
+/**
+ * Returns the jar holding a partition's cookies.
+ * @param {CookieJar} jar - Jar the partition belongs to
+ * @param {string} partitionKey - Partition key from {@link getPartitionKey}
+ * @param {boolean} [create=false] - Create the partition when it does not exist
+ * @returns {CookieJar|undefined}
+ */
+export function getPartitionJar(jar, partitionKey, create = false) {
+	let partitions = partitionsByJar.get(jar);
+	if (!partitions) {
+		if (!create) {
+			return undefined;
+		}
+		partitions = new Map();
+		partitionsByJar.set(jar, partitions);
+	}
+
+	if (!partitions.has(partitionKey) && create) {
+		// Partitions apply the same rules as the jar they belong to
+		partitions.set(partitionKey, new CookieJar(jar.store?.partitionStore?.(partitionKey), {
+			prefixSecurity: jar.prefixSecurity,
+			allowSecureOnLocal: jar.allowSecureOnLocal
+		}));
+	}
+
+	return partitions.get(partitionKey);
+}
+
+/**
+ * Opens the partitions a jar's store persisted, once the store is loaded.
+ * @param {CookieJar} jar - Jar the partitions belong to
+ * @returns {Promise<void>}
+ */
+export async function loadPartitions(jar) {
+	for (const partitionKey of await jar.store?.listPartitionKeys?.() ?? []) {
+		getPartitionJar(jar, partitionKey, true);
+	}
+}
+
+/**
+ * Lists the cookies of a jar and its partitions, with the partition key of partitioned cookies.
+ * @param {CookieJar} jar - Cookie jar
+ * @returns {Promise<Array<{ cookie: Cookie, partition?: string }>>}
+ */
+export async function listJarCookies(jar) {
+	const cookies = (await getAllCookies(jar)).map((cookie) => ({ cookie }));
+
+	for (const partition of getPartitionKeys(jar)) {
+		for (const cookie of await getAllCookies(getPartitionJar(jar, partition))) {
+			cookies.push({ cookie, partition });
+		}
+	}
+
+	return cookies;
+}
+
+/**
+ * Removes every partitioned cookie of a jar.
+ * @param {CookieJar} jar - Jar the partitions belong to
+ * @returns {Promise<void>}
+ */
+export async function clearPartitions(jar) {
+	const partitions = partitionsByJar.get(jar);
+
+	for (const [partitionKey, partitionJar] of partitions ?? []) {
+		await partitionJar.removeAllCookies();
+		partitions.delete(partitionKey);
+	}
+}
+
+/**
+ * Returns the partition keys a jar holds cookies under.
+ * @param {CookieJar} jar - Jar the partitions belong to
+ * @returns {string[]}
+ */
+export function getPartitionKeys(jar) {
+	return [...(partitionsByJar.get(jar)?.keys() ?? [])];
+}
+
+/**
+ * Adds `jar.partition(site)` and `jar.partitionKeys()` as non-enumerable methods, for
+ * inspecting partitioned cookies. Existing properties are left untouched.
+ *
+ * `jar.removeAllCookies()` is wrapped to empty the partitions too, so clearing the jar
+ * clears every cookie it holds.
+ * @param {CookieJar} jar - Cookie jar
+ * @returns {CookieJar} The same jar
+ */
+export function addPartitionMethods(jar) {
+	const methods = {
+		partition: (site) => getPartitionJar(jar, getSiteKey(site)),
+		partitionKeys: () => getPartitionKeys(jar)
+	};
+
+	for (const [name, value] of Object.entries(methods)) {
+		if (!(name in jar)) {
+			Object.defineProperty(jar, name, { value, configurable: true, writable: true });
+		}
+	}
+
+	if (!Object.hasOwn(jar, 'removeAllCookies')) {
+		const removeAllCookies = jar.removeAllCookies;
+
+		Object.defineProperty(jar, 'removeAllCookies', {
+			value(callback) {
+				const removed = removeAllCookies.call(jar).then(() => clearPartitions(jar));
+				if (typeof callback !== 'function') {
+					return removed;
+				}
+
+				removed.then(() => callback(null), callback);
+			},
+			configurable: true,
+			writable: true
+		});
+	}
+
+	return jar;
+}
@@ -0,0 +1,210 @@
+/**
+ * Cookie policy rules.
+ * An ordered list of rules evaluated for every Set-Cookie the plugin stores and every
+ * cookie it sends. The first rule that accepts or rejects a cookie decides; rewrite rules
+ * change the cookie and let evaluation continue. Every matching rule is recorded.
+ */
+import { CookieJarError } from './errors.js';
+import { compileHostPatterns } from './hostPatterns.js';
+
+const ACTIONS = ['accept', 'reject', 'rewrite'];
+const DIRECTIONS = ['store', 'send', 'both'];
+const MATCH_FIELDS = ['name', 'host', 'thirdParty', 'httpOnly', 'secure', 'session', 'largerThan'];
+
+/**
+ * @typedef {Object} CookiePolicyMatch
+ * @property {string|RegExp} [name] - Cookie name; `*` in a string matches any characters (`_ga*`)
+ * @property {import('./hostPatterns.js').HostPattern|import('./hostPatterns.js').HostPattern[]} [host] - Request host
+ * @property {boolean} [thirdParty] - Whether the request is cross-site relative to the top-level `site`
+ * @property {boolean} [httpOnly] - HttpOnly attribute
+ * @property {boolean} [secure] - Secure attribute
+ * @property {boolean} [session] - Whether the cookie has neither Expires nor Max-Age
+ * @property {number} [largerThan] - Matches cookies whose name and value exceed this many bytes
+ */
+
+/**
+ * @typedef {Object} CookiePolicyRewrite
+ * @property {number} [maxAge] - Caps the cookie lifetime in seconds; session cookies are left alone
+ * @property {boolean} [secure] - Sets or clears Secure
+ * @property {boolean} [httpOnly] - Sets or clears HttpOnly
+ * @property {'strict'|'lax'|'none'} [sameSite] - Sets SameSite
+ * @property {string} [path] - Sets Path
+ */
+
+/**
+ * Details of the exchange a cookie is evaluated for.
+ * @typedef {Object} CookiePolicyDetails
+ * @property {'store'|'send'} action - Whether the cookie is being stored or sent
+ * @property {string} url - Request URL
+ * @property {boolean} thirdParty - Whether the request is cross-site relative to the top-level site
+ */
+
+/**
+ * @typedef {Object} CookiePolicyRule
+ * @property {string} [name] - Rule name recorded in matches and rejections. Default: `policies[<index>]`.
+ * @property {'store'|'send'|'both'} [on='both'] - Which direction the rule applies to
+ * @property {CookiePolicyMatch|((cookie: import('tough-cookie').Cookie, details: CookiePolicyDetails) => boolean)} [match] - Conditions, all of which must hold; matches every cookie when omitted
+ * @property {'accept'|'reject'|'rewrite'} action - What to do with a matching cookie
+ * @property {CookiePolicyRewrite|((cookie: import('tough-cookie').Cookie, details: CookiePolicyDetails) => import('tough-cookie').Cookie|void)} [rewrite] - Changes applied by `rewrite` rules; a function gets a copy of the cookie to modify or replace
+ */
+
+/**
+ * A rule that matched a cookie.
+ * @typedef {Object} CookiePolicyMatchRecord
+ * @property {string} rule - Rule name
+ * @property {'accept'|'reject'|'rewrite'} action - Rule action
+ * @property {'store'|'send'} direction - Whether the cookie was being stored or sent
+ * @property {string} url - Request URL
+ * @property {string} name - Cookie name
+ */
+
+/**
+ * Compiles the `policies` plugin option.
+ * @param {CookiePolicyRule[]} [rules] - Rules in evaluation order
+ * @returns {((cookie: import('tough-cookie').Cookie, details: CookiePolicyDetails) => { cookie: import('tough-cookie').Cookie|null, matches: CookiePolicyMatchRecord[] })|null}
+ *   Evaluates a cookie, returning it (possibly rewritten) or null when rejected, with the matching rules
+ */
+export function compilePolicies(rules) {
+	if (rules === undefined) {
+		return null;
+	}
+
+	if (!Array.isArray(rules)) {
+		throw new CookieJarError('The "policies" option must be an array of rules', 'INVALID_OPTIONS');
+	}
+
+	const compiled = rules.map(compileRule);
+
+	return (cookie, details) => {
+		const matches = [];
+		let current = cookie;
+
+		for (const rule of compiled) {
+			if (!rule.appliesTo(details.action) || !rule.matches(current, details)) {
+				continue;
+			}
+
+			matches.push({ rule: rule.name, action: rule.action, direction: details.action, url: details.url, name: current.key });
+
+			if (rule.action === 'reject') {
+				return { cookie: null, matches };
+			}
+
+			if (rule.action === 'accept') {
+				break;
+			}
+
+			current = rule.rewrite(current.clone(), details) ?? current;
+		}
+
+		return { cookie: current, matches };
+	};
+}
+
+function compileRule(rule, index) {
+	if (!rule || typeof rule !== 'object') {
+		throw new CookieJarError(`policies[${index}] must be an object`, 'INVALID_OPTIONS');
+	}
+
+	const name = rule.name ?? `policies[${index}]`;
+	const on = rule.on ?? 'both';
+
+	if (!ACTIONS.includes(rule.action)) {
+		throw new CookieJarError(`Policy "${name}" has an unknown action "${rule.action}"; expected one of ${ACTIONS.join(', ')}`, 'INVALID_OPTIONS');
+	}
+
+	if (!DIRECTIONS.includes(on)) {
+		throw new CookieJarError(`Policy "${name}" has an unknown "on" value "${on}"; expected one of ${DIRECTIONS.join(', ')}`, 'INVALID_OPTIONS');
+	}
+
+	if (rule.action === 'rewrite' && (!rule.rewrite || !['object', 'function'].includes(typeof rule.rewrite))) {
+		throw new CookieJarError(`Policy "${name}" rewrites cookies but has no "rewrite" object or function`, 'INVALID_OPTIONS');
+	}
+
+	return {
+		name,
+		action: rule.action,
+		appliesTo: (direction) => on === 'both' || on === direction,
+		matches: compileMatch(rule.match, name),
+		rewrite: typeof rule.rewrite === 'function' ? rule.rewrite : (cookie) => applyRewrite(cookie, rule.rewrite)
+	};
+}
+
+function compileMatch(match, ruleName) {
+	if (match === undefined) {
+		return () => true;
+	}
+
+	if (typeof match === 'function') {
+		return (cookie, details) => Boolean(match(cookie, details));
+	}
+
+	const unknown = Object.keys(match).filter((field) => !MATCH_FIELDS.includes(field));
+	if (unknown.length > 0) {
+		throw new CookieJarError(`Policy "${ruleName}" has unknown match fields: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+	}
+
+	const conditions = [];
+
+	if (match.name !== undefined) {
+		const pattern = toNamePattern(match.name, ruleName);
+		conditions.push((cookie) => pattern.test(cookie.key));
+	}
+
+	if (match.host !== undefined) {
+		const matchesHost = compileHostPatterns([match.host].flat(), `policies ${ruleName} host`);
+		conditions.push((cookie, details) => matchesHost(new URL(details.url).hostname));
+	}
+
+	if (match.thirdParty !== undefined) {
+		conditions.push((cookie, details) => details.thirdParty === match.thirdParty);
+	}
+
+	for (const flag of ['httpOnly', 'secure']) {
+		if (match[flag] !== undefined) {
+			conditions.push((cookie) => Boolean(cookie[flag]) === match[flag]);
+		}
+	}
+
+	if (match.session !== undefined) {
+		conditions.push((cookie) => !cookie.isPersistent() === match.session);
+	}
+
+	if (match.largerThan !== undefined) {
+		conditions.push((cookie) => Buffer.byteLength(cookie.key) + Buffer.byteLength(cookie.value) > match.largerThan);
+	}
+
+	return (cookie, details) => conditions.every((condition) => condition(cookie, details));
+}
+
+function toNamePattern(name, ruleName) {
+	if (name instanceof RegExp) {
+		return new RegExp(name.source, name.flags.replace(/[gy]/g, ''));
+	}
+
+	if (typeof name !== 'string') {
+		throw new CookieJarError(`Policy "${ruleName}" match.name must be a string or RegExp`, 'INVALID_OPTIONS');
+	}
+
+	const source = name.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+
+	return new RegExp(`^${source}$`);
+}
+
+function applyRewrite(cookie, rewrite) {
+	if (rewrite.maxAge !== undefined && cookie.isPersistent()) {
+		const ttl = cookie.TTL();
+		if (ttl > rewrite.maxAge * 1000) {
+			// Max-Age takes precedence over Expires
+			cookie.maxAge = rewrite.maxAge;
+		}
+	}
+
+	for (const attribute of ['secure', 'httpOnly', 'sameSite', 'path']) {
+		if (rewrite[attribute] !== undefined) {
+			cookie[attribute] = rewrite[attribute];
+		}
+	}
+
+	return cookie;
+}
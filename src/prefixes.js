@@ -0,0 +1,66 @@
+/**
+ * Cookie name prefixes.
+ * `__Secure-` cookies must be Secure and set from a secure origin; `__Host-` cookies
+ * must also have no Domain attribute and `Path=/`, which pins them to the exact host
+ * (RFC 6265bis section 4.1.3). Prefixes match case-insensitively, like browsers.
+ */
+import { Cookie } from 'tough-cookie';
+import { CookieJarError } from './errors.js';
+
+/**
+ * What happens to a cookie that breaks its prefix rules: `reject` drops it like a
+ * browser, `warn` logs the violation and stores it anyway.
+ * @typedef {'reject'|'warn'} CookiePrefixMode
+ */
+
+const PREFIX_MODES = ['reject', 'warn'];
+
+/**
+ * Validates the `cookiePrefixes` plugin option.
+ * @param {CookiePrefixMode|false} mode - Option value
+ * @returns {CookiePrefixMode|false}
+ */
+export function validatePrefixMode(mode) {
+	if (mode !== false && !PREFIX_MODES.includes(mode)) {
+		throw new CookieJarError(`Unknown cookiePrefixes mode "${mode}"; expected 'reject', 'warn' or false`, 'INVALID_OPTIONS');
+	}
+
+	return mode;
+}
+
+/**
+ * Checks a Set-Cookie header against the rules of its name prefix.
+ * @param {string} setCookie - Set-Cookie header value
+ * @param {boolean} secureOrigin - Whether the response came from a secure origin
+ * @returns {string|null} The violated rule, or null when the cookie is valid or has no prefix
+ */
+export function checkCookiePrefix(setCookie, secureOrigin) {
+	const cookie = Cookie.parse(setCookie);
+	if (!cookie) {
+		return null;
+	}
+
+	const name = cookie.key.toLowerCase();
+	const prefix = name.startsWith('__host-') ? '__Host-' : name.startsWith('__secure-') ? '__Secure-' : null;
+	if (!prefix) {
+		return null;
+	}
+
+	if (!cookie.secure) {
+		return `${prefix} cookie must have the Secure attribute`;
+	}
+
+	if (!secureOrigin) {
+		return `${prefix} cookie must be set from a secure origin`;
+	}
+
+	if (prefix === '__Host-' && cookie.domain) {
+		return '__Host- cookie must not have a Domain attribute';
+	}
+
+	if (prefix === '__Host-' && cookie.path !== '/') {
+		return '__Host- cookie must have Path=/';
+	}
+
+	return null;
+}
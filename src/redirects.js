@@ -0,0 +1,206 @@
+/**
+ * Redirect following.
+ * Follows 3xx responses hop by hop, so Set-Cookie from every hop is stored against
+ * that hop's URL and each next hop is sent the cookies that match it.
+ */
+import { CookieJarError } from './errors.js';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Request headers that describe the body; dropped when a redirect turns the request into a GET
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'];
+
+// Credentials that must not leak to another origin (same list fetch uses)
+const CROSS_ORIGIN_HEADERS = ['authorization', 'proxy-authorization'];
+
+/**
+ * @typedef {Object} RedirectOptions
+ * @property {number} [max=20] - Maximum number of redirects before the request fails.
+ * @property {(hop: RedirectHop) => void} [onRedirect] - Called for every request of a followed chain, starting with the one that was redirected.
+ * @property {typeof fetch} [fetch=globalThis.fetch] - fetch implementation used for the follow-up requests.
+ */
+
+/**
+ * One request of a redirect chain.
+ * @typedef {Object} RedirectHop
+ * @property {string} method - Request method
+ * @property {string} url - Request URL
+ * @property {string} cookieHeader - Cookie header sent with the request
+ * @property {number} status - Response status
+ * @property {string} [statusText] - Response status text
+ * @property {string} [location] - Absolute redirect target, for 3xx responses
+ * @property {string[]} setCookies - Set-Cookie headers of the response
+ * @property {number} startedAt - Request start time (ms since epoch)
+ */
+
+/**
+ * Normalizes the `redirects` plugin option.
+ * @param {boolean|RedirectOptions} [option] - Option value
+ * @returns {Required<Pick<RedirectOptions, 'max'>> & RedirectOptions | null}
+ */
+export function resolveRedirectOptions(option) {
+	if (!option) {
+		return null;
+	}
+
+	const options = { max: 20, ...(option === true ? {} : option) };
+
+	if (!Number.isInteger(options.max) || options.max < 0) {
+		throw new CookieJarError('redirects.max must be a non-negative integer', 'INVALID_OPTIONS');
+	}
+
+	return options;
+}
+
+/**
+ * Returns the absolute redirect target of a response, or null when it is not a redirect.
+ * @param {Object} res - Response
+ * @param {string} url - URL the response came from
+ * @returns {string|null}
+ */
+export function getRedirectLocation(res, url) {
+	if (!REDIRECT_STATUSES.has(res?.status)) {
+		return null;
+	}
+
+	const location = getHeader(res.headers, 'location');
+	if (!location) {
+		return null;
+	}
+
+	try {
+		return new URL(location, url).href;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Follows a redirect chain starting at a 3xx response.
+ *
+ * Each hop follows fetch's rules: 303 (and 301/302 after a POST) switch to GET and drop
+ * the body, and credentials headers are removed when the chain leaves the origin.
+ * @param {Object} start - The request that received the first redirect
+ * @param {string} start.method - Request method
+ * @param {Object} start.headers - Request headers without Cookie
+ * @param {*} [start.body] - Request body
+ * @param {AbortSignal} [start.signal] - Abort signal
+ * @param {RedirectHop} start.hop - The first hop (the original request and its 3xx response)
+ * @param {Object} [start.response] - The first hop's response, whose body is discarded
+ * @param {Object} handlers - Cookie handling for each hop
+ * @param {(url: string, sameOrigin: boolean) => Promise<string>} handlers.cookieHeader - Cookie header for a hop; `sameOrigin` is false once the chain left the first origin
+ * @param {(url: string, res: Object) => Promise<string[]>} handlers.storeCookies - Stores a hop's Set-Cookie headers, returns them
+ * @param {(hop: RedirectHop) => void} handlers.onHop - Called after every follow-up request
+ * @param {RedirectOptions} options - Redirect options
+ * @returns {Promise<{ response: Response, chain: RedirectHop[] }>} The final hop's response, as returned by fetch
+ */
+export async function followRedirects(start, handlers, options) {
+	const fetchImpl = options.fetch ?? globalThis.fetch;
+	const origin = new URL(start.hop.url).origin;
+	const chain = [start.hop];
+	let method = start.method;
+	let body = serializeBody(start.body);
+	let headers = { ...start.headers };
+	let hop = start.hop;
+	let response = start.response ?? null;
+	let sameOrigin = true;
+
+	while (hop.location) {
+		if (chain.length > options.max) {
+			throw new CookieJarError(`Too many redirects (more than ${options.max}) starting at ${chain[0].url}`, 'TOO_MANY_REDIRECTS');
+		}
+
+		if (switchesToGet(hop.status, method)) {
+			method = 'GET';
+			body = undefined;
+			headers = withoutHeaders(headers, BODY_HEADERS);
+		}
+
+		// Once the chain has left the origin, credentials stay dropped for the rest of it
+		const url = hop.location;
+		sameOrigin = sameOrigin && new URL(url).origin === origin;
+		if (!sameOrigin) {
+			headers = withoutHeaders(headers, CROSS_ORIGIN_HEADERS);
+		}
+
+		// The 3xx body is never read; release its connection before the next hop
+		await discardBody(response);
+
+		const cookieHeader = await handlers.cookieHeader(url, sameOrigin);
+		const startedAt = Date.now();
+
+		response = await fetchImpl(url, {
+			method,
+			headers: cookieHeader ? { ...headers, 'Cookie': cookieHeader } : headers,
+			body,
+			redirect: 'manual',
+			signal: start.signal
+		});
+
+		hop = {
+			method,
+			url,
+			cookieHeader,
+			status: response.status,
+			statusText: response.statusText,
+			location: getRedirectLocation(response, url) ?? undefined,
+			setCookies: await handlers.storeCookies(url, response),
+			startedAt
+		};
+		chain.push(hop);
+		handlers.onHop(hop);
+	}
+
+	return { response, chain };
+}
+
+function discardBody(response) {
+	const body = response?.body;
+	if (typeof body?.cancel !== 'function' || body.locked) {
+		return;
+	}
+
+	// A body that failed to stream has nothing left to release
+	return body.cancel().catch(() => {});
+}
+
+function switchesToGet(status, method) {
+	if (status === 303) {
+		return method !== 'GET' && method !== 'HEAD';
+	}
+
+	return (status === 301 || status === 302) && method === 'POST';
+}
+
+/**
+ * Plain objects and arrays are sent as JSON, like the client does for the first request.
+ */
+function serializeBody(body) {
+	if (body === null || typeof body !== 'object') {
+		return body;
+	}
+
+	const prototype = Object.getPrototypeOf(body);
+
+	return prototype === Object.prototype || prototype === null || Array.isArray(body)
+		? JSON.stringify(body)
+		: body;
+}
+
+function getHeader(headers, name) {
+	if (!headers) {
+		return null;
+	}
+
+	if (typeof headers.get === 'function') {
+		return headers.get(name);
+	}
+
+	const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+
+	return key ? headers[key] : null;
+}
+
+function withoutHeaders(headers, names) {
+	return Object.fromEntries(Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase())));
+}
@@ -0,0 +1,110 @@
+/**
+ * Request header access.
+ * Callers pass request headers as a plain object, a `Headers` instance, a `Map` or an
+ * array of `[name, value]` tuples. These helpers read and replace the Cookie header in
+ * any of them, returning a copy of the same kind with every other header kept.
+ */
+
+/**
+ * @typedef {Object<string, string>|Headers|Map<string, string>|Array<[string, string]>} RequestHeaders
+ */
+
+/**
+ * Returns the Cookie header of a request, joining every entry that spells "cookie" in any letter case.
+ * @param {RequestHeaders} [headers] - Request headers
+ * @returns {string}
+ */
+export function getCookieHeader(headers) {
+	return cookieEntries(headers).map(([, value]) => value).filter(Boolean).join('; ');
+}
+
+/**
+ * Checks whether a request has a Cookie header, even an empty one.
+ * @param {RequestHeaders} [headers] - Request headers
+ * @returns {boolean}
+ */
+export function hasCookieHeader(headers) {
+	return cookieEntries(headers).length > 0;
+}
+
+/**
+ * Returns a copy of the headers, of the same kind, with a single `Cookie` entry so `Cookie`
+ * and `cookie` never both reach the server. An empty value removes the header.
+ * @param {RequestHeaders} [headers] - Request headers
+ * @param {string} cookieHeader - Cookie header value
+ * @returns {RequestHeaders}
+ */
+export function withCookieHeader(headers, cookieHeader) {
+	if (isHeadersLike(headers)) {
+		const copy = new headers.constructor(headers);
+		copy.delete('cookie');
+		if (cookieHeader) {
+			copy.set('Cookie', cookieHeader);
+		}
+
+		return copy;
+	}
+
+	const entries = headerEntries(headers).filter(([name]) => !isCookieName(name));
+	if (cookieHeader) {
+		entries.push(['Cookie', cookieHeader]);
+	}
+
+	if (headers instanceof Map) {
+		return new Map(entries);
+	}
+
+	return Array.isArray(headers) ? entries : Object.fromEntries(entries);
+}
+
+/**
+ * Converts request headers of any kind to a plain object. Repeated tuple entries are
+ * combined with `, ` like `Headers` does.
+ * @param {RequestHeaders} [headers] - Request headers
+ * @returns {Object<string, string>}
+ */
+export function toHeaderObject(headers) {
+	const object = {};
+
+	for (const [name, value] of headerEntries(headers)) {
+		object[name] = name in object ? `${object[name]}, ${value}` : value;
+	}
+
+	return object;
+}
+
+function cookieEntries(headers) {
+	return headerEntries(headers).filter(([name]) => isCookieName(name));
+}
+
+function headerEntries(headers) {
+	if (!headers) {
+		return [];
+	}
+
+	if (Array.isArray(headers)) {
+		return headers.map(([name, value]) => [name, value]);
+	}
+
+	if (headers instanceof Map || isHeadersLike(headers)) {
+		return [...headers.entries()];
+	}
+
+	return Object.entries(headers);
+}
+
+/**
+ * Fetch `Headers` and compatible implementations (undici, node-fetch).
+ */
+function isHeadersLike(headers) {
+	return Boolean(headers)
+		&& !(headers instanceof Map)
+		&& typeof headers.get === 'function'
+		&& typeof headers.set === 'function'
+		&& typeof headers.delete === 'function'
+		&& typeof headers.entries === 'function';
+}
+
+function isCookieName(name) {
+	return String(name).toLowerCase() === 'cookie';
+}
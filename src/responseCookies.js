@@ -0,0 +1,133 @@
+/**
+ * Cookies of an exchange.
+ * Lists the Set-Cookie headers of a response as parsed cookies, with whether the jar
+ * accepted each one, and the cookies a request was sent with, so callers never have to
+ * re-parse raw headers.
+ */
+import { Cookie } from 'tough-cookie';
+import { parseCookieHeader } from './cookieHeader.js';
+
+/**
+ * A Set-Cookie header of a response, as `response.cookies[i]`.
+ * Accepted cookies describe the cookie as stored (domain and path resolved, policy rewrites
+ * applied); the others describe the header as sent by the server.
+ * @typedef {Object} ResponseCookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {string|null} domain - Cookie domain
+ * @property {string|null} path - Cookie path
+ * @property {Date|null} expires - Expires attribute
+ * @property {number|null} maxAge - Max-Age attribute, in seconds
+ * @property {boolean} secure - Secure attribute
+ * @property {boolean} httpOnly - HttpOnly attribute
+ * @property {'strict'|'lax'|'none'|null} sameSite - SameSite attribute
+ * @property {boolean} partitioned - Partitioned attribute
+ * @property {boolean} accepted - Whether the jar stored it (a cookie dated in the past deletes the stored one)
+ * @property {string|null} reason - Why it was not stored
+ * @property {string} setCookie - The Set-Cookie header
+ */
+
+/**
+ * A cookie of a request's Cookie header, as `context.sentCookies[i]` and `response.sentCookies[i]`.
+ * @typedef {Object} SentCookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {'jar'|'manual'} source - Whether it came from the jar or the request's own Cookie header
+ * @property {string} [domain] - Domain of a jar cookie
+ * @property {string} [path] - Path of a jar cookie
+ */
+
+/**
+ * What happened to a Set-Cookie header.
+ * @typedef {Object} SetCookieOutcome
+ * @property {string} setCookie - Set-Cookie header
+ * @property {import('tough-cookie').Cookie|null} cookie - Cookie the jar stored
+ * @property {boolean} accepted - Whether the jar stored it
+ * @property {string|null} reason - Why it was not stored
+ */
+
+/**
+ * Sets `response.cookies` from the outcomes of its Set-Cookie headers, and
+ * `response.sentCookies` to the cookies its request was sent with.
+ * @param {Object} res - Response
+ * @param {SetCookieOutcome[]} outcomes - One outcome per Set-Cookie header
+ * @param {SentCookie[]} [sentCookies=[]] - Cookies of the request's Cookie header
+ */
+export function setResponseCookies(res, outcomes, sentCookies = []) {
+	if (res && typeof res === 'object' && Object.isExtensible(res)) {
+		res.cookies = outcomes.map(toResponseCookie);
+		res.sentCookies = sentCookies;
+	}
+}
+
+/**
+ * Outcomes of Set-Cookie headers the plugin did not store.
+ * @param {string[]} setCookies - Set-Cookie headers
+ * @param {string} reason - Why they were not stored
+ * @returns {SetCookieOutcome[]}
+ */
+export function notStored(setCookies, reason) {
+	return setCookies.map((setCookie) => ({ setCookie, cookie: null, accepted: false, reason }));
+}
+
+/**
+ * Lists the cookies of a Cookie header, telling the jar's from the caller's.
+ * @param {string} header - Cookie header sent
+ * @param {import('tough-cookie').Cookie[]} jarCookies - Jar cookies in the header
+ * @returns {SentCookie[]}
+ */
+export function toSentCookies(header, jarCookies) {
+	const remaining = [...jarCookies];
+
+	return parseCookieHeader(header).map(({ name, value }) => {
+		const index = remaining.findIndex((cookie) => cookie.key === name && cookie.value === value);
+		if (index === -1) {
+			return { name, value, source: 'manual' };
+		}
+
+		const [cookie] = remaining.splice(index, 1);
+
+		return { name, value, source: 'jar', domain: cookie.domain, path: cookie.path };
+	});
+}
+
+function toResponseCookie({ setCookie, cookie, accepted, reason }) {
+	const parsed = cookie ?? Cookie.parse(setCookie);
+
+	if (!parsed) {
+		const separator = setCookie.split(';')[0].indexOf('=');
+		const name = separator === -1 ? '' : setCookie.slice(0, separator).trim();
+
+		return {
+			name,
+			value: '',
+			domain: null,
+			path: null,
+			expires: null,
+			maxAge: null,
+			secure: false,
+			httpOnly: false,
+			sameSite: null,
+			partitioned: false,
+			accepted,
+			reason,
+			setCookie
+		};
+	}
+
+	return {
+		name: parsed.key,
+		value: parsed.value,
+		domain: parsed.domain ?? null,
+		path: parsed.path ?? null,
+		expires: parsed.expires instanceof Date ? parsed.expires : null,
+		maxAge: typeof parsed.maxAge === 'number' ? parsed.maxAge : null,
+		secure: parsed.secure,
+		httpOnly: parsed.httpOnly,
+		sameSite: ['strict', 'lax', 'none'].includes(parsed.sameSite) ? parsed.sameSite : null,
+		partitioned: Boolean(parsed.extensions?.some((extension) => extension.trim().toLowerCase() === 'partitioned')),
+		accepted,
+		reason,
+		setCookie
+	};
+}
@@ -0,0 +1,103 @@
+/**
+ * SameSite enforcement.
+ * Decides whether a request is same-site or cross-site relative to the top-level site
+ * (the page a server-rendered request is made for), and maps that to tough-cookie's
+ * `sameSiteContext`.
+ */
+import { getPublicSuffix } from 'tough-cookie';
+import { CookieJarError } from './errors.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+
+/**
+ * @typedef {Object} SameSiteDecision
+ * @property {string} site - Top-level site the request was made for
+ * @property {string} url - Request URL
+ * @property {boolean} crossSite - Whether the request leaves the top-level site
+ * @property {'strict'|'lax'|'none'} sameSiteContext - Context passed to tough-cookie:
+ *   `strict` sends and accepts every cookie, `lax` skips SameSite=Strict cookies,
+ *   `none` only sends and accepts SameSite=None (and unspecified) cookies.
+ */
+
+/**
+ * Validates the `site` plugin option.
+ * @param {string|Function|undefined} site - Top-level site, or a function of the request context returning it
+ * @returns {string|Function|undefined}
+ */
+export function validateSite(site) {
+	if (site === undefined || typeof site === 'function') {
+		return site;
+	}
+
+	if (typeof site !== 'string') {
+		throw new CookieJarError('The "site" option must be a URL, a host name or a function', 'INVALID_OPTIONS');
+	}
+
+	parseSite(site);
+
+	return site;
+}
+
+/**
+ * Decides the SameSite context of a request.
+ *
+ * Sites compare by scheme and registrable domain (eTLD+1), so `https://app.example.com`
+ * and `https://api.example.com` are same-site while `http://example.com` is not.
+ * Cross-site requests get the `none` context, except safe-method top-level navigations,
+ * which get `lax` like a browser following a link.
+ * @param {string} url - Request URL
+ * @param {string} [site] - Top-level site; without it nothing is enforced
+ * @param {Object} [options] - Request details
+ * @param {string} [options.method='GET'] - Request method
+ * @param {boolean} [options.navigation=false] - Whether the request is a top-level navigation
+ * @returns {SameSiteDecision|null}
+ */
+export function getSameSiteDecision(url, site, { method = 'GET', navigation = false } = {}) {
+	if (!site) {
+		return null;
+	}
+
+	const crossSite = !isSameSite(parseSite(site), new URL(url));
+	let sameSiteContext = 'strict';
+
+	if (crossSite) {
+		sameSiteContext = navigation && SAFE_METHODS.has(method.toUpperCase()) ? 'lax' : 'none';
+	}
+
+	return { site, url, crossSite, sameSiteContext };
+}
+
+/**
+ * Returns the site of a URL or host: its scheme and registrable domain, such as `https://example.com`.
+ * @param {string} site - URL or host name (treated as https)
+ * @returns {string}
+ */
+export function getSiteKey(site) {
+	const url = parseSite(site);
+
+	return `${url.protocol}//${registrableDomain(url.hostname)}`;
+}
+
+function isSameSite(a, b) {
+	return a.protocol === b.protocol && registrableDomain(a.hostname) === registrableDomain(b.hostname);
+}
+
+/**
+ * Returns the eTLD+1 of a host, or the host itself for IPs, localhost and unknown suffixes.
+ */
+function registrableDomain(hostname) {
+	const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+	return getPublicSuffix(host, { allowSpecialUseDomain: true, ignoreError: true }) ?? host;
+}
+
+/**
+ * Accepts URLs and bare hosts (treated as https).
+ */
+function parseSite(site) {
+	try {
+		return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(site) ? site : `https://${site}`);
+	} catch {
+		throw new CookieJarError(`Invalid site "${site}"; expected a URL or host name`, 'INVALID_OPTIONS');
+	}
+}
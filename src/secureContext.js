@@ -0,0 +1,91 @@
+/**
+ * Trusted development hosts.
+ * Secure cookies are only sent over https. Hosts listed in `secureContexts` are treated
+ * as secure over plain http too, like browsers treat localhost, so cookies set behind a
+ * local TLS-terminating proxy keep working.
+ */
+import { CookieJarError } from './errors.js';
+import { compileHostPatterns } from './hostPatterns.js';
+
+/**
+ * Normalizes the `secureContexts` plugin option.
+ * @param {import('./hostPatterns.js').HostPattern[]|((url: URL) => boolean)} [option] - Hosts, or a predicate of the request URL
+ * @returns {((url: URL) => boolean)|null}
+ */
+export function resolveSecureContexts(option) {
+	if (option === undefined) {
+		return null;
+	}
+
+	if (typeof option === 'function') {
+		return (url) => Boolean(option(url));
+	}
+
+	if (!Array.isArray(option)) {
+		throw new CookieJarError('The "secureContexts" option must be an array of hosts or a function', 'INVALID_OPTIONS');
+	}
+
+	const matchesHost = compileHostPatterns(option, 'secureContexts');
+
+	return (url) => matchesHost(url.hostname);
+}
+
+/**
+ * Returns the URL cookies are matched against: the https equivalent of an http URL on a
+ * trusted host, otherwise the URL itself. Other schemes and hosts are left untouched.
+ * @param {string} url - Request URL
+ * @param {((url: URL) => boolean)|null} isSecureContext - Resolved `secureContexts` option
+ * @returns {string}
+ */
+export function toCookieUrl(url, isSecureContext) {
+	if (!isSecureContext) {
+		return url;
+	}
+
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return url;
+	}
+
+	if (parsed.protocol !== 'http:' && parsed.protocol !== 'ws:') {
+		return url;
+	}
+
+	if (!isSecureContext(parsed)) {
+		return url;
+	}
+
+	// Cookies ignore ports, so only the scheme needs to change
+	parsed.protocol = parsed.protocol === 'http:' ? 'https:' : 'wss:';
+
+	return parsed.href;
+}
+
+/**
+ * Checks whether a URL is a secure origin: https, a loopback host (as browsers treat
+ * localhost) or a trusted host from `secureContexts`.
+ * @param {string} url - Request URL
+ * @param {((url: URL) => boolean)|null} isSecureContext - Resolved `secureContexts` option
+ * @returns {boolean}
+ */
+export function isSecureOrigin(url, isSecureContext) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return false;
+	}
+
+	if (parsed.protocol === 'https:' || parsed.protocol === 'wss:') {
+		return true;
+	}
+
+	const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+	if (host === 'localhost' || host.endsWith('.localhost') || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host)) {
+		return true;
+	}
+
+	return Boolean(isSecureContext?.(parsed));
+}
@@ -0,0 +1,154 @@
+/**
+ * Jar snapshots.
+ * Captures the jar as an immutable value, rolls it back, and diffs two captures,
+ * so tests sharing a jar can isolate and assert cookie changes.
+ */
+import { Cookie } from 'tough-cookie';
+import { isExpired } from './cookieUtils.js';
+import { clearPartitions, getPartitionJar, listJarCookies } from './partitioned.js';
+
+// Bookkeeping fields that change without the cookie itself changing
+const IGNORED_FIELDS = new Set(['creation', 'lastAccessed', 'creationIndex']);
+
+/**
+ * @typedef {Object} JarSnapshot
+ * @property {ReadonlyArray<Readonly<Object>>} cookies - Serialized cookies (`cookie.toJSON()`); partitioned
+ *   cookies carry their partition key as `partition`
+ */
+
+/**
+ * @typedef {Object} CookieChange
+ * @property {Readonly<Object>} before - Cookie in the first snapshot
+ * @property {Readonly<Object>} after - Cookie in the second snapshot
+ * @property {string[]} fields - Attributes that differ, e.g. `['value', 'expires']`
+ */
+
+/**
+ * @typedef {Object} JarDiff
+ * @property {Readonly<Object>[]} added - Cookies only in the second snapshot
+ * @property {Readonly<Object>[]} removed - Cookies only in the first snapshot
+ * @property {CookieChange[]} changed - Cookies in both snapshots with different attributes
+ */
+
+/**
+ * Captures every unexpired cookie in the jar and its partitions as a deeply frozen value.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @returns {Promise<JarSnapshot>}
+ */
+export async function snapshotJar(jar) {
+	const now = Date.now();
+	const cookies = (await listJarCookies(jar))
+		.filter(({ cookie }) => !isExpired(cookie, now))
+		.map(({ cookie, partition }) => {
+			const json = cookie.toJSON();
+			delete json.creationIndex;
+
+			return Object.freeze(partition ? { ...json, partition } : json);
+		});
+
+	return Object.freeze({ cookies: Object.freeze(cookies) });
+}
+
+/**
+ * Replaces the contents of the jar and its partitions with a snapshot.
+ * Cookies are written to the store as captured, so domain and host-only flags survive.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @param {JarSnapshot} snapshot - Value returned by {@link snapshotJar}
+ * @returns {Promise<void>}
+ */
+export async function restoreJar(jar, snapshot) {
+	await jar.removeAllCookies();
+	await clearPartitions(jar);
+
+	for (const json of snapshot?.cookies ?? []) {
+		const cookie = Cookie.fromJSON(json);
+		if (cookie) {
+			await putCookie(json.partition ? getPartitionJar(jar, json.partition, true).store : jar.store, cookie);
+		}
+	}
+}
+
+/**
+ * Lists the cookies added, removed and changed between two snapshots.
+ * Cookies are matched by partition, domain, path and name.
+ * @param {JarSnapshot} before - Earlier snapshot
+ * @param {JarSnapshot} after - Later snapshot
+ * @returns {JarDiff}
+ */
+export function diffSnapshots(before, after) {
+	const previous = indexCookies(before);
+	const next = indexCookies(after);
+	const diff = { added: [], removed: [], changed: [] };
+
+	for (const [id, cookie] of next) {
+		const old = previous.get(id);
+
+		if (!old) {
+			diff.added.push(cookie);
+			continue;
+		}
+
+		const fields = changedFields(old, cookie);
+		if (fields.length > 0) {
+			diff.changed.push({ before: old, after: cookie, fields });
+		}
+	}
+
+	for (const [id, cookie] of previous) {
+		if (!next.has(id)) {
+			diff.removed.push(cookie);
+		}
+	}
+
+	return diff;
+}
+
+/**
+ * Adds `snapshot()`, `restore(snapshot)` and `diff(a, b)` to a jar, unless it already has them.
+ * @param {import('tough-cookie').CookieJar} jar - Cookie jar
+ * @returns {import('tough-cookie').CookieJar}
+ */
+export function addSnapshotMethods(jar) {
+	const methods = {
+		snapshot: () => snapshotJar(jar),
+		restore: (snapshot) => restoreJar(jar, snapshot),
+		diff: diffSnapshots
+	};
+
+	for (const [name, value] of Object.entries(methods)) {
+		if (!(name in jar)) {
+			Object.defineProperty(jar, name, { value, configurable: true, writable: true });
+		}
+	}
+
+	return jar;
+}
+
+function indexCookies(snapshot) {
+	const index = new Map();
+
+	for (const cookie of snapshot?.cookies ?? []) {
+		index.set(JSON.stringify([cookie.partition ?? null, cookie.domain, cookie.path, cookie.key]), cookie);
+	}
+
+	return index;
+}
+
+function changedFields(before, after) {
+	const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+	return [...names]
+		.filter((name) => !IGNORED_FIELDS.has(name))
+		.filter((name) => JSON.stringify(before[name]) !== JSON.stringify(after[name]));
+}
+
+function putCookie(store, cookie) {
+	return new Promise((resolve, reject) => {
+		store.putCookie(cookie, (err) => {
+			if (err) {
+				return reject(err);
+			}
+			resolve();
+		});
+	});
+}
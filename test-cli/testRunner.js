@@ -9,6 +9,31 @@ import { suite as attributesSuite, mockServer as attributesServer } from './test
 import { suite as expirationSuite, mockServer as expirationServer } from './tests/expiration.test.js';
 import { suite as errorSuite, mockServer as errorServer } from './tests/errorHandling.test.js';
 import { suite as edgeCasesSuite, mockServer as edgeCasesServer } from './tests/edgeCases.test.js';
+import { suite as persistenceSuite, mockServer as persistenceServer } from './tests/persistence.test.js';
+import { suite as encryptionSuite, mockServer as encryptionServer } from './tests/encryption.test.js';
+import { suite as netscapeSuite, mockServer as netscapeServer } from './tests/netscape.test.js';
+import { suite as browserCookiesSuite, mockServer as browserCookiesServer } from './tests/browserCookies.test.js';
+import { suite as harSuite, mockServer as harServer } from './tests/har.test.js';
+import { suite as storeAdapterSuite, mockServer as storeAdapterServer } from './tests/storeAdapter.test.js';
+import { suite as writeBehindSuite, mockServer as writeBehindServer } from './tests/writeBehind.test.js';
+import { suite as snapshotSuite, mockServer as snapshotServer } from './tests/snapshot.test.js';
+import { suite as mergeStrategySuite, mockServer as mergeStrategyServer } from './tests/mergeStrategy.test.js';
+import { suite as requestCookiesSuite, mockServer as requestCookiesServer } from './tests/requestCookies.test.js';
+import { suite as redirectsSuite, mockServer as redirectsServer } from './tests/redirects.test.js';
+import { suite as errorResponsesSuite, mockServer as errorResponsesServer } from './tests/errorResponses.test.js';
+import { suite as sameSiteSuite, mockServer as sameSiteServer } from './tests/sameSite.test.js';
+import { suite as secureContextsSuite, mockServer as secureContextsServer } from './tests/secureContexts.test.js';
+import { suite as domainPolicySuite, mockServer as domainPolicyServer } from './tests/domainPolicy.test.js';
+import { suite as limitsSuite, mockServer as limitsServer } from './tests/limits.test.js';
+import { suite as cookiePrefixesSuite, mockServer as cookiePrefixesServer } from './tests/cookiePrefixes.test.js';
+import { suite as partitionedSuite, mockServer as partitionedServer } from './tests/partitioned.test.js';
+import { suite as requestHeadersSuite, mockServer as requestHeadersServer } from './tests/requestHeaders.test.js';
+import { suite as policiesSuite, mockServer as policiesServer } from './tests/policies.test.js';
+import { suite as eventsSuite, mockServer as eventsServer } from './tests/events.test.js';
+import { suite as loggerSuite, mockServer as loggerServer } from './tests/logger.test.js';
+import { suite as metricsSuite, mockServer as metricsServer } from './tests/metrics.test.js';
+import { suite as traceSuite, mockServer as traceServer } from './tests/trace.test.js';
+import { suite as responseCookiesSuite, mockServer as responseCookiesServer } from './tests/responseCookies.test.js';
 
 // Test suite registry
 const TEST_SUITES = [
@@ -18,6 +43,31 @@ const TEST_SUITES = [
 	{ name: 'Cookie Expiration', suite: expirationSuite, server: expirationServer },
 	{ name: 'Error Handling', suite: errorSuite, server: errorServer },
 	{ name: 'Edge Cases', suite: edgeCasesSuite, server: edgeCasesServer },
+	{ name: 'Cookie Persistence', suite: persistenceSuite, server: persistenceServer },
+	{ name: 'Encrypted Persistence', suite: encryptionSuite, server: encryptionServer },
+	{ name: 'Netscape cookies.txt', suite: netscapeSuite, server: netscapeServer },
+	{ name: 'Browser Cookie Interop', suite: browserCookiesSuite, server: browserCookiesServer },
+	{ name: 'HAR Cookies', suite: harSuite, server: harServer },
+	{ name: 'Store Adapters', suite: storeAdapterSuite, server: storeAdapterServer },
+	{ name: 'Write-Behind Persistence', suite: writeBehindSuite, server: writeBehindServer },
+	{ name: 'Jar Snapshots', suite: snapshotSuite, server: snapshotServer },
+	{ name: 'Cookie Merge Strategy', suite: mergeStrategySuite, server: mergeStrategyServer },
+	{ name: 'Per-Request Cookie Controls', suite: requestCookiesSuite, server: requestCookiesServer },
+	{ name: 'Redirect Handling', suite: redirectsSuite, server: redirectsServer },
+	{ name: 'Error Response Cookies', suite: errorResponsesSuite, server: errorResponsesServer },
+	{ name: 'SameSite Enforcement', suite: sameSiteSuite, server: sameSiteServer },
+	{ name: 'Secure Contexts', suite: secureContextsSuite, server: secureContextsServer },
+	{ name: 'Domain Allowlist/Denylist', suite: domainPolicySuite, server: domainPolicyServer },
+	{ name: 'Cookie Limits', suite: limitsSuite, server: limitsServer },
+	{ name: 'Cookie Prefixes', suite: cookiePrefixesSuite, server: cookiePrefixesServer },
+	{ name: 'Partitioned Cookies', suite: partitionedSuite, server: partitionedServer },
+	{ name: 'Request Header Shapes', suite: requestHeadersSuite, server: requestHeadersServer },
+	{ name: 'Cookie Policies', suite: policiesSuite, server: policiesServer },
+	{ name: 'Cookie Events', suite: eventsSuite, server: eventsServer },
+	{ name: 'Logger', suite: loggerSuite, server: loggerServer },
+	{ name: 'Cookie Metrics', suite: metricsSuite, server: metricsServer },
+	{ name: 'Cookie Trace', suite: traceSuite, server: traceServer },
+	{ name: 'Response Cookies', suite: responseCookiesSuite, server: responseCookiesServer },
 ];
 
 // Colors for output
@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { cookieJarPlugin } from '../src/index.js';
 
 // Global console message suppression for test environment
 let consoleSuppression = null;
@@ -233,7 +234,11 @@ export class MockServer {
 		
 		setTimeout(() => {
 			if (shouldFail || status >= 400) {
-				res.writeHead(status, { 'Content-Type': 'application/json' });
+				const errorHeaders = { 'Content-Type': 'application/json' };
+				if (params.get('cookie')) {
+					errorHeaders['Set-Cookie'] = params.get('cookie');
+				}
+				res.writeHead(status, errorHeaders);
 				res.end(JSON.stringify({ 
 					error: 'Simulated error',
 					status,
@@ -341,6 +346,16 @@ export class MockServer {
 					res.end(JSON.stringify({ message: 'Malformed cookie sent' }));
 					break;
 					
+				case '/redirect':
+					// Redirect to `to` (default /echo-cookies) with status `code`, optionally setting `cookie`
+					const redirectHeaders = { 'Location': params.get('to') || '/echo-cookies' };
+					if (params.get('cookie')) {
+						redirectHeaders['Set-Cookie'] = params.get('cookie');
+					}
+					res.writeHead(parseInt(params.get('code') || '302'), redirectHeaders);
+					res.end();
+					break;
+					
 				case '/no-cookies':
 					// Response with no Set-Cookie headers
 					res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -403,6 +418,79 @@ export class MockServer {
 
 }
 
+/**
+ * Creates a cookie jar plugin attached to a bare client, for driving its hooks directly.
+ * Rejected cookies are collected instead of logged; pass `onCookieRejected` (or `undefined`
+ * for the default warning) to handle them yourself.
+ * @param {Object} [options] - Plugin options
+ * @returns {{ plugin: Object, client: Object, jar: import('tough-cookie').CookieJar, rejections: Object[] }}
+ */
+export function createPlugin(options = {}) {
+	const rejections = [];
+	const plugin = cookieJarPlugin({ onCookieRejected: (rejection) => rejections.push(rejection), ...options });
+	const client = {};
+	plugin.onAttach(client);
+
+	return { plugin, client, jar: client.jar, rejections };
+}
+
+/**
+ * Runs a response with the given Set-Cookie headers through the plugin's `onResponse`.
+ * @param {Object} plugin - Plugin from `createPlugin`
+ * @param {string} url - Request URL
+ * @param {string|string[]} setCookies - Set-Cookie header(s)
+ * @param {Object} [req] - Extra request fields, such as `cookies`, or the `req` of a context
+ *   from `send` to answer that request
+ * @returns {Promise<Response>} The response, with its `cookies`
+ */
+export async function receive(plugin, url, setCookies, req = {}) {
+	const headers = new Headers([setCookies].flat().map((setCookie) => ['Set-Cookie', setCookie]));
+	const res = new Response('', { headers });
+
+	// The plugin tracks requests by their `req` object, so a sent request is answered as is
+	await plugin.onResponse({ req: req.url === url ? req : { url, headers: {}, ...req }, res });
+
+	return res;
+}
+
+/**
+ * Runs a request through the plugin's `onRequest`.
+ * @param {Object} plugin - Plugin from `createPlugin`
+ * @param {string} url - Request URL
+ * @param {Object} [req] - Extra request fields, such as `headers` or `cookies`
+ * @returns {Promise<Object>} The hook context
+ */
+export async function send(plugin, url, req = {}) {
+	const context = { req: { url, headers: {}, ...req } };
+	await plugin.onRequest(context);
+
+	return context;
+}
+
+/**
+ * Runs a request and its Set-Cookie response through the plugin hooks.
+ * @param {Object} plugin - Plugin from `createPlugin`
+ * @param {string} url - Request URL
+ * @param {string|string[]} setCookies - Set-Cookie header(s)
+ * @param {Object} [req] - Extra request fields, such as `cookies`
+ * @returns {Promise<Response>} The response, with its `cookies`
+ */
+export async function exchange(plugin, url, setCookies, req = {}) {
+	const context = await send(plugin, url, req);
+
+	return receive(plugin, url, setCookies, context.req);
+}
+
+/**
+ * Runs a request through the plugin's `onRequest` and returns the Cookie header it was sent with.
+ * @returns {Promise<string|undefined>}
+ */
+export async function sendCookie(plugin, url, req = {}) {
+	const { req: sent } = await send(plugin, url, req);
+
+	return sent.headers['Cookie'];
+}
+
 export function assert(condition, message) {
 	if (!condition) {
 		throw new Error(message);
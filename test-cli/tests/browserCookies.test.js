@@ -0,0 +1,153 @@
+import { TestSuite, MockServer, assert, assertEqual, createPlugin, exchange, sendCookie } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import {
+	cookieJarPlugin,
+	importStorageState,
+	exportStorageState,
+	importPuppeteerCookies,
+	exportPuppeteerCookies
+} from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Browser Cookie Interop');
+const mockServer = new MockServer(4210);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+const STORAGE_STATE = {
+	cookies: [
+		{ name: 'sid', value: 's1', domain: '.example.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Strict' },
+		{ name: 'theme', value: 'dark', domain: 'app.example.com', path: '/', expires: 4102444800, httpOnly: false, secure: false, sameSite: 'None' },
+		{ name: 'stale', value: 'x', domain: 'app.example.com', path: '/', expires: 1000, httpOnly: false, secure: false, sameSite: 'Lax' }
+	],
+	origins: [{ origin: 'https://app.example.com', localStorage: [{ name: 'k', value: 'v' }] }]
+};
+
+function findCookie(cookies, name) {
+	return cookies.find((cookie) => cookie.name === name);
+}
+
+suite.test('Should import cookies from a Playwright storageState', async () => {
+	const jar = new CookieJar();
+	const stored = await importStorageState(jar, STORAGE_STATE);
+
+	assertEqual(stored.length, 2, 'Should import unexpired cookies only');
+	assertEqual(await jar.getCookieString('https://www.example.com/'), 'sid=s1', 'Domain cookie should reach subdomains');
+});
+
+suite.test('Should map sameSite, httpOnly, secure and expires into the jar', async () => {
+	const jar = new CookieJar();
+	await importStorageState(jar, JSON.stringify(STORAGE_STATE));
+
+	const [sid] = await jar.getCookies('https://example.com/');
+	assertEqual(sid.sameSite, 'strict', 'Should map Strict to strict');
+	assert(sid.httpOnly && sid.secure, 'Should keep HttpOnly and Secure flags');
+	assert(!sid.isPersistent(), 'expires -1 should be a session cookie');
+
+	const [theme] = await jar.getCookies('http://app.example.com/');
+	assertEqual(theme.sameSite, 'none', 'Should map None to none');
+	assertEqual(theme.expiryTime(), 4102444800 * 1000, 'Should convert seconds to an absolute expiry');
+	assert(theme.hostOnly, 'Domain without leading dot should be host-only');
+});
+
+suite.test('Should round-trip a storageState', async () => {
+	const jar = new CookieJar();
+	await importStorageState(jar, STORAGE_STATE);
+
+	const state = await exportStorageState(jar);
+	assertEqual(state.cookies.length, 2, 'Should export both cookies');
+	assertEqual(JSON.stringify(findCookie(state.cookies, 'sid')), JSON.stringify(STORAGE_STATE.cookies[0]), 'sid should round-trip unchanged');
+	assertEqual(JSON.stringify(findCookie(state.cookies, 'theme')), JSON.stringify(STORAGE_STATE.cookies[1]), 'theme should round-trip unchanged');
+	assertEqual(state.origins.length, 0, 'Should not invent origins');
+});
+
+suite.test('Should export cookies captured by the plugin to a storageState', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin()]
+	});
+
+	await client.get('/set-cookie');
+	const state = await exportStorageState(client.jar, { origins: STORAGE_STATE.origins });
+
+	const session = findCookie(state.cookies, 'session');
+	assertEqual(session.domain, 'localhost', 'Should export host-only domain');
+	assert(session.httpOnly, 'Should export HttpOnly');
+	assertEqual(session.sameSite, 'Lax', 'Should default sameSite to Lax');
+	assert(findCookie(state.cookies, 'user_id').expires > Date.now() / 1000, 'Should export Max-Age as absolute seconds');
+	assertEqual(state.origins, STORAGE_STATE.origins, 'Should pass origins through');
+});
+
+suite.test('Should import and export Puppeteer page.cookies()', async () => {
+	const puppeteerCookies = [
+		{ name: 'auth_token', value: 'browser', domain: 'localhost', path: '/', expires: -1, size: 18, httpOnly: true, secure: false, session: true }
+	];
+
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin()]
+	});
+
+	await importPuppeteerCookies(client.jar, puppeteerCookies);
+	const response = await client.getJson('/protected');
+	assertEqual(response.data.message, 'Access granted', 'Should send browser cookie to the API');
+
+	const [exported] = await exportPuppeteerCookies(client.jar);
+	assertEqual(exported.name, 'auth_token', 'Should export cookie name');
+	assertEqual(exported.sameSite, undefined, 'Should omit unspecified sameSite');
+	assert(!('size' in exported), 'Should only export page.setCookie() fields');
+});
+
+suite.test('Should round-trip partitioned cookies through a storageState', async () => {
+	const { plugin, jar } = createPlugin();
+	await exchange(plugin, 'https://widget.example/', 'wid=1; Secure; Path=/; SameSite=None; Partitioned', { cookies: { site: 'https://news.example' } });
+
+	const state = await exportStorageState(jar);
+	assertEqual(findCookie(state.cookies, 'wid').partitionKey, 'https://news.example', 'Should export the partition key');
+
+	const restored = createPlugin();
+	await importStorageState(restored.jar, state);
+	assertEqual(await sendCookie(restored.plugin, 'https://widget.example/', { cookies: { site: 'https://news.example' } }), 'wid=1', 'Should import into the same partition');
+	assertEqual(await sendCookie(restored.plugin, 'https://widget.example/', { cookies: { site: 'https://shop.example' } }), undefined, 'Should not import as an unpartitioned cookie');
+});
+
+suite.test('Should import and export partitioned Puppeteer cookies', async () => {
+	const { plugin, jar } = createPlugin();
+	await importPuppeteerCookies(jar, [
+		{ name: 'wid', value: '1', domain: 'widget.example', path: '/', expires: -1, secure: true, sameSite: 'None', partitionKey: { sourceOrigin: 'https://news.example' } }
+	]);
+
+	assertEqual(await sendCookie(plugin, 'https://widget.example/', { cookies: { site: 'https://news.example' } }), 'wid=1', 'Should accept the sourceOrigin form');
+
+	const [exported] = await exportPuppeteerCookies(jar);
+	assertEqual(exported.partitionKey, 'https://news.example', 'Should export the partition key');
+});
+
+suite.test('Should seed client.jar from a storageState file', async () => {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+	const path = join(dir, 'state.json');
+	await writeFile(path, JSON.stringify({
+		cookies: [{ name: 'auth_token', value: 'e2e', domain: 'localhost', path: '/', expires: -1, httpOnly: true, secure: false, sameSite: 'Lax' }],
+		origins: []
+	}));
+
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ seed: { storageState: path } })]
+	});
+
+	const response = await client.getJson('/protected');
+	assertEqual(response.data.message, 'Access granted', 'Should send seeded browser cookie');
+
+	await rm(dir, { recursive: true, force: true });
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Browser Cookie Interop', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
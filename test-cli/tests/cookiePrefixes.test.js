@@ -0,0 +1,113 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, receive } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Prefixes');
+const mockServer = new MockServer(4223);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const HTTPS_URL = 'https://auth.example.com/login';
+
+/**
+ * Stores one cookie from `url` and returns the rejection reason, or null when it was stored.
+ */
+async function storeOne(setCookie, url = HTTPS_URL, options = {}) {
+	const { plugin, jar, rejections } = createPlugin(options);
+	await receive(plugin, url, setCookie);
+
+	const stored = await jar.getCookies(url.replace(/^http:/, 'https:'), { allPaths: true });
+	assertEqual(stored.length + rejections.length, 1, 'The cookie should be either stored or reported');
+
+	return rejections[0]?.reason ?? null;
+}
+
+suite.test('Should store valid __Host- and __Secure- cookies', async () => {
+	assertEqual(await storeOne('__Host-session=abc; Secure; Path=/'), null, 'Valid __Host- cookie');
+	assertEqual(await storeOne('__Secure-token=abc; Secure; Domain=example.com; Path=/api'), null, 'Valid __Secure- cookie');
+});
+
+suite.test('Should require Secure on prefixed cookies', async () => {
+	assertEqual(await storeOne('__Host-session=abc; Path=/'), '__Host- cookie must have the Secure attribute', '__Host- without Secure');
+	assertEqual(await storeOne('__Secure-token=abc; Path=/'), '__Secure- cookie must have the Secure attribute', '__Secure- without Secure');
+});
+
+suite.test('Should reject __Host- cookies with a Domain attribute', async () => {
+	const reason = await storeOne('__Host-session=abc; Secure; Path=/; Domain=auth.example.com');
+
+	assertEqual(reason, '__Host- cookie must not have a Domain attribute', 'Domain is not allowed, even the exact host');
+});
+
+suite.test('Should reject __Host- cookies without Path=/', async () => {
+	assertEqual(await storeOne('__Host-session=abc; Secure; Path=/app'), '__Host- cookie must have Path=/', 'Path must be /');
+	assertEqual(await storeOne('__Host-session=abc; Secure'), '__Host- cookie must have Path=/', 'Path must be explicit');
+});
+
+suite.test('Should require a secure origin', async () => {
+	const reason = await storeOne('__Secure-token=abc; Secure; Path=/', 'http://auth.example.com/login');
+	assertEqual(reason, '__Secure- cookie must be set from a secure origin', 'Plain http origins cannot set prefixed cookies');
+
+	assertEqual(await storeOne('__Host-session=abc; Secure; Path=/', 'http://localhost:3000/'), null, 'Loopback counts as secure');
+	assertEqual(
+		await storeOne('__Host-session=abc; Secure; Path=/', 'http://app.test/', { secureContexts: ['*.test'] }),
+		null,
+		'secureContexts hosts count as secure'
+	);
+});
+
+suite.test('Should match prefixes case-insensitively', async () => {
+	assertEqual(await storeOne('__HOST-session=abc; Secure; Path=/app'), '__Host- cookie must have Path=/', 'Upper-case prefix');
+});
+
+suite.test('Should warn and store in warn mode', async () => {
+	const warnings = [];
+	const logger = { warn: (fields, message) => warnings.push(message) };
+	const { plugin, jar, rejections } = createPlugin({ cookiePrefixes: 'warn', logger });
+	await receive(plugin, HTTPS_URL, '__Host-session=abc; Secure; Path=/; Domain=example.com');
+
+	assertEqual(await jar.getCookieString(HTTPS_URL), '__Host-session=abc', 'Should store the cookie');
+	assertEqual(rejections.length, 0, 'Should not reject the cookie');
+	assert(warnings.some((warning) => warning.includes('must not have a Domain attribute')), 'Should log the violation');
+});
+
+suite.test('Should require an external jar to disable prefixSecurity in warn mode', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ cookiePrefixes: 'warn', jar: new CookieJar() }),
+		'INVALID_OPTIONS',
+		'Should not silently drop violations in a jar with prefixSecurity'
+	);
+
+	const jar = new CookieJar(undefined, { prefixSecurity: 'unsafe-disabled' });
+	const { plugin } = createPlugin({ cookiePrefixes: 'warn', jar, logger: false });
+	await receive(plugin, HTTPS_URL, '__Host-session=abc; Secure; Path=/; Domain=example.com');
+
+	assertEqual(await jar.getCookieString(HTTPS_URL), '__Host-session=abc', 'Should store the cookie in the external jar');
+});
+
+suite.test('Should reject prefix violations through a client', async () => {
+	const rejections = [];
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ onCookieRejected: (rejection) => rejections.push(rejection) })]
+	});
+
+	await client.get('/set-custom-cookie?name=__Host-session&value=abc');
+
+	assertEqual(await client.jar.getCookieString(BASE_URL), '', 'Should not store the cookie');
+	assertEqual(rejections[0]?.name, '__Host-session', 'Should report the cookie');
+});
+
+suite.test('Should reject invalid modes', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ cookiePrefixes: 'strict' }),
+		'INVALID_OPTIONS',
+		'Should validate cookiePrefixes'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Prefixes', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,109 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, receive, sendCookie } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+import { resolveDomainPolicy } from '../../src/domainPolicy.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Domain Allowlist/Denylist');
+const mockServer = new MockServer(4221);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+suite.test('Should only store cookies from allowed hosts', async () => {
+	const { plugin, jar } = createPlugin({ allowDomains: ['example.com', '*.example.com'] });
+
+	await receive(plugin, 'https://api.example.com/', 'session=1; Path=/');
+	await receive(plugin, 'https://example.com/', 'root=1; Path=/');
+	await receive(plugin, 'https://tracker.io/', 'track=1; Path=/');
+
+	assertEqual(await jar.getCookieString('https://api.example.com/'), 'session=1', 'Should store from a wildcard match');
+	assertEqual(await jar.getCookieString('https://example.com/'), 'root=1', 'Should store from an exact match');
+	assertEqual(await jar.getCookieString('https://tracker.io/'), '', 'Should not store from other hosts');
+});
+
+suite.test('Should not store cookies from denied hosts', async () => {
+	const { plugin, jar, rejections } = createPlugin({ denyDomains: [/(^|\.)analytics\./] });
+
+	await receive(plugin, 'https://analytics.example.com/', 'visitor=1; Path=/');
+
+	assertEqual(await jar.getCookieString('https://analytics.example.com/'), '', 'Should not store the cookie');
+	assertEqual(rejections.length, 1, 'Should report the rejected cookie');
+	assertEqual(rejections[0].action, 'store', 'Should report a store rejection');
+	assertEqual(rejections[0].name, 'visitor', 'Should report the cookie name');
+	assert(rejections[0].reason.includes('denyDomains'), 'Should say which list rejected it');
+});
+
+suite.test('Should not send cookies to denied hosts', async () => {
+	const { plugin, rejections } = createPlugin({ denyDomains: ['cdn.example.com'] });
+
+	await receive(plugin, 'https://www.example.com/', 'auth=secret; Domain=example.com; Path=/');
+
+	assertEqual(await sendCookie(plugin, 'https://www.example.com/'), 'auth=secret', 'Should send to allowed hosts');
+	assertEqual(await sendCookie(plugin, 'https://cdn.example.com/'), undefined, 'Should withhold cookies from denied hosts');
+	assertEqual(rejections.map((rejection) => `${rejection.action}:${rejection.name}`), ['send:auth'], 'Should report the withheld cookie');
+});
+
+suite.test('Should let denyDomains win over allowDomains', async () => {
+	const { plugin, jar } = createPlugin({ allowDomains: ['*.example.com'], denyDomains: ['ads.example.com'] });
+
+	await receive(plugin, 'https://ads.example.com/', 'ad=1; Path=/');
+
+	assertEqual(await jar.getCookieString('https://ads.example.com/'), '', 'Denied hosts stay denied when allowed by wildcard');
+});
+
+suite.test('Should keep manual Cookie headers for blocked hosts', async () => {
+	const { plugin } = createPlugin({ allowDomains: ['example.com'] });
+
+	const cookie = await sendCookie(plugin, 'https://partner.io/', { headers: { 'Cookie': 'token=manual' } });
+
+	assertEqual(cookie, 'token=manual', 'Only jar cookies should be withheld');
+});
+
+suite.test('Should not let unparsable URLs past allowDomains', async () => {
+	const allowing = resolveDomainPolicy({ allowDomains: ['example.com'] });
+	const denying = resolveDomainPolicy({ denyDomains: ['ads.example.com'] });
+
+	assertEqual(allowing('http://exa mple.com/'), 'invalid URL http://exa mple.com/ is not in allowDomains', 'Should reject it when only some hosts are allowed');
+	assertEqual(allowing('https://example.com/'), null, 'Should still allow listed hosts');
+	assertEqual(denying('http://exa mple.com/'), null, 'Should leave it to the request when only some hosts are denied');
+});
+
+suite.test('Should report rejected cookies through a client', async () => {
+	const rejections = [];
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ denyDomains: ['localhost'], onCookieRejected: (rejection) => rejections.push(rejection) })]
+	});
+
+	await client.get('/set-cookie');
+
+	assertEqual(await client.jar.getCookieString(BASE_URL), '', 'Should not store cookies from a denied host');
+	assert(rejections.length > 0, 'Should report every rejected Set-Cookie');
+	assert(rejections.every((rejection) => rejection.url.startsWith(BASE_URL)), 'Should report the request URL');
+});
+
+suite.test('Should reject invalid domain lists', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ allowDomains: 'example.com' }),
+		'INVALID_OPTIONS',
+		'Should require an array'
+	);
+
+	await assertThrows(
+		async () => cookieJarPlugin({ denyDomains: [null] }),
+		'INVALID_OPTIONS',
+		'Should validate every pattern'
+	);
+
+	await assertThrows(
+		async () => cookieJarPlugin({ onCookieRejected: 'warn' }),
+		'INVALID_OPTIONS',
+		'Should validate onCookieRejected'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Domain Allowlist/Denylist', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
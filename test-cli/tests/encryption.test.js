@@ -0,0 +1,167 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, FileCookieStore, generateCookieKey } from '../../src/index.js';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Encrypted Persistence');
+const mockServer = new MockServer(4208);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+async function createTempPath() {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+
+	return join(dir, 'cookies.json');
+}
+
+async function writeSession(path, encryption) {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path, encryption } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.jar.store.flush();
+}
+
+suite.test('Should not write cookie values in plaintext', async () => {
+	const path = await createTempPath();
+	await writeSession(path, { key: generateCookieKey() });
+
+	const contents = await readFile(path, 'utf8');
+	assert(!contents.includes('abc123'), 'Should not contain the session value');
+	assert(!contents.includes('session'), 'Should not contain cookie names');
+	assertEqual(JSON.parse(contents).format, 'luminara-cookie-jar/aes-256-gcm', 'Should write an encrypted envelope');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should restore the session with the same key', async () => {
+	const path = await createTempPath();
+	const key = generateCookieKey();
+	await writeSession(path, { key });
+
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path, encryption: { key } } })]
+	});
+
+	const response = await client.getJson('/echo-cookies');
+	assert(response.data.cookies.includes('session=abc123'), 'Should send decrypted session cookie');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should accept an async key provider', async () => {
+	const path = await createTempPath();
+	const key = generateCookieKey().toString('base64');
+	const keyProvider = async () => key;
+	await writeSession(path, { key: keyProvider });
+
+	const store = new FileCookieStore(path, { encryption: { key: keyProvider } });
+	await store.load();
+	assert(store.serializeCookies().cookies.length > 0, 'Should decrypt with provider key');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should fail clearly when the file was written with a different key', async () => {
+	const path = await createTempPath();
+	await writeSession(path, { key: generateCookieKey() });
+
+	const store = new FileCookieStore(path, { encryption: { key: generateCookieKey() } });
+	await assertThrows(() => store.load(), 'COOKIE_KEY_MISMATCH', 'Should report key mismatch');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should fail requests instead of silently dropping the session on key mismatch', async () => {
+	const path = await createTempPath();
+	await writeSession(path, { key: generateCookieKey() });
+
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path, encryption: { key: generateCookieKey() } } })],
+		retry: 0
+	});
+
+	await assertThrows(() => client.get('/echo-cookies'), undefined, 'Request should fail');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should rotate to the new key when decrypting with a previous key', async () => {
+	const path = await createTempPath();
+	const oldKey = generateCookieKey();
+	const newKey = generateCookieKey();
+	await writeSession(path, { key: oldKey });
+
+	const rotating = new FileCookieStore(path, { encryption: { key: newKey, previousKeys: [oldKey] } });
+	await rotating.load();
+	await rotating.flush();
+
+	const oldStore = new FileCookieStore(path, { encryption: { key: oldKey } });
+	await assertThrows(() => oldStore.load(), 'COOKIE_KEY_MISMATCH', 'Old key should no longer decrypt');
+
+	const newStore = new FileCookieStore(path, { encryption: { key: newKey } });
+	await newStore.load();
+	assert(newStore.serializeCookies().cookies.length > 0, 'New key should decrypt the rotated file');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should refuse to load plaintext files when encryption is enabled', async () => {
+	const path = await createTempPath();
+	await writeSession(path);
+
+	const store = new FileCookieStore(path, { encryption: { key: generateCookieKey() } });
+	await assertThrows(() => store.load(), 'COOKIE_FILE_NOT_ENCRYPTED', 'Should refuse plaintext file');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should ask for a key when loading an encrypted file without one', async () => {
+	const path = await createTempPath();
+	await writeSession(path, { key: generateCookieKey() });
+
+	const store = new FileCookieStore(path);
+	await assertThrows(() => store.load(), 'COOKIE_FILE_ENCRYPTED', 'Should require encryption option');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should detect tampered files', async () => {
+	const path = await createTempPath();
+	const key = generateCookieKey();
+	await writeSession(path, { key });
+
+	const envelope = JSON.parse(await readFile(path, 'utf8'));
+	const data = Buffer.from(envelope.data, 'base64');
+	data[0] ^= 0xff;
+	envelope.data = data.toString('base64');
+	await writeFile(path, JSON.stringify(envelope));
+
+	const store = new FileCookieStore(path, { encryption: { key } });
+	await assertThrows(() => store.load(), 'COOKIE_FILE_CORRUPT', 'Should reject tampered ciphertext');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should reject keys of the wrong length', async () => {
+	const path = await createTempPath();
+	await writeSession(path, { key: generateCookieKey() });
+
+	const store = new FileCookieStore(path, { encryption: { key: 'too-short' } });
+	await assertThrows(() => store.load(), 'INVALID_COOKIE_KEY', 'Should validate key length');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Encrypted Persistence', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,104 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Error Response Cookies');
+const mockServer = new MockServer(4218);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+/**
+ * Mock server path that fails with `status` and sets `cookie`.
+ */
+function failingPath(status, cookie) {
+	return `/json?${new URLSearchParams({ status: String(status), cookie })}`;
+}
+
+async function createLoggedInClient(options) {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin(options)]
+	});
+	await client.get('/set-cookie');
+
+	return client;
+}
+
+async function getIgnoringError(client, path, requestOptions) {
+	try {
+		await client.get(path, requestOptions);
+	} catch {
+		// Expected: the request fails
+	}
+}
+
+suite.test('Should clear the session when a 401 expires it', async () => {
+	const client = await createLoggedInClient();
+
+	await getIgnoringError(client, failingPath(401, 'session=; Path=/; Max-Age=0'));
+
+	const cookies = await client.jar.getCookieString(BASE_URL);
+	assert(!cookies.includes('session='), 'Should apply the deletion from the 401 response');
+	assert(cookies.includes('user_id=12345'), 'Should keep other cookies');
+});
+
+suite.test('Should store a rotated cookie from a 500 response', async () => {
+	const client = await createLoggedInClient();
+
+	await getIgnoringError(client, failingPath(500, 'session=rotated; Path=/'));
+
+	assert((await client.jar.getCookieString(BASE_URL)).includes('session=rotated'), 'Should store the rotated session');
+});
+
+suite.test('Should only honor the configured status classes', async () => {
+	const client = await createLoggedInClient({ errorStatuses: ['5xx'] });
+
+	await getIgnoringError(client, failingPath(401, 'session=; Path=/; Max-Age=0'));
+	assert((await client.jar.getCookieString(BASE_URL)).includes('session=abc123'), 'Should ignore 4xx cookies');
+
+	await getIgnoringError(client, failingPath(503, 'session=; Path=/; Max-Age=0'));
+	assert(!(await client.jar.getCookieString(BASE_URL)).includes('session='), 'Should honor 5xx cookies');
+});
+
+suite.test('Should ignore error responses with errorStatuses: false', async () => {
+	const client = await createLoggedInClient({ errorStatuses: false });
+
+	await getIgnoringError(client, failingPath(403, 'session=; Path=/; Max-Age=0'));
+
+	assert((await client.jar.getCookieString(BASE_URL)).includes('session=abc123'), 'Should keep the session');
+});
+
+suite.test('Should respect cookies.store on failed requests', async () => {
+	const client = await createLoggedInClient();
+
+	await getIgnoringError(client, failingPath(401, 'session=; Path=/; Max-Age=0'), { cookies: { store: false } });
+
+	assert((await client.jar.getCookieString(BASE_URL)).includes('session=abc123'), 'Should not store when store is false');
+});
+
+suite.test('Should read the response from context.error', async () => {
+	const plugin = cookieJarPlugin();
+	const client = {};
+	plugin.onAttach(client);
+
+	const response = new Response('{}', { status: 401, headers: { 'Set-Cookie': 'reason=expired; Path=/' } });
+	const error = Object.assign(new Error('Unauthorized'), { status: 401, response });
+	await plugin.onResponseError({ req: { url: `${BASE_URL}/json`, headers: {} }, error });
+
+	assertEqual(await client.jar.getCookieString(BASE_URL), 'reason=expired', 'Should store cookies from error.response');
+});
+
+suite.test('Should reject invalid errorStatuses', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ errorStatuses: ['4XX'] }),
+		'INVALID_OPTIONS',
+		'Should validate status classes'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Error Response Cookies', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
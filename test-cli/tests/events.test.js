@@ -0,0 +1,150 @@
+import { TestSuite, MockServer, assert, assertEqual, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, COOKIE_EVENTS } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Events');
+const mockServer = new MockServer(4227);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const APP_URL = 'https://app.example/';
+
+/**
+ * Plugin recording every cookie event.
+ */
+function createRecordingPlugin(options = {}) {
+	const events = [];
+	const { plugin, jar } = createPlugin(options);
+
+	for (const type of COOKIE_EVENTS) {
+		jar.on(type, (event) => events.push(event));
+	}
+
+	return { plugin, jar, events };
+}
+
+function summarize(events) {
+	return events.map((event) => `${event.type} ${event.name}`);
+}
+
+suite.test('Should emit stored, updated and deleted events', async () => {
+	const { plugin, events } = createRecordingPlugin();
+
+	await receive(plugin, APP_URL, 'session=1; Path=/');
+	await receive(plugin, APP_URL, 'session=2; Path=/');
+	await receive(plugin, APP_URL, 'session=; Path=/; Max-Age=0');
+
+	assertEqual(summarize(events), ['cookie:stored session', 'cookie:updated session', 'cookie:deleted session'], 'Should report each change');
+	assertEqual(events[1].cookie.value, '2', 'Should carry the new cookie');
+	assertEqual(events[1].previous.value, '1', 'Should carry the replaced cookie');
+	assertEqual(events[2].cookie.value, '2', 'Should carry the deleted cookie');
+	assertEqual(events[2].reason, 'server', 'Should report who deleted it');
+	assertEqual(events[0].url, APP_URL, 'Should carry the URL');
+});
+
+suite.test('Should not report deleting a cookie that was never stored', async () => {
+	const { plugin, jar, events } = createRecordingPlugin();
+
+	await receive(plugin, APP_URL, 'ghost=; Path=/; Max-Age=0');
+
+	assertEqual(events.length, 0, 'Should emit nothing');
+	assertEqual((await jar.serialize()).cookies.length, 0, 'Should not keep the expired cookie');
+});
+
+suite.test('Should emit sent events with the request context', async () => {
+	const { plugin, events } = createRecordingPlugin();
+
+	await receive(plugin, APP_URL, 'session=1; Path=/');
+	await receive(plugin, APP_URL, 'theme=dark; Path=/');
+	events.length = 0;
+
+	const context = await send(plugin, APP_URL, { headers: { Cookie: 'theme=light' } });
+
+	assertEqual(summarize(events), ['cookie:sent session'], 'Should skip jar cookies the manual header overrides');
+	assert(events[0].context === context, 'Should carry the request context');
+});
+
+suite.test('Should emit rejected events with the reason', async () => {
+	const { plugin, events } = createRecordingPlugin({ denyDomains: ['ads.example'] });
+
+	await receive(plugin, 'https://ads.example/', 'track=1; Path=/');
+
+	assertEqual(summarize(events), ['cookie:rejected track'], 'Should report the rejection');
+	assertEqual(events[0].action, 'store', 'Should report what was refused');
+	assertEqual(events[0].reason, 'host ads.example matches denyDomains', 'Should carry the reason');
+});
+
+suite.test('Should emit expired events when an expired cookie is read', async () => {
+	const { plugin, events } = createRecordingPlugin();
+	const expires = new Date(Date.now() + 2000).toUTCString();
+
+	await receive(plugin, APP_URL, `promo=1; Path=/; Expires=${expires}`);
+	await new Promise((resolve) => setTimeout(resolve, 2100));
+	events.length = 0;
+
+	const context = await send(plugin, APP_URL);
+
+	assertEqual(summarize(events), ['cookie:expired promo'], 'Should report the expired cookie');
+	assertEqual(context.req.headers.Cookie, undefined, 'Should not send it');
+});
+
+suite.test('Should emit evictions as deleted events', async () => {
+	const { plugin, events } = createRecordingPlugin({ limits: { maxCookiesPerDomain: 1 } });
+
+	await receive(plugin, APP_URL, 'a=1; Path=/');
+	await receive(plugin, APP_URL, 'b=1; Path=/');
+
+	const deleted = events.filter((event) => event.type === 'cookie:deleted');
+	assertEqual(summarize(deleted), ['cookie:deleted a'], 'Should report the evicted cookie');
+	assertEqual(deleted[0].reason, 'domain-limit', 'Should carry the eviction reason');
+});
+
+suite.test('Should log listener errors without failing the request', async () => {
+	const errors = [];
+	const logger = { error: (fields, message) => errors.push(message) };
+	const { plugin, jar, events } = createRecordingPlugin({
+		logger,
+		denyDomains: ['ads.example'],
+		onCookieRejected: () => {
+			throw new Error('rejection hook failed');
+		}
+	});
+	const later = [];
+	jar.on('cookie:stored', () => {
+		throw new Error('listener failed');
+	});
+	jar.on('cookie:stored', (event) => later.push(event.name));
+
+	await receive(plugin, APP_URL, 'session=1; Path=/');
+	await receive(plugin, 'https://ads.example/', 'track=1; Path=/');
+
+	assertEqual(await jar.getCookieString(APP_URL), 'session=1', 'Should still store the cookie');
+	assertEqual(summarize(events), ['cookie:stored session', 'cookie:rejected track'], 'Should still emit every event');
+	assertEqual(later, ['session'], 'Should call the listeners after the one that threw');
+	assertEqual(errors, [
+		'A cookie:stored listener threw: listener failed',
+		'onCookieRejected threw: rejection hook failed'
+	], 'Should log each failure');
+});
+
+suite.test('Should emit events on the plugin and client.jar through a client', async () => {
+	const plugin = cookieJarPlugin();
+	const client = createLuminara({ baseURL: BASE_URL, plugins: [plugin] });
+	const fromPlugin = [];
+	const fromJar = [];
+
+	plugin.on('cookie:stored', (event) => fromPlugin.push(event.name));
+	client.jar.on('cookie:sent', (event) => fromJar.push(event.name));
+
+	await client.get('/set-cookie');
+	await client.get('/echo-cookies');
+
+	assertEqual(fromPlugin, ['session', 'user_id', 'preferences'], 'Plugin should report stored cookies');
+	assertEqual(fromJar, ['session', 'user_id', 'preferences'], 'Jar should report sent cookies');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Events', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
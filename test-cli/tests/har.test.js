@@ -0,0 +1,164 @@
+import { TestSuite, MockServer, assert, assertEqual, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, importHar, createHarRecorder } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('HAR Cookies');
+const mockServer = new MockServer(4211);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+const CUSTOMER_HAR = {
+	log: {
+		version: '1.2',
+		entries: [
+			{
+				request: { method: 'GET', url: 'https://app.example.com/', cookies: [{ name: 'visitor', value: 'v1' }] },
+				response: {
+					status: 200,
+					headers: [{ name: 'set-cookie', value: 'session=first; Path=/; HttpOnly\ntheme=dark; Path=/' }],
+					cookies: []
+				}
+			},
+			{
+				request: { method: 'POST', url: 'https://app.example.com/login', cookies: [{ name: 'visitor', value: 'v1' }, { name: 'session', value: 'first' }] },
+				response: {
+					status: 302,
+					headers: [{ name: 'Set-Cookie', value: 'session=rotated; Path=/; HttpOnly; Secure' }],
+					cookies: []
+				}
+			},
+			{
+				request: { method: 'GET', url: 'https://app.example.com/account', cookies: [] },
+				response: {
+					status: 200,
+					headers: [],
+					cookies: [{ name: 'csrf', value: 't0ken', path: '/account', httpOnly: false, secure: true }]
+				}
+			}
+		]
+	}
+};
+
+suite.test('Should replay Set-Cookie responses in entry order', async () => {
+	const jar = new CookieJar();
+	await importHar(jar, CUSTOMER_HAR);
+
+	const cookies = await jar.getCookies('https://app.example.com/');
+	const session = cookies.find((cookie) => cookie.key === 'session');
+	assertEqual(session.value, 'rotated', 'Later response should override earlier one');
+	assert(session.secure && session.httpOnly, 'Should keep Set-Cookie attributes');
+});
+
+suite.test('Should seed cookies that were only seen in requests', async () => {
+	const jar = new CookieJar();
+	const result = await importHar(jar, JSON.stringify(CUSTOMER_HAR));
+
+	assertEqual(result.seeded.length, 1, 'Should seed the pre-existing visitor cookie only');
+	assertEqual(result.seeded[0].key, 'visitor', 'Should seed visitor cookie');
+	assert((await jar.getCookieString('https://app.example.com/')).includes('visitor=v1'), 'Should send seeded cookie');
+});
+
+suite.test('Should fall back to response.cookies when headers were stripped', async () => {
+	const jar = new CookieJar();
+	await importHar(jar, CUSTOMER_HAR);
+
+	const accountCookies = await jar.getCookieString('https://app.example.com/account');
+	assert(accountCookies.includes('csrf=t0ken'), 'Should store cookie from response.cookies');
+	assert(!(await jar.getCookieString('https://app.example.com/')).includes('csrf'), 'Should keep the recorded path');
+});
+
+suite.test('Should seed client.jar from a HAR file', async () => {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+	const path = join(dir, 'session.har');
+	await writeFile(path, JSON.stringify({
+		log: {
+			entries: [{
+				request: { url: `${BASE_URL}/login`, cookies: [] },
+				response: { headers: [{ name: 'Set-Cookie', value: 'auth_token=from-har; Path=/' }] }
+			}]
+		}
+	}));
+
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ seed: { har: path } })]
+	});
+
+	const response = await client.getJson('/protected');
+	assertEqual(response.data.message, 'Access granted', 'Should reproduce the recorded session');
+
+	await rm(dir, { recursive: true, force: true });
+});
+
+suite.test('Should record Cookie and Set-Cookie traffic as HAR entries', async () => {
+	const recorder = createHarRecorder();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ har: recorder })]
+	});
+
+	await client.get('/set-cookie');
+	await client.get('/echo-cookies');
+
+	const { log } = recorder.toHar();
+	assertEqual(log.version, '1.2', 'Should produce HAR 1.2');
+	assertEqual(log.entries.length, 2, 'Should record both requests');
+
+	const [setEntry, echoEntry] = log.entries;
+	assertEqual(setEntry.request.cookies.length, 0, 'First request should send no cookies');
+	const names = setEntry.response.cookies.map((cookie) => cookie.name);
+	assertEqual(names, ['session', 'user_id', 'preferences'], 'Should record Set-Cookie in response.cookies');
+	assert(setEntry.response.cookies[0].httpOnly, 'Should record cookie attributes');
+
+	const sent = echoEntry.request.cookies.map((cookie) => cookie.name);
+	assert(sent.includes('session') && sent.includes('user_id'), 'Should record sent cookies in request.cookies');
+	assertEqual(echoEntry.response.status, 200, 'Should record response status');
+});
+
+suite.test('Should import a recorded HAR into a fresh jar', async () => {
+	const recorder = createHarRecorder();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ har: recorder })]
+	});
+
+	await client.get('/set-cookie');
+
+	const jar = new CookieJar();
+	await importHar(jar, recorder.toHar());
+	assertEqual(
+		await jar.getCookieString(BASE_URL),
+		await client.jar.getCookieString(BASE_URL),
+		'Recorded HAR should reproduce the session'
+	);
+
+	recorder.clear();
+	assertEqual(recorder.toHar().log.entries.length, 0, 'Should clear recorded entries');
+});
+
+suite.test('Should record error responses whose status is not in errorStatuses', async () => {
+	const recorder = createHarRecorder();
+	const { plugin } = createPlugin({ har: recorder, errorStatuses: ['5xx'] });
+	const url = 'https://app.example/account';
+	await receive(plugin, url, 'session=abc; Path=/');
+	recorder.clear();
+
+	const context = await send(plugin, url);
+	await plugin.onResponseError({ ...context, res: new Response('', { status: 404, headers: { 'Set-Cookie': 'session=; Max-Age=0' } }) });
+
+	const [entry] = recorder.toHar().log.entries;
+	assertEqual(entry?.response.status, 404, 'Should record the exchange');
+	assertEqual(entry.request.cookies.map((cookie) => cookie.name), ['session'], 'Should keep the cookies sent with the request');
+	assertEqual(entry.response.cookies.map((cookie) => cookie.name), ['session'], 'Should record the Set-Cookie it did not store');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'HAR Cookies', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,157 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, createMemoryAdapter, enforceCookieLimits } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Limits');
+const mockServer = new MockServer(4222);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+/**
+ * Plugin with the given limits and other options, collecting evictions and rejections.
+ */
+function createLimitedPlugin(limits, options) {
+	const evictions = [];
+	const { plugin, jar, rejections } = createPlugin({ ...options, limits: { ...limits, onEvict: (evicted) => evictions.push(...evicted) } });
+
+	return { plugin, jar, evictions, rejections };
+}
+
+/**
+ * Waits for a request or response, then spaces access times out so least-recently-used
+ * order is unambiguous.
+ */
+async function spaced(exchange) {
+	await exchange;
+	await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+suite.test('Should evict the least recently used cookie of a full domain', async () => {
+	const { plugin, jar, evictions } = createLimitedPlugin({ maxCookiesPerDomain: 2 });
+
+	await spaced(receive(plugin, 'https://shop.example/', 'cart=1; Path=/'));
+	await spaced(receive(plugin, 'https://shop.example/', 'viewed=1; Path=/'));
+	await spaced(send(plugin, 'https://shop.example/'));
+	await spaced(receive(plugin, 'https://shop.example/', 'viewed=2; Path=/'));
+	await spaced(receive(plugin, 'https://shop.example/', 'promo=1; Path=/'));
+
+	assertEqual(await jar.getCookieString('https://shop.example/'), 'viewed=2; promo=1', 'Should keep the two most recently used cookies');
+	assertEqual(evictions.map((eviction) => `${eviction.reason}:${eviction.name}`), ['domain-limit:cart'], 'Should report the eviction');
+});
+
+suite.test('Should treat sent cookies as recently used', async () => {
+	const { plugin, jar } = createLimitedPlugin({ maxCookiesPerDomain: 2 });
+
+	await spaced(receive(plugin, 'https://shop.example/', 'session=1; Path=/'));
+	await spaced(receive(plugin, 'https://shop.example/tracking', 'pixel=1; Path=/tracking'));
+	await spaced(send(plugin, 'https://shop.example/'));
+	await spaced(receive(plugin, 'https://shop.example/', 'promo=1; Path=/'));
+
+	assertEqual(await jar.getCookieString('https://shop.example/tracking'), 'session=1; promo=1', 'Should evict the cookie that was not sent');
+});
+
+suite.test('Should save access times in store adapters', async () => {
+	const adapter = createMemoryAdapter();
+	const { plugin, jar } = createLimitedPlugin({ maxCookiesPerDomain: 2 }, { store: adapter });
+
+	await spaced(receive(plugin, 'https://shop.example/', 'session=1; Path=/'));
+	await spaced(receive(plugin, 'https://shop.example/tracking', 'pixel=1; Path=/tracking'));
+	await spaced(send(plugin, 'https://shop.example/'));
+	await spaced(receive(plugin, 'https://shop.example/', 'promo=1; Path=/'));
+
+	assertEqual(await jar.getCookieString('https://shop.example/tracking'), 'session=1; promo=1', 'Should evict the cookie that was not sent');
+	const [session] = await adapter.list({ domain: 'shop.example', path: '/' }).then((cookies) => cookies.filter((cookie) => cookie.key === 'session'));
+	assert(session.lastAccessed > session.creation, 'Should write the access time to the adapter');
+});
+
+suite.test('Should not list the whole jar on every response', async () => {
+	const adapter = createMemoryAdapter();
+	const list = adapter.list;
+	let listings = 0;
+	adapter.list = (filter = {}) => {
+		listings += filter.domain === undefined ? 1 : 0;
+
+		return list(filter);
+	};
+	const { plugin, jar, evictions } = createLimitedPlugin({ maxCookies: 10 }, { store: adapter });
+
+	await receive(plugin, 'https://a.example/', 'first=1; Path=/');
+	listings = 0;
+	for (let index = 0; index < 9; index++) {
+		await spaced(receive(plugin, `https://d${index}.example/`, `c${index}=1; Path=/`));
+	}
+	assertEqual(listings, 0, 'Should check the stored domains only while under the cap');
+
+	await receive(plugin, 'https://a.example/', 'last=1; Path=/');
+	assert(listings > 0, 'Should list the jar once over the cap');
+	assertEqual(evictions.map((eviction) => eviction.name), ['first', 'c0'], 'Should trim to 90% of the cap, least recently used first');
+	assertEqual((await jar.store.getAllCookies()).length, 9, 'Should leave room for the next cookies');
+});
+
+suite.test('Should evict across domains at the total cap', async () => {
+	const { plugin, jar, evictions } = createLimitedPlugin({ maxCookies: 2 });
+
+	await spaced(receive(plugin, 'https://a.example/', 'a=1; Path=/'));
+	await spaced(receive(plugin, 'https://b.example/', 'b=1; Path=/'));
+	await spaced(receive(plugin, 'https://c.example/', 'c=1; Path=/'));
+
+	assertEqual(await jar.getCookieString('https://a.example/'), '', 'Should evict the oldest cookie');
+	assertEqual(evictions[0].reason, 'total-limit', 'Should report the total cap');
+	assertEqual(evictions[0].domain, 'a.example', 'Should report the cookie domain');
+});
+
+suite.test('Should reject cookies larger than maxCookieBytes', async () => {
+	const { plugin, jar, rejections } = createLimitedPlugin({ maxCookieBytes: 16 });
+
+	await spaced(receive(plugin, 'https://a.example/', `blob=${'x'.repeat(32)}; Path=/`));
+	await spaced(receive(plugin, 'https://a.example/', 'small=1; Path=/'));
+
+	assertEqual(await jar.getCookieString('https://a.example/'), 'small=1', 'Should only store the small cookie');
+	assertEqual(rejections.length, 1, 'Should report the oversized cookie');
+	assert(rejections[0].reason.includes('maxCookieBytes'), 'Should explain the rejection');
+});
+
+suite.test('Should evict expired cookies first', async () => {
+	const { plugin, jar, evictions } = createLimitedPlugin({ maxCookiesPerDomain: 2 });
+
+	await jar.setCookie('stale=1; Path=/; Expires=Thu, 01 Jan 2015 00:00:00 GMT', 'https://a.example/');
+	await spaced(receive(plugin, 'https://a.example/', 'one=1; Path=/'));
+	await spaced(receive(plugin, 'https://a.example/', 'two=1; Path=/'));
+
+	assertEqual(await jar.getCookieString('https://a.example/'), 'one=1; two=1', 'Live cookies should fit after dropping expired ones');
+	assertEqual(evictions.map((eviction) => eviction.reason), ['expired'], 'Should only evict the expired cookie');
+});
+
+suite.test('Should apply browser-like defaults with limits: true', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ limits: true })]
+	});
+
+	await client.get('/set-cookie');
+	const evictions = await enforceCookieLimits(client.jar, { maxCookiesPerDomain: 1 });
+
+	assertEqual(evictions.length, 2, 'enforceCookieLimits should apply explicit limits to any jar');
+	assertEqual(evictions.every((eviction) => eviction.reason === 'domain-limit'), true, 'Should report the rule');
+});
+
+suite.test('Should reject invalid limits', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ limits: { maxCookiesPerDomain: 0 } }),
+		'INVALID_OPTIONS',
+		'Should require positive limits'
+	);
+
+	await assertThrows(
+		async () => cookieJarPlugin({ limits: { onEvict: 'log' } }),
+		'INVALID_OPTIONS',
+		'Should validate onEvict'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Limits', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,150 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, importNetscape, redactCookie } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Logger');
+const mockServer = new MockServer(4228);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const APP_URL = 'https://app.example/';
+
+/**
+ * Logger recording every call as `{ level, fields, message }`.
+ */
+function createRecordingLogger() {
+	const entries = [];
+	const logger = {};
+	for (const level of ['debug', 'info', 'warn', 'error']) {
+		logger[level] = (fields, message) => entries.push({ level, fields, message });
+	}
+
+	return { logger, entries };
+}
+
+suite.test('Should log rejected cookies with structured fields', async () => {
+	const { logger, entries } = createRecordingLogger();
+	const { plugin } = createPlugin({ logger, denyDomains: ['ads.example'], onCookieRejected: undefined });
+
+	await receive(plugin, 'https://ads.example/', 'track=secret-id; Path=/');
+
+	const warnings = entries.filter((entry) => entry.level === 'warn');
+	assertEqual(warnings.length, 1, 'Should log one warning');
+	assertEqual(warnings[0].message, 'Rejected cookie "track" for https://ads.example/: host ads.example matches denyDomains', 'Should keep the message');
+	assertEqual(warnings[0].fields.url, 'https://ads.example/', 'Should carry the URL');
+	assertEqual(warnings[0].fields.name, 'track', 'Should carry the cookie name');
+	assertEqual(warnings[0].fields.reason, 'host ads.example matches denyDomains', 'Should carry the reason');
+	assertEqual(warnings[0].fields.cookie, 'track=[redacted]; Path=/', 'Should redact the cookie value');
+});
+
+suite.test('Should log cookie activity at debug level without values', async () => {
+	const { logger, entries } = createRecordingLogger();
+	const { plugin } = createPlugin({ logger });
+
+	await receive(plugin, APP_URL, 'session=s3cr3t; Path=/; HttpOnly');
+	await send(plugin, APP_URL);
+
+	const debug = entries.filter((entry) => entry.level === 'debug');
+	assertEqual(debug.map((entry) => entry.fields.event).join(','), 'cookie:stored,cookie:sent', 'Should log each event');
+	assert(!JSON.stringify(entries).includes('s3cr3t'), 'Should never log the value');
+	assertEqual(debug[0].fields.cookie, 'session=[redacted]; Path=/; HttpOnly', 'Should keep the attributes');
+});
+
+suite.test('Should not log rejections handled by onCookieRejected', async () => {
+	const { logger, entries } = createRecordingLogger();
+	const { plugin } = createPlugin({ logger, denyDomains: ['ads.example'], onCookieRejected: () => {} });
+
+	await receive(plugin, 'https://ads.example/', 'track=1; Path=/');
+
+	assertEqual(entries.filter((entry) => entry.level === 'warn').length, 0, 'Should leave reporting to the callback');
+});
+
+suite.test('Should be silenced with logger: false', async () => {
+	const warnings = [];
+	const originalWarn = console.warn;
+	console.warn = (message) => warnings.push(message);
+
+	try {
+		const { plugin } = createPlugin({ logger: false, denyDomains: ['ads.example'], onCookieRejected: undefined });
+		await receive(plugin, 'https://ads.example/', 'track=1; Path=/');
+	} finally {
+		console.warn = originalWarn;
+	}
+
+	assertEqual(warnings.length, 0, 'Should not write to the console');
+});
+
+suite.test('Should prefix console messages once', async () => {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+	const path = join(dir, 'cookies.json');
+	await writeFile(path, 'not json');
+
+	const errors = [];
+	const originalError = console.error;
+	console.error = (message) => errors.push(message);
+
+	try {
+		const { plugin } = createPlugin({ persist: { path } });
+		await plugin.stats().catch(() => {});
+	} finally {
+		console.error = originalError;
+	}
+
+	assertEqual(errors.length, 1, 'Should report the unreadable file');
+	assert(errors[0].startsWith(`[cookie-jar] Failed to load cookies: Cookie file ${path} is not valid JSON`), 'Should start with the prefix');
+	assertEqual(errors[0].split('[cookie-jar]').length, 2, 'Should not repeat the prefix');
+
+	await rm(dir, { recursive: true, force: true });
+});
+
+suite.test('Should skip levels the logger lacks', async () => {
+	const messages = [];
+	const { plugin } = createPlugin({ logger: { warn: (fields, message) => messages.push(message) }, denyDomains: ['ads.example'], onCookieRejected: undefined });
+
+	await receive(plugin, APP_URL, 'session=1; Path=/');
+	await receive(plugin, 'https://ads.example/', 'track=1; Path=/');
+
+	assertEqual(messages.length, 1, 'Should only receive warnings');
+});
+
+suite.test('Should pass the logger to imports', async () => {
+	const { logger, entries } = createRecordingLogger();
+	const jar = new CookieJar();
+
+	await importNetscape(jar, '.com\tTRUE\t/\tFALSE\t0\tbad\tvalue\n', { logger });
+
+	assertEqual(entries.length, 1, 'Should report the failed import');
+	assertEqual(entries[0].fields.name, 'bad', 'Should carry the cookie name');
+});
+
+suite.test('Should redact Set-Cookie and Cookie headers', async () => {
+	assertEqual(redactCookie('sid=abc; Path=/; Secure'), 'sid=[redacted]; Path=/; Secure', 'Should keep attributes');
+	assertEqual(redactCookie('a=1; b=2', { request: true }), 'a=[redacted]; b=[redacted]', 'Should redact every request pair');
+	assertEqual(redactCookie('nameless'), '[redacted]', 'Should redact nameless cookies');
+});
+
+suite.test('Should reject invalid loggers', async () => {
+	await assertThrows(async () => cookieJarPlugin({ logger: 'pino' }), 'INVALID_OPTIONS', 'Should require an object');
+	await assertThrows(async () => cookieJarPlugin({ logger: { warn: true } }), 'INVALID_OPTIONS', 'Should require function levels');
+});
+
+suite.test('Should log through a client', async () => {
+	const { logger, entries } = createRecordingLogger();
+	const client = createLuminara({ baseURL: BASE_URL, plugins: [cookieJarPlugin({ logger })] });
+
+	await client.get('/set-cookie');
+
+	const stored = entries.filter((entry) => entry.fields.event === 'cookie:stored');
+	assertEqual(stored.map((entry) => entry.fields.name).join(','), 'session,user_id,preferences', 'Should log stored cookies');
+	assert(!JSON.stringify(entries).includes('abc123'), 'Should never log the value');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Logger', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,89 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, mergeCookieHeader } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Merge Strategy');
+const mockServer = new MockServer(4215);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+async function sendWithConflict(mergeStrategy, headers = { 'Cookie': 'session=manual' }) {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ mergeStrategy })]
+	});
+
+	await client.jar.setCookie('session=from_jar; Path=/', BASE_URL);
+	await client.jar.setCookie('jar_only=1; Path=/', BASE_URL);
+
+	const response = await client.getJson('/echo-cookies', { headers });
+
+	return response.data.cookies;
+}
+
+suite.test('Should let the manual cookie win by default', async () => {
+	const cookies = await sendWithConflict(undefined);
+
+	assert(cookies.includes('session=manual'), 'Should send the manual cookie');
+	assert(!cookies.includes('session=from_jar'), 'Should drop the conflicting jar cookie');
+	assert(cookies.includes('jar_only=1'), 'Should still send non-conflicting jar cookies');
+});
+
+suite.test('Should let the jar cookie win with jar-wins', async () => {
+	const cookies = await sendWithConflict('jar-wins');
+
+	assert(cookies.includes('session=from_jar'), 'Should send the jar cookie');
+	assert(!cookies.includes('session=manual'), 'Should drop the conflicting manual cookie');
+});
+
+suite.test('Should send both cookies with both', async () => {
+	const cookies = await sendWithConflict('both');
+
+	assert(cookies.includes('session=manual'), 'Should send the manual cookie');
+	assert(cookies.includes('session=from_jar'), 'Should send the jar cookie');
+});
+
+suite.test('Should merge Cookie and cookie header keys into one header', async () => {
+	const plugin = cookieJarPlugin();
+	const client = {};
+	plugin.onAttach(client);
+	await client.jar.setCookie('jar_cookie=1; Path=/', BASE_URL);
+
+	const context = {
+		req: { url: `${BASE_URL}/echo-cookies`, headers: { 'Cookie': 'upper=1', 'cookie': 'lower=1', 'Accept': 'application/json' } }
+	};
+	await plugin.onRequest(context);
+
+	const keys = Object.keys(context.req.headers).filter((name) => name.toLowerCase() === 'cookie');
+	assertEqual(keys, ['Cookie'], 'Should leave a single Cookie key');
+	assertEqual(context.req.headers['Cookie'], 'upper=1; lower=1; jar_cookie=1', 'Should keep every cookie once');
+	assertEqual(context.req.headers['Accept'], 'application/json', 'Should keep other headers');
+});
+
+suite.test('Should resolve conflicts per cookie name', async () => {
+	assertEqual(
+		mergeCookieHeader('a=manual; b=manual', 'a=jar; c=jar', 'manual-wins'),
+		'a=manual; b=manual; c=jar',
+		'manual-wins should only drop conflicting names'
+	);
+	assertEqual(
+		mergeCookieHeader('a=manual; b=manual', 'a=jar; c=jar', 'jar-wins'),
+		'b=manual; a=jar; c=jar',
+		'jar-wins should only drop conflicting names'
+	);
+});
+
+suite.test('Should reject unknown merge strategies', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ mergeStrategy: 'newest' }),
+		'INVALID_OPTIONS',
+		'Should validate mergeStrategy'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Merge Strategy', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,146 @@
+import { TestSuite, MockServer, assertEqual, assertThrows, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, COOKIE_METRICS } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Metrics');
+const mockServer = new MockServer(4229);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const APP_URL = 'https://app.example/';
+
+/**
+ * Metrics sink recording every measurement as `kind name value tag=value...`.
+ */
+function createRecordingSink() {
+	const measurements = [];
+	const record = (kind) => (name, value, tags) => {
+		const tagList = Object.entries(tags).map(([key, tag]) => ` ${key}=${tag}`).join('');
+		measurements.push(`${kind} ${name} ${value}${tagList}`);
+	};
+
+	return { sink: { increment: record('increment'), gauge: record('gauge'), histogram: record('histogram') }, measurements };
+}
+
+suite.test('Should record cookies sent and Cookie header bytes per request', async () => {
+	const { sink, measurements } = createRecordingSink();
+	const { plugin } = createPlugin({ metrics: sink });
+
+	await receive(plugin, APP_URL, 'session=abc; Path=/');
+	await receive(plugin, APP_URL, 'theme=dark; Path=/');
+	measurements.length = 0;
+
+	await send(plugin, APP_URL, { headers: { Cookie: 'debug=1' } });
+
+	assertEqual(measurements, [
+		`histogram ${COOKIE_METRICS.sent} 2 host=app.example`,
+		`histogram ${COOKIE_METRICS.headerBytes} 32 host=app.example`
+	], 'Should measure the request');
+
+	const stats = await plugin.stats();
+	assertEqual(stats.requests, 1, 'Should count the request');
+	assertEqual(stats.sent, 2, 'Should count the cookies sent');
+	assertEqual(stats.maxCookieHeaderBytes, 32, 'Should track the largest header');
+	assertEqual(stats.domains['app.example'].sent, 2, 'Should count per domain');
+});
+
+suite.test('Should count accepted and rejected cookies per domain', async () => {
+	const { sink, measurements } = createRecordingSink();
+	const { plugin } = createPlugin({ metrics: sink, denyDomains: ['ads.example'] });
+
+	await receive(plugin, APP_URL, 'session=abc; Path=/');
+	await receive(plugin, 'https://ads.example/', 'track=1; Path=/');
+
+	assertEqual(measurements.filter((measurement) => measurement.startsWith('increment')), [
+		`increment ${COOKIE_METRICS.accepted} 1 domain=app.example`,
+		`increment ${COOKIE_METRICS.rejected} 1 host=ads.example action=store`
+	], 'Should count each Set-Cookie');
+
+	const stats = await plugin.stats();
+	assertEqual(stats.accepted, 1, 'Should count accepted cookies');
+	assertEqual(stats.rejected, 1, 'Should count rejected cookies');
+	assertEqual(stats.domains['ads.example'].rejected, 1, 'Should count rejections per host');
+});
+
+suite.test('Should count evictions with their reason', async () => {
+	const { sink, measurements } = createRecordingSink();
+	const { plugin } = createPlugin({ metrics: sink, limits: { maxCookiesPerDomain: 1 } });
+
+	await receive(plugin, APP_URL, 'a=1; Path=/');
+	await receive(plugin, APP_URL, 'b=1; Path=/');
+
+	const evictions = measurements.filter((measurement) => measurement.includes(COOKIE_METRICS.evicted));
+	assertEqual(evictions, [`increment ${COOKIE_METRICS.evicted} 1 domain=app.example reason=domain-limit`], 'Should report the eviction');
+	assertEqual((await plugin.stats()).evicted, 1, 'Should count the eviction');
+});
+
+suite.test('Should report the jar size after storing cookies', async () => {
+	const { sink, measurements } = createRecordingSink();
+	const { plugin } = createPlugin({ metrics: sink });
+
+	await receive(plugin, APP_URL, 'a=1; Path=/');
+	await receive(plugin, 'https://other.example/', 'b=1; Path=/');
+
+	const gauges = measurements.filter((measurement) => measurement.startsWith('gauge'));
+	assertEqual(gauges, [`gauge ${COOKIE_METRICS.jarSize} 1`, `gauge ${COOKIE_METRICS.jarSize} 2`], 'Should report the size');
+	assertEqual((await plugin.stats()).jarSize, 2, 'Stats should include the size');
+});
+
+suite.test('Should keep stats without a sink and reset them', async () => {
+	const { plugin } = createPlugin();
+
+	await receive(plugin, APP_URL, 'a=1; Path=/');
+	await send(plugin, APP_URL);
+	assertEqual((await plugin.stats()).sent, 1, 'Should count without a sink');
+
+	plugin.resetStats();
+
+	const stats = await plugin.stats();
+	assertEqual(stats.sent, 0, 'Should reset counts');
+	assertEqual(Object.keys(stats.domains).length, 0, 'Should reset domains');
+	assertEqual(stats.jarSize, 1, 'Should keep reporting the jar');
+});
+
+suite.test('Should log sink errors without failing the request', async () => {
+	const errors = [];
+	const sink = {
+		increment: () => {
+			throw new Error('statsd is down');
+		},
+		gauge: () => {
+			throw new Error('statsd is down');
+		}
+	};
+	const { plugin } = createPlugin({ metrics: sink, logger: { error: (fields, message) => errors.push(message) } });
+
+	await receive(plugin, APP_URL, 'session=abc; Path=/');
+	const stats = await plugin.stats();
+
+	assertEqual(errors, ['metrics.increment threw: statsd is down', 'metrics.gauge threw: statsd is down'], 'Should log each failed measurement');
+	assertEqual(stats.accepted, 1, 'Should still store and count the cookie');
+});
+
+suite.test('Should reject invalid sinks', async () => {
+	await assertThrows(async () => cookieJarPlugin({ metrics: 'statsd' }), 'INVALID_OPTIONS', 'Should require an object');
+	await assertThrows(async () => cookieJarPlugin({ metrics: { increment: 1 } }), 'INVALID_OPTIONS', 'Should require function methods');
+});
+
+suite.test('Should record metrics through a client', async () => {
+	const { sink, measurements } = createRecordingSink();
+	const plugin = cookieJarPlugin({ metrics: sink });
+	const client = createLuminara({ baseURL: BASE_URL, plugins: [plugin] });
+
+	await client.get('/set-cookie');
+	await client.get('/echo-cookies');
+
+	const stats = await plugin.stats();
+	assertEqual(stats.accepted, 3, 'Should count stored cookies');
+	assertEqual(stats.sent, 3, 'Should count sent cookies');
+	assertEqual(measurements.filter((measurement) => measurement.startsWith(`increment ${COOKIE_METRICS.accepted}`)).length, 3, 'Should report to the sink');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Metrics', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
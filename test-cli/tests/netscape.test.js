@@ -0,0 +1,127 @@
+import { TestSuite, MockServer, assert, assertEqual, createPlugin, exchange } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, importNetscape, exportNetscape } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Netscape cookies.txt');
+const mockServer = new MockServer(4209);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+const COOKIES_TXT = [
+	'# Netscape HTTP Cookie File',
+	'# https://curl.se/docs/http-cookies.html',
+	'',
+	'.example.com\tTRUE\t/\tTRUE\t0\tshared\tdomain-wide',
+	'#HttpOnly_api.example.com\tFALSE\t/v1\tFALSE\t4102444800\ttoken\tsecret',
+	'localhost\tFALSE\t/\tFALSE\t0\tlocal\tyes',
+	'expired.example.com\tFALSE\t/\tFALSE\t1000\told\tgone',
+	'not a cookie line'
+].join('\n');
+
+function findLine(text, name) {
+	return text.split('\n').find((line) => line.split('\t')[5] === name);
+}
+
+suite.test('Should import cookies and skip comments, malformed and expired lines', async () => {
+	const jar = new CookieJar();
+	const stored = await importNetscape(jar, COOKIES_TXT);
+
+	assertEqual(stored.map((cookie) => cookie.key), ['shared', 'token', 'local'], 'Should import three cookies');
+	assertEqual(await jar.getCookieString('https://expired.example.com/'), 'shared=domain-wide', 'Should skip expired cookie');
+});
+
+suite.test('Should honor the #HttpOnly_ prefix on import', async () => {
+	const jar = new CookieJar();
+	await importNetscape(jar, COOKIES_TXT);
+
+	const [token] = await jar.getCookies('http://api.example.com/v1/users');
+	assertEqual(token.key, 'token', 'Should import the HttpOnly cookie');
+	assert(token.httpOnly, 'Should mark cookie as HttpOnly');
+});
+
+suite.test('Should map the domain flag to host-only cookies', async () => {
+	const jar = new CookieJar();
+	await importNetscape(jar, COOKIES_TXT);
+
+	const subdomain = await jar.getCookieString('https://www.example.com/');
+	assertEqual(subdomain, 'shared=domain-wide', 'Domain cookie should reach subdomains');
+
+	const otherHost = await jar.getCookieString('http://www.api.example.com/v1');
+	assert(!otherHost.includes('token'), 'Host-only cookie should not reach other hosts');
+});
+
+suite.test('Should import expiry 0 as a session cookie', async () => {
+	const jar = new CookieJar();
+	await importNetscape(jar, COOKIES_TXT);
+
+	const [local] = await jar.getCookies(BASE_URL);
+	assert(!local.isPersistent(), 'Should be a session cookie');
+});
+
+suite.test('Should export in cookies.txt format', async () => {
+	const jar = new CookieJar();
+	await importNetscape(jar, COOKIES_TXT);
+
+	const text = await exportNetscape(jar);
+	assert(text.startsWith('# Netscape HTTP Cookie File'), 'Should start with the Netscape header');
+	assertEqual(findLine(text, 'shared'), '.example.com\tTRUE\t/\tTRUE\t0\tshared\tdomain-wide', 'Should export domain cookie');
+	assertEqual(findLine(text, 'token'), '#HttpOnly_api.example.com\tFALSE\t/v1\tFALSE\t4102444800\ttoken\tsecret', 'Should export HttpOnly host-only cookie');
+});
+
+suite.test('Should round-trip cookies captured by the plugin', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin()]
+	});
+
+	await client.get('/set-cookie');
+	const text = await exportNetscape(client.jar);
+
+	const jar = new CookieJar();
+	await importNetscape(jar, text);
+	assertEqual(
+		await jar.getCookieString(BASE_URL),
+		await client.jar.getCookieString(BASE_URL),
+		'Imported jar should send the same cookies'
+	);
+});
+
+suite.test('Should leave partitioned cookies out of the export with a warning', async () => {
+	const { plugin, jar } = createPlugin();
+	const warnings = [];
+
+	await exchange(plugin, 'https://widget.example/', 'prefs=dark; Secure');
+	await exchange(plugin, 'https://widget.example/', 'wid=1; Secure; Path=/; SameSite=None; Partitioned', { cookies: { site: 'https://news.example' } });
+
+	const text = await exportNetscape(jar, { logger: { warn: (fields) => warnings.push(fields.partitioned) } });
+	assert(findLine(text, 'prefs'), 'Should export unpartitioned cookies');
+	assertEqual(findLine(text, 'wid'), undefined, 'Should not export the partitioned cookie as an unpartitioned one');
+	assertEqual(warnings, [1], 'Should report the left-out cookie');
+});
+
+suite.test('Should seed client.jar from a cookies.txt file', async () => {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+	const path = join(dir, 'cookies.txt');
+	await writeFile(path, 'localhost\tFALSE\t/\tFALSE\t0\tauth_token\tfrom-curl\n');
+
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ seed: { netscape: path } })]
+	});
+
+	const response = await client.getJson('/protected');
+	assertEqual(response.data.message, 'Access granted', 'Should send seeded auth cookie');
+
+	await rm(dir, { recursive: true, force: true });
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Netscape cookies.txt', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
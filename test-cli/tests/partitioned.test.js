@@ -0,0 +1,176 @@
+import { TestSuite, MockServer, assert, assertEqual, createPlugin, exchange, sendCookie } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, createMemoryAdapter } from '../../src/index.js';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Partitioned Cookies');
+const mockServer = new MockServer(4224);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const WIDGET_URL = 'https://widget.example/embed';
+const NEWS = { site: 'https://news.example' };
+const SHOP = { site: 'https://shop.example' };
+const PARTITIONED = 'Secure; Path=/; SameSite=None; Partitioned';
+
+/**
+ * Mock server path setting a partitioned cookie.
+ */
+function partitionedCookiePath(name, value) {
+	return `/set-custom-cookie?${new URLSearchParams({ name, value: `${value}; Secure; SameSite=None; Partitioned` })}`;
+}
+
+function createClient() {
+	return createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin()]
+	});
+}
+
+async function sentCookies(client, site) {
+	const response = await client.getJson('/echo-cookies', { cookies: site ? { site } : undefined });
+
+	return response.data.cookies;
+}
+
+suite.test('Should only send partitioned cookies under the top-level site that set them', async () => {
+	const client = createClient();
+
+	await client.get(partitionedCookiePath('widget', 'news'), { cookies: { site: 'https://news.example' } });
+
+	assertEqual(await sentCookies(client, 'https://news.example/article'), 'widget=news', 'Should send in the same partition');
+	assertEqual(await sentCookies(client, 'https://shop.example'), 'none', 'Should not leak to another top-level site');
+});
+
+suite.test('Should keep a separate cookie per partition', async () => {
+	const client = createClient();
+
+	await client.get(partitionedCookiePath('widget', 'news'), { cookies: { site: 'https://news.example' } });
+	await client.get(partitionedCookiePath('widget', 'shop'), { cookies: { site: 'https://shop.example' } });
+
+	assertEqual(await sentCookies(client, 'https://news.example'), 'widget=news', 'First partition keeps its value');
+	assertEqual(await sentCookies(client, 'https://shop.example'), 'widget=shop', 'Second partition has its own value');
+	assertEqual(client.jar.partitionKeys(), ['https://news.example', 'https://shop.example'], 'Should list the partitions');
+});
+
+suite.test('Should share a partition between pages of the same site', async () => {
+	const { plugin } = createPlugin();
+
+	await exchange(plugin, WIDGET_URL, 'wid=1; Secure; Path=/; SameSite=None; Partitioned', { cookies: { site: 'https://www.news.example' } });
+
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: { site: 'https://news.example/live' } }), 'wid=1', 'Partition key is scheme and registrable domain');
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: { site: 'http://news.example' } }), undefined, 'Scheme is part of the partition key');
+});
+
+suite.test('Should partition by the request site without a top-level site', async () => {
+	const { plugin, jar } = createPlugin();
+
+	await exchange(plugin, WIDGET_URL, 'wid=1; Secure; Path=/; Partitioned');
+
+	assertEqual(await sendCookie(plugin, WIDGET_URL), 'wid=1', 'Top-level requests use their own partition');
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: { site: 'https://news.example' } }), undefined, 'Embedded requests do not see it');
+	assertEqual(await jar.partition(WIDGET_URL).getCookieString(WIDGET_URL), 'wid=1', 'Should expose the partition jar');
+});
+
+suite.test('Should keep unpartitioned cookies shared', async () => {
+	const { plugin, jar } = createPlugin();
+
+	await exchange(plugin, WIDGET_URL, 'prefs=dark; Secure; Path=/; SameSite=None', { cookies: { site: 'https://news.example' } });
+
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: { site: 'https://shop.example' } }), 'prefs=dark', 'Unpartitioned cookies are not keyed');
+	assertEqual(await jar.getCookieString(WIDGET_URL), 'prefs=dark', 'Unpartitioned cookies live in the main jar');
+});
+
+suite.test('Should reject partitioned cookies without Secure', async () => {
+	const { plugin, jar, rejections } = createPlugin();
+
+	await exchange(plugin, WIDGET_URL, 'wid=1; Path=/; Partitioned');
+
+	assertEqual(jar.partition(WIDGET_URL), undefined, 'Should not create a partition');
+	assertEqual(rejections.length, 1, 'Should report the cookie');
+	assert(rejections[0].reason.includes('Secure'), 'Should explain the rejection');
+});
+
+suite.test('Should persist partitions with the cookie file', async () => {
+	const path = join(await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-')), 'cookies.json');
+	const { plugin, jar } = createPlugin({ persist: { path } });
+
+	await exchange(plugin, WIDGET_URL, `wid=1; ${PARTITIONED}`, { cookies: NEWS });
+	await jar.store.flush();
+
+	const file = JSON.parse(await readFile(path, 'utf8'));
+	assertEqual(file.partitions['https://news.example'].map((cookie) => cookie.key), ['wid'], 'Should write the partition to the file');
+	assertEqual(file.cookies.length, 0, 'Should keep partitioned cookies out of the main list');
+
+	const restarted = createPlugin({ persist: { path } });
+	assertEqual(await sendCookie(restarted.plugin, WIDGET_URL, { cookies: NEWS }), 'wid=1', 'Should send it after a restart');
+	assertEqual(await sendCookie(restarted.plugin, WIDGET_URL, { cookies: SHOP }), undefined, 'Should keep it partitioned');
+	assertEqual(restarted.jar.partitionKeys(), ['https://news.example'], 'Should list the loaded partition');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should keep partitions in a store adapter', async () => {
+	const adapter = createMemoryAdapter();
+	const { plugin } = createPlugin({ store: adapter });
+
+	await exchange(plugin, WIDGET_URL, `wid=1; ${PARTITIONED}`, { cookies: NEWS });
+	await exchange(plugin, WIDGET_URL, 'prefs=dark; Secure; Path=/; SameSite=None', { cookies: NEWS });
+
+	assertEqual((await adapter.list()).map((cookie) => `${cookie.domain} ${cookie.partitionKey ?? '-'}`).sort(), ['widget.example -', 'widget.example https://news.example'], 'Should keep the partition key apart from the domain');
+
+	const other = createPlugin({ store: adapter });
+	// Both cookies may share a creation time, so their order is not fixed
+	const sent = await sendCookie(other.plugin, WIDGET_URL, { cookies: NEWS });
+	assertEqual(sent.split('; ').sort(), ['prefs=dark', 'wid=1'], 'Should read the partition back');
+	assertEqual(await sendCookie(other.plugin, WIDGET_URL, { cookies: SHOP }), 'prefs=dark', 'Should keep it partitioned');
+	assertEqual(await other.jar.getCookieString(WIDGET_URL), 'prefs=dark', 'Should keep it out of the main jar');
+});
+
+suite.test('Should snapshot and restore partitions', async () => {
+	const { plugin, jar } = createPlugin();
+
+	await exchange(plugin, WIDGET_URL, `wid=1; ${PARTITIONED}`, { cookies: NEWS });
+	const before = await jar.snapshot();
+	await exchange(plugin, WIDGET_URL, `wid=2; ${PARTITIONED}`, { cookies: SHOP });
+
+	assertEqual(before.cookies.map((cookie) => `${cookie.key} ${cookie.partition}`), ['wid https://news.example'], 'Should capture the partition key');
+	assertEqual(jar.diff(before, await jar.snapshot()).added.map((cookie) => cookie.partition), ['https://shop.example'], 'Should diff per partition');
+
+	await jar.restore(before);
+
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: NEWS }), 'wid=1', 'Should restore the captured partition');
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: SHOP }), undefined, 'Should drop partitions created later');
+});
+
+suite.test('Should clear partitions with the jar', async () => {
+	const { plugin, jar } = createPlugin();
+
+	await exchange(plugin, WIDGET_URL, `wid=1; ${PARTITIONED}`, { cookies: NEWS });
+	await jar.removeAllCookies();
+
+	assertEqual(jar.partitionKeys(), [], 'Should remove the partitions');
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: NEWS }), undefined, 'Should not send the cookie');
+});
+
+suite.test('Should apply limits to partitions', async () => {
+	const evictions = [];
+	const { plugin } = createPlugin({ limits: { maxCookiesPerDomain: 1, onEvict: (evicted) => evictions.push(...evicted) } });
+
+	await exchange(plugin, WIDGET_URL, `a=1; ${PARTITIONED}`, { cookies: NEWS });
+	await new Promise((resolve) => setTimeout(resolve, 5));
+	await exchange(plugin, WIDGET_URL, `b=1; ${PARTITIONED}`, { cookies: NEWS });
+	await exchange(plugin, WIDGET_URL, `c=1; ${PARTITIONED}`, { cookies: SHOP });
+
+	assertEqual(evictions.map((eviction) => `${eviction.reason}:${eviction.name}:${eviction.partition}`), ['domain-limit:a:https://news.example'], 'Should evict within the partition');
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: NEWS }), 'b=1', 'Should keep the newest cookie');
+	assertEqual(await sendCookie(plugin, WIDGET_URL, { cookies: SHOP }), 'c=1', 'Should give each partition its own quota');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Partitioned Cookies', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,157 @@
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, FileCookieStore } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Persistence');
+const mockServer = new MockServer(4207);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+async function createTempPath() {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+
+	return join(dir, 'cookies.json');
+}
+
+suite.test('Should write cookies from responses to the persist file', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.jar.store.flush();
+
+	const data = JSON.parse(await readFile(path, 'utf8'));
+	const names = data.cookies.map((cookie) => cookie.key);
+	assert(names.includes('session'), 'Should persist session cookie');
+	assert(names.includes('user_id'), 'Should persist user_id cookie');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should restore the session in a new client', async () => {
+	const path = await createTempPath();
+	const first = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	await first.get('/set-cookie');
+	await first.jar.store.flush();
+
+	// Simulates the next CLI invocation
+	const second = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	const response = await second.getJson('/echo-cookies');
+	assert(response.data.cookies.includes('session=abc123'), 'Should send restored session cookie');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should start with an empty jar when the file does not exist', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	const response = await client.getJson('/echo-cookies');
+	assertEqual(response.data.cookies, 'none', 'Should send no cookies');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should persist cookie removal', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.jar.removeAllCookies();
+	await client.jar.store.flush();
+
+	const data = JSON.parse(await readFile(path, 'utf8'));
+	assertEqual(data.cookies.length, 0, 'Should write an empty jar');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should not leave temporary files behind', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.get('/set-custom-cookie?name=extra&value=1');
+	await client.jar.store.flush();
+
+	const files = await readdir(join(path, '..'));
+	assertEqual(files, ['cookies.json'], 'Should only contain the cookie file');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should drop expired cookies when loading', async () => {
+	const path = await createTempPath();
+	await writeFile(path, JSON.stringify({
+		cookies: [
+			{ key: 'old', value: '1', domain: 'localhost', path: '/', hostOnly: true, expires: '2000-01-01T00:00:00.000Z' },
+			{ key: 'fresh', value: '2', domain: 'localhost', path: '/', hostOnly: true }
+		]
+	}));
+
+	const store = new FileCookieStore(path);
+	const jar = new CookieJar(store);
+	await store.load();
+
+	const cookieString = await jar.getCookieString(BASE_URL);
+	assertEqual(cookieString, 'fresh=2', 'Should only load the unexpired cookie');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should be readable with CookieJar.deserialize()', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.jar.store.flush();
+
+	const jar = await CookieJar.deserialize(await readFile(path, 'utf8'));
+	const cookieString = await jar.getCookieString(BASE_URL);
+	assert(cookieString.includes('session=abc123'), 'Should deserialize persisted cookies');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should reject combining jar and persist options', async () => {
+	try {
+		cookieJarPlugin({ jar: new CookieJar(), persist: { path: 'cookies.json' } });
+		assert(false, 'Should throw for conflicting options');
+	} catch (error) {
+		assert(error.message.includes('cannot be combined'), 'Should explain the conflict');
+	}
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Persistence', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,145 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, exchange, sendCookie } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Policies');
+const mockServer = new MockServer(4226);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const APP_URL = 'https://app.example.com/';
+
+/**
+ * Plugin collecting rejections and policy matches.
+ */
+function createPolicyPlugin(options) {
+	const matches = [];
+
+	return { ...createPlugin({ ...options, onPolicyMatch: (match) => matches.push(match) }), matches };
+}
+
+suite.test('Should reject cookies by name pattern', async () => {
+	const { plugin, jar, rejections } = createPolicyPlugin({
+		policies: [{ name: 'no-analytics', on: 'store', match: { name: '_ga*' }, action: 'reject' }]
+	});
+
+	await exchange(plugin, APP_URL, '_ga=GA1.2; Path=/');
+	await exchange(plugin, APP_URL, '_gat_UA=1; Path=/');
+	await exchange(plugin, APP_URL, 'session=abc; Path=/');
+
+	assertEqual(await jar.getCookieString(APP_URL), 'session=abc', 'Should only store the session cookie');
+	assertEqual(rejections.map((rejection) => rejection.rule), ['no-analytics', 'no-analytics'], 'Should record the rejecting rule');
+	assertEqual(rejections[0].reason, 'rejected by policy "no-analytics"', 'Should explain the rejection');
+});
+
+suite.test('Should cap Max-Age for third-party hosts', async () => {
+	const { plugin, jar } = createPolicyPlugin({
+		site: 'https://app.example.com',
+		policies: [{ on: 'store', match: { thirdParty: true }, action: 'rewrite', rewrite: { maxAge: 86400 } }]
+	});
+
+	await exchange(plugin, 'https://cdn.tracker.io/', 'tid=1; Path=/; Max-Age=31536000; SameSite=None; Secure');
+	await exchange(plugin, APP_URL, 'prefs=1; Path=/; Max-Age=31536000');
+
+	const [tracker] = await jar.getCookies('https://cdn.tracker.io/');
+	const [prefs] = await jar.getCookies(APP_URL);
+	assertEqual(tracker.maxAge, 86400, 'Third-party lifetime should be capped at one day');
+	assertEqual(prefs.maxAge, 31536000, 'First-party lifetime should be untouched');
+});
+
+suite.test('Should strip large cookies in both directions', async () => {
+	const { plugin, jar, rejections } = createPolicyPlugin({
+		policies: [{ name: 'max-1kb', match: { largerThan: 1024 }, action: 'reject' }]
+	});
+
+	await exchange(plugin, APP_URL, `blob=${'x'.repeat(2000)}; Path=/`);
+	await jar.setCookie(`seeded=${'y'.repeat(2000)}; Path=/`, APP_URL);
+
+	assertEqual(await sendCookie(plugin, APP_URL), undefined, 'Should neither store nor send large cookies');
+	assertEqual(rejections.map((rejection) => `${rejection.action}:${rejection.name}`), ['store:blob', 'send:seeded'], 'Should report both');
+});
+
+suite.test('Should stop at the first accepting rule', async () => {
+	const { plugin, jar } = createPolicyPlugin({
+		policies: [
+			{ name: 'auth-session', on: 'store', match: { host: 'auth.example.com', httpOnly: true, session: true }, action: 'accept' },
+			{ name: 'auth-other', on: 'store', match: { host: 'auth.example.com' }, action: 'reject' }
+		]
+	});
+	const authUrl = 'https://auth.example.com/';
+
+	await exchange(plugin, authUrl, 'sid=1; Path=/; HttpOnly');
+	await exchange(plugin, authUrl, 'remember=1; Path=/; HttpOnly; Max-Age=600');
+	await exchange(plugin, authUrl, 'theme=dark; Path=/');
+
+	assertEqual(await jar.getCookieString(authUrl), 'sid=1', 'Only HttpOnly session cookies should be accepted');
+});
+
+suite.test('Should rewrite outgoing cookies with a function', async () => {
+	const { plugin, jar } = createPolicyPlugin({
+		policies: [{
+			on: 'send',
+			match: { name: 'locale' },
+			action: 'rewrite',
+			rewrite: (cookie) => {
+				cookie.value = cookie.value.toLowerCase();
+
+				return cookie;
+			}
+		}]
+	});
+
+	await exchange(plugin, APP_URL, 'locale=EN-US; Path=/');
+
+	assertEqual(await sendCookie(plugin, APP_URL), 'locale=en-us', 'Should send the rewritten value');
+	assertEqual(await jar.getCookieString(APP_URL), 'locale=EN-US', 'Should not change the stored cookie');
+});
+
+suite.test('Should record every matching rule', async () => {
+	const { plugin, matches } = createPolicyPlugin({
+		policies: [
+			{ name: 'harden', on: 'store', action: 'rewrite', rewrite: { secure: true, httpOnly: true } },
+			{ name: 'keep-session', on: 'store', match: { name: 'session' }, action: 'accept' },
+			{ name: 'never', on: 'store', action: 'reject' }
+		]
+	});
+
+	await exchange(plugin, APP_URL, 'session=abc; Path=/');
+
+	assertEqual(matches.map((match) => `${match.rule}:${match.action}`), ['harden:rewrite', 'keep-session:accept'], 'Should record the rules in order');
+	assertEqual(matches[0].direction, 'store', 'Should record the direction');
+	assertEqual(matches[0].url, APP_URL, 'Should record the URL');
+});
+
+suite.test('Should apply policies through a client', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({
+			policies: [{ on: 'store', match: { name: 'user_*' }, action: 'reject' }],
+			onCookieRejected: () => {}
+		})]
+	});
+
+	await client.get('/set-cookie');
+
+	const cookies = await client.jar.getCookieString(BASE_URL);
+	assert(cookies.includes('session=abc123'), 'Should store other cookies');
+	assert(!cookies.includes('user_id'), 'Should reject cookies matched by the policy');
+});
+
+suite.test('Should reject invalid policies', async () => {
+	await assertThrows(async () => cookieJarPlugin({ policies: {} }), 'INVALID_OPTIONS', 'Should require an array');
+	await assertThrows(async () => cookieJarPlugin({ policies: [{ action: 'drop' }] }), 'INVALID_OPTIONS', 'Should validate the action');
+	await assertThrows(async () => cookieJarPlugin({ policies: [{ action: 'rewrite' }] }), 'INVALID_OPTIONS', 'Rewrites need a rewrite');
+	await assertThrows(
+		async () => cookieJarPlugin({ policies: [{ action: 'reject', match: { cookieName: 'x' } }] }),
+		'INVALID_OPTIONS',
+		'Should reject unknown match fields'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Policies', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,193 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Redirect Handling');
+const mockServer = new MockServer(4217);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const OTHER_ORIGIN = `http://127.0.0.1:${mockServer.port}`;
+
+/**
+ * Builds a mock server path that redirects to `to`, optionally setting a cookie.
+ */
+function redirectPath(to, { cookie, code } = {}) {
+	const params = new URLSearchParams({ to });
+	if (cookie) {
+		params.set('cookie', cookie);
+	}
+	if (code) {
+		params.set('code', String(code));
+	}
+
+	return `/redirect?${params}`;
+}
+
+/**
+ * Runs one request through the plugin hooks with fetch, without a client.
+ */
+async function runThroughPlugin(plugin, url, init = {}) {
+	const context = { req: { url, method: 'GET', headers: {}, ...init } };
+	await plugin.onRequest(context);
+	context.res = await fetch(url, {
+		method: context.req.method,
+		headers: context.req.headers,
+		body: context.req.body,
+		redirect: context.req.redirect
+	});
+	await plugin.onResponse(context);
+
+	return context;
+}
+
+// Login answers 302 + Set-Cookie, then the landing page sets a path-scoped cookie and redirects again
+const LOGIN_FLOW = redirectPath(
+	redirectPath('/account/echo-cookies', { cookie: 'area=members; Path=/account' }),
+	{ cookie: 'login=ok; Path=/' }
+);
+
+suite.test('Should store Set-Cookie from every hop against that hop', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ redirects: true })]
+	});
+
+	const response = await client.getJson(LOGIN_FLOW);
+	assert(response.data.cookies.includes('login=ok'), 'Final hop should receive the first hop cookie');
+	assert(response.data.cookies.includes('area=members'), 'Final hop should receive the second hop cookie');
+
+	const rootCookies = await client.jar.getCookieString(`${BASE_URL}/`);
+	assertEqual(rootCookies, 'login=ok', 'Path-scoped hop cookie should keep its path');
+});
+
+suite.test('Should report every hop of the chain', async () => {
+	const hops = [];
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ redirects: { onRedirect: (hop) => hops.push(hop) } })]
+	});
+
+	await client.getJson(LOGIN_FLOW);
+
+	assertEqual(hops.map((hop) => hop.status), [302, 302, 200], 'Should report each response status');
+	assertEqual(hops[0].setCookies, ['login=ok; Path=/'], 'Should record Set-Cookie per hop');
+	assertEqual(hops[1].cookieHeader, 'login=ok', 'Should record the cookies sent on each hop');
+	assert(hops[2].url.endsWith('/account/echo-cookies'), 'Should end at the final URL');
+	assertEqual(hops[2].location, undefined, 'Final hop should have no location');
+});
+
+suite.test('Should fail when the chain exceeds max redirects', async () => {
+	const plugin = cookieJarPlugin({ redirects: { max: 1 } });
+	plugin.onAttach({});
+
+	await assertThrows(
+		async () => runThroughPlugin(plugin, BASE_URL + LOGIN_FLOW),
+		'TOO_MANY_REDIRECTS',
+		'Should stop after max redirects'
+	);
+});
+
+suite.test('Should not carry cookies to another origin', async () => {
+	const plugin = cookieJarPlugin({ redirects: true });
+	const client = {};
+	plugin.onAttach(client);
+	await client.jar.setCookie('local=1; Path=/', BASE_URL);
+
+	const context = await runThroughPlugin(plugin, BASE_URL + redirectPath(`${OTHER_ORIGIN}/echo-cookies`), {
+		headers: { 'Cookie': 'manual=1' }
+	});
+
+	const data = await context.res.json();
+	assertEqual(data.cookies, 'none', 'Should send neither manual nor jar cookies cross-origin');
+	assertEqual(context.redirectChain.length, 2, 'Should expose the chain on the context');
+});
+
+suite.test('Should switch to GET on 303', async () => {
+	const plugin = cookieJarPlugin({ redirects: true });
+	plugin.onAttach({});
+
+	const context = await runThroughPlugin(plugin, BASE_URL + redirectPath('/echo-cookies', { code: 303 }), {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ name: 'test' })
+	});
+
+	const data = await context.res.json();
+	assertEqual(data.method, 'GET', 'Should follow a 303 with GET');
+});
+
+suite.test('Should discard hop bodies and hand back the final fetch Response', async () => {
+	const responses = [];
+	const recordingFetch = async (url, init) => {
+		const response = await fetch(url, init);
+		responses.push(response);
+
+		return response;
+	};
+	const plugin = cookieJarPlugin({ redirects: { fetch: recordingFetch } });
+	plugin.onAttach({});
+
+	const first = await fetch(BASE_URL + LOGIN_FLOW, { redirect: 'manual' });
+	const context = { req: { url: BASE_URL + LOGIN_FLOW, method: 'GET', headers: {} } };
+	await plugin.onRequest(context);
+	context.res = first;
+	await plugin.onResponse(context);
+
+	assert(first.bodyUsed && responses[0].bodyUsed, 'Should release the body of every 3xx');
+	assertEqual(context.res, responses[1], 'Should replace the response with the final hop\'s');
+	assert(context.res instanceof Response && !context.res.bodyUsed, 'Should leave the final body unread');
+	assertEqual(context.res.cookies.map((cookie) => cookie.name), [], 'Should list the final response\'s cookies');
+	assert((await context.res.json()).cookies.includes('area=members'), 'Should read the final body');
+});
+
+suite.test('Should log onRedirect errors without failing the request', async () => {
+	const errors = [];
+	const plugin = cookieJarPlugin({
+		redirects: {
+			onRedirect: () => {
+				throw new Error('observer failed');
+			}
+		},
+		logger: { error: (fields, message) => errors.push(message) }
+	});
+	plugin.onAttach({});
+
+	const context = await runThroughPlugin(plugin, `${BASE_URL}${LOGIN_FLOW}`);
+
+	assertEqual(context.res.status, 200, 'Should still follow the chain');
+	assertEqual(context.redirectChain.length, 3, 'Should record every hop');
+	assertEqual(errors, Array(3).fill('redirects.onRedirect threw: observer failed'), 'Should log each failed call');
+});
+
+suite.test('Should follow redirects reported as response errors', async () => {
+	const plugin = cookieJarPlugin({ redirects: true, errorStatuses: false });
+	plugin.onAttach({});
+
+	// A client failing every non-2xx response hands the 3xx to onResponseError
+	const url = `${BASE_URL}${LOGIN_FLOW}`;
+	const context = { req: { url, method: 'GET', headers: {} } };
+	await plugin.onRequest(context);
+	const res = await fetch(url, { headers: context.req.headers, redirect: context.req.redirect });
+	context.error = Object.assign(new Error('Found'), { status: res.status, response: res });
+	await plugin.onResponseError(context);
+
+	const final = context.res;
+	assertEqual(res.cookies.map((cookie) => `${cookie.name} ${cookie.accepted}`), ['login true'], 'Should store the 3xx cookies despite errorStatuses');
+	assertEqual(final?.status, 200, 'Should follow the chain to the final response');
+	assert((await final.text()).includes('area=members'), 'Should send the hop cookies on');
+});
+
+suite.test('Should reject invalid redirect options', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ redirects: { max: -1 } }),
+		'INVALID_OPTIONS',
+		'Should validate redirects.max'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Redirect Handling', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,88 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Per-Request Cookie Controls');
+const mockServer = new MockServer(4216);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+async function createLoggedInClient() {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin()]
+	});
+	await client.get('/set-cookie');
+
+	return client;
+}
+
+suite.test('Should neither send nor store cookies with cookies: false', async () => {
+	const client = await createLoggedInClient();
+
+	const response = await client.getJson('/echo-cookies', { cookies: false });
+	assertEqual(response.data.cookies, 'none', 'Should not send jar cookies');
+
+	await client.get('/set-custom-cookie?name=webhook&value=1', { cookies: false });
+	const stored = await client.jar.getCookieString(BASE_URL);
+	assert(!stored.includes('webhook'), 'Should not store cookies from the response');
+});
+
+suite.test('Should store but not send with send: false', async () => {
+	const client = await createLoggedInClient();
+
+	await client.get('/set-custom-cookie?name=extra&value=1', { cookies: { send: false } });
+	const response = await client.getJson('/echo-cookies', { cookies: { send: false } });
+	assertEqual(response.data.cookies, 'none', 'Should not send jar cookies');
+	assert((await client.jar.getCookieString(BASE_URL)).includes('extra=1'), 'Should still store response cookies');
+});
+
+suite.test('Should send but not store with store: false', async () => {
+	const client = await createLoggedInClient();
+
+	await client.get('/set-custom-cookie?name=session&value=overwritten', { cookies: { store: false } });
+	const response = await client.getJson('/echo-cookies');
+	assert(response.data.cookies.includes('session=abc123'), 'Should keep the existing session');
+});
+
+suite.test('Should keep manual Cookie headers when sending is disabled', async () => {
+	const client = await createLoggedInClient();
+
+	const response = await client.getJson('/echo-cookies', {
+		cookies: false,
+		headers: { 'Cookie': 'token=manual' }
+	});
+	assertEqual(response.data.cookies, 'token=manual', 'Should only send the manual cookie');
+});
+
+suite.test('Should target another jar with cookies.jar', async () => {
+	const client = await createLoggedInClient();
+	const otherJar = new CookieJar();
+	await otherJar.setCookie('tenant=b; Path=/', BASE_URL);
+
+	const response = await client.getJson('/echo-cookies', { cookies: { jar: otherJar } });
+	assertEqual(response.data.cookies, 'tenant=b', 'Should send cookies from the other jar only');
+
+	await client.get('/set-custom-cookie?name=routed&value=1', { cookies: { jar: otherJar } });
+	assert((await otherJar.getCookieString(BASE_URL)).includes('routed=1'), 'Should store into the other jar');
+	assert(!(await client.jar.getCookieString(BASE_URL)).includes('routed'), 'Should leave the plugin jar untouched');
+});
+
+suite.test('Should reject invalid cookies options', async () => {
+	const plugin = cookieJarPlugin();
+	plugin.onAttach({});
+
+	await assertThrows(
+		async () => plugin.onRequest({ req: { url: BASE_URL, headers: {}, cookies: { jar: {} } } }),
+		'INVALID_OPTIONS',
+		'Should validate cookies.jar'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Per-Request Cookie Controls', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,106 @@
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Request Header Shapes');
+const mockServer = new MockServer(4225);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const API_URL = 'https://api.example.com/me';
+
+/**
+ * Plugin attached without a client, with one cookie in its jar.
+ */
+async function createPlugin(options) {
+	const plugin = cookieJarPlugin(options);
+	const client = {};
+	plugin.onAttach(client);
+	await client.jar.setCookie('session=abc; Path=/', API_URL);
+
+	return plugin;
+}
+
+async function sendWith(headers) {
+	const plugin = await createPlugin();
+	const context = { req: { url: API_URL, headers } };
+	await plugin.onRequest(context);
+
+	return context.req.headers;
+}
+
+suite.test('Should keep plain object headers', async () => {
+	const headers = await sendWith({ 'Accept': 'application/json', 'cookie': 'theme=dark' });
+
+	assertEqual(headers['Accept'], 'application/json', 'Should keep other headers');
+	assertEqual(headers['Cookie'], 'theme=dark; session=abc', 'Should merge into one Cookie header');
+	assertEqual(headers['cookie'], undefined, 'Should not leave the lower-case duplicate');
+});
+
+suite.test('Should keep a Headers instance', async () => {
+	const original = new Headers({ 'Accept': 'application/json', 'Authorization': 'Bearer t', 'Cookie': 'theme=dark' });
+	const headers = await sendWith(original);
+
+	assert(headers instanceof Headers, 'Should return a Headers instance');
+	assertEqual(headers.get('accept'), 'application/json', 'Should keep Accept');
+	assertEqual(headers.get('authorization'), 'Bearer t', 'Should keep Authorization');
+	assertEqual(headers.get('cookie'), 'theme=dark; session=abc', 'Should merge the Cookie header');
+	assertEqual(original.get('cookie'), 'theme=dark', 'Should not modify the caller\'s instance');
+});
+
+suite.test('Should keep a Map', async () => {
+	const headers = await sendWith(new Map([['Accept', 'text/html'], ['COOKIE', 'theme=dark']]));
+
+	assert(headers instanceof Map, 'Should return a Map');
+	assertEqual([...headers.keys()], ['Accept', 'Cookie'], 'Should keep other entries and normalize the cookie entry');
+	assertEqual(headers.get('Cookie'), 'theme=dark; session=abc', 'Should merge the Cookie header');
+});
+
+suite.test('Should keep tuple arrays, including repeated headers', async () => {
+	const headers = await sendWith([['Accept', 'text/html'], ['X-Trace', 'a'], ['X-Trace', 'b'], ['cookie', 'theme=dark']]);
+
+	assert(Array.isArray(headers), 'Should return an array');
+	assertEqual(headers.length, 4, 'Should keep every entry');
+	assertEqual(headers.filter(([name]) => name === 'X-Trace').length, 2, 'Should keep repeated headers');
+	assertEqual(headers[3][1], 'theme=dark; session=abc', 'Should merge the Cookie header');
+});
+
+suite.test('Should add a Cookie header to every shape', async () => {
+	assertEqual((await sendWith(new Headers())).get('cookie'), 'session=abc', 'Headers');
+	assertEqual((await sendWith(new Map())).get('Cookie'), 'session=abc', 'Map');
+	assertEqual((await sendWith([])).flat(), ['Cookie', 'session=abc'], 'Array');
+	assertEqual((await sendWith(undefined))['Cookie'], 'session=abc', 'No headers');
+});
+
+suite.test('Should carry Headers into followed redirects', async () => {
+	const plugin = cookieJarPlugin({ redirects: true });
+	plugin.onAttach({});
+
+	const url = `${BASE_URL}/redirect?to=%2Fecho-cookies`;
+	const context = { req: { url, method: 'GET', headers: new Headers({ 'Cookie': 'manual=1' }) } };
+	await plugin.onRequest(context);
+	context.res = await fetch(url, { headers: context.req.headers, redirect: context.req.redirect });
+	await plugin.onResponse(context);
+
+	const data = await context.res.json();
+	assertEqual(data.cookies, 'manual=1', 'The manual cookie should follow a same-origin redirect');
+});
+
+suite.test('Should send jar cookies with Headers through a client', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin()]
+	});
+	await client.get('/set-cookie');
+
+	const response = await client.getJson('/echo-cookies', { headers: new Headers({ 'Cookie': 'manual=1' }) });
+
+	assert(response.data.cookies.includes('manual=1'), 'Should keep the manual cookie');
+	assert(response.data.cookies.includes('session=abc123'), 'Should add the jar cookies');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Request Header Shapes', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,141 @@
+import { TestSuite, MockServer, assertEqual, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Response Cookies');
+const mockServer = new MockServer(4231);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const APP_URL = 'https://app.example/account/settings';
+
+/**
+ * Summarizes response cookies as `name accepted` or `name rejected: <reason>`.
+ */
+function summarize(cookies) {
+	return cookies.map((cookie) => `${cookie.name} ${cookie.accepted ? 'accepted' : `rejected: ${cookie.reason}`}`);
+}
+
+/**
+ * Summarizes sent cookies as `name=value source`.
+ */
+function summarizeSent(sentCookies) {
+	return sentCookies.map((cookie) => `${cookie.name}=${cookie.value} ${cookie.source}`);
+}
+
+suite.test('Should list accepted cookies with their attributes', async () => {
+	const { plugin } = createPlugin();
+
+	const res = await receive(plugin, APP_URL, ['session=abc; Path=/; Secure; HttpOnly; SameSite=Lax', 'tab=2; Max-Age=60']);
+	const [session, tab] = res.cookies;
+
+	assertEqual(summarize(res.cookies), ['session accepted', 'tab accepted'], 'Should list every Set-Cookie');
+	assertEqual(session.value, 'abc', 'Should carry the value');
+	assertEqual(session.domain, 'app.example', 'Should resolve the domain');
+	assertEqual(session.secure && session.httpOnly, true, 'Should carry the flags');
+	assertEqual(session.sameSite, 'lax', 'Should carry SameSite');
+	assertEqual(session.setCookie, 'session=abc; Path=/; Secure; HttpOnly; SameSite=Lax', 'Should keep the header');
+	assertEqual(tab.path, '/account', 'Should resolve the default path');
+	assertEqual(tab.maxAge, 60, 'Should carry Max-Age');
+	assertEqual(tab.expires, null, 'Should leave missing attributes null');
+});
+
+suite.test('Should report rejected cookies with the reason', async () => {
+	const { plugin } = createPlugin({ denyDomains: ['ads.example'] });
+
+	const res = await receive(plugin, APP_URL, ['__Host-id=1; Path=/', 'other=1; Domain=other.example']);
+	assertEqual(summarize(res.cookies), [
+		'__Host-id rejected: __Host- cookie must have the Secure attribute',
+		'other rejected: Cookie not in this host\'s domain. Cookie:other.example Request:app.example'
+	], 'Should explain each rejection');
+	assertEqual(res.cookies[1].domain, 'other.example', 'Should describe the header as sent');
+
+	const blocked = await receive(plugin, 'https://ads.example/', ['track=1']);
+	assertEqual(summarize(blocked.cookies), ['track rejected: host ads.example matches denyDomains'], 'Should report blocked hosts');
+});
+
+suite.test('Should describe rewritten cookies as stored', async () => {
+	const { plugin } = createPlugin({
+		policies: [{ name: 'cap', on: 'store', match: { name: 'remember' }, action: 'rewrite', rewrite: { maxAge: 3600 } }]
+	});
+
+	const res = await receive(plugin, APP_URL, ['remember=1; Path=/; Max-Age=31536000']);
+
+	assertEqual(res.cookies[0].accepted, true, 'Should accept it');
+	assertEqual(res.cookies[0].maxAge, 3600, 'Should show the rewritten lifetime');
+	assertEqual(res.cookies[0].setCookie, 'remember=1; Path=/; Max-Age=31536000', 'Should keep the original header');
+});
+
+suite.test('Should list cookies that were not stored', async () => {
+	const { plugin } = createPlugin({ errorStatuses: ['5xx'] });
+
+	const skipped = await receive(plugin, APP_URL, ['preview=1'], { cookies: { store: false } });
+	assertEqual(summarize(skipped.cookies), ['preview rejected: the request has cookies.store: false'], 'Should honor store: false');
+
+	const res = new Response('', { status: 404, headers: { 'Set-Cookie': 'session=; Max-Age=0' } });
+	await plugin.onResponseError({ req: { url: APP_URL, headers: {} }, res });
+	assertEqual(summarize(res.cookies), ['session rejected: status 404 is not in errorStatuses'], 'Should honor errorStatuses');
+});
+
+suite.test('Should list the cookies sent with the request', async () => {
+	const { plugin } = createPlugin();
+	await receive(plugin, APP_URL, ['session=abc; Path=/', 'theme=dark; Path=/']);
+
+	const context = await send(plugin, APP_URL, { headers: { Cookie: 'theme=light; debug=1' } });
+
+	assertEqual(summarizeSent(context.sentCookies), [
+		'theme=light manual',
+		'debug=1 manual',
+		'session=abc jar'
+	], 'Should list the Cookie header with its sources');
+	assertEqual(context.sentCookies[2].domain, 'app.example', 'Should carry the jar cookie domain');
+});
+
+suite.test('Should list the sent cookies on the response', async () => {
+	const { plugin } = createPlugin({ errorStatuses: ['5xx'] });
+	await receive(plugin, APP_URL, 'session=abc; Path=/');
+
+	const { req } = await send(plugin, APP_URL, { headers: { Cookie: 'debug=1' } });
+	const res = await receive(plugin, APP_URL, 'theme=dark; Path=/', req);
+	assertEqual(summarizeSent(res.sentCookies), ['debug=1 manual', 'session=abc jar'], 'Should list the request\'s Cookie header');
+
+	const failed = await send(plugin, APP_URL);
+	const error = new Response('', { status: 404 });
+	await plugin.onResponseError({ ...failed, res: error });
+	assertEqual(summarizeSent(error.sentCookies), ['session=abc jar', 'theme=dark jar'], 'Should list them on error responses');
+
+	const unsent = await receive(plugin, APP_URL, []);
+	assertEqual(unsent.sentCookies, [], 'Should be empty for requests the plugin did not send');
+});
+
+suite.test('Should list the cookies of the final redirect hop', async () => {
+	const { plugin } = createPlugin({ redirects: true });
+	const url = `${BASE_URL}/redirect?${new URLSearchParams({ to: '/set-cookie', cookie: 'login=1; Path=/' })}`;
+	const context = await send(plugin, url, { method: 'GET' });
+	context.res = await fetch(url, { headers: context.req.headers, redirect: context.req.redirect });
+	const redirect = context.res;
+	await plugin.onResponse(context);
+
+	assertEqual(summarize(redirect.cookies), ['login accepted'], 'Should list the redirect\'s cookies');
+	assertEqual(context.res.cookies.map((cookie) => cookie.name), ['session', 'user_id', 'preferences'], 'Should list the final response\'s cookies');
+	assertEqual(summarizeSent(redirect.sentCookies), [], 'Should list what the first request sent');
+	assertEqual(summarizeSent(context.res.sentCookies), ['login=1 jar'], 'Should list what the final hop sent');
+});
+
+suite.test('Should expose cookies through a client', async () => {
+	const plugin = cookieJarPlugin();
+	const client = createLuminara({ baseURL: BASE_URL, plugins: [plugin] });
+
+	const response = await client.get('/set-cookie');
+	assertEqual(summarize(response.cookies), ['session accepted', 'user_id accepted', 'preferences accepted'], 'Should list the stored cookies');
+	assertEqual(response.sentCookies, [], 'Should list no sent cookies for an empty jar');
+
+	const next = await client.get('/echo-cookies');
+	assertEqual(summarizeSent(next.sentCookies), ['session=abc123 jar', 'user_id=12345 jar', 'preferences=theme:dark jar'], 'Should list the sent cookies');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Response Cookies', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
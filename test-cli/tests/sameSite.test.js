@@ -0,0 +1,106 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, getSameSiteDecision } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('SameSite Enforcement');
+const mockServer = new MockServer(4219);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+async function createClient(options) {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin(options)]
+	});
+
+	await client.jar.setCookie('strict=1; Path=/; SameSite=Strict', BASE_URL);
+	await client.jar.setCookie('lax=1; Path=/; SameSite=Lax', BASE_URL);
+	await client.jar.setCookie('none=1; Path=/; SameSite=None', BASE_URL);
+	await client.jar.setCookie('unspecified=1; Path=/', BASE_URL);
+
+	return client;
+}
+
+async function sentCookieNames(client, requestOptions) {
+	const response = await client.getJson('/echo-cookies', requestOptions);
+
+	return response.data.cookies.split('; ').map((pair) => pair.split('=')[0]).sort();
+}
+
+suite.test('Should send every cookie without a site (previous behavior)', async () => {
+	const client = await createClient();
+
+	assertEqual(await sentCookieNames(client), ['lax', 'none', 'strict', 'unspecified'], 'Should not enforce SameSite');
+});
+
+suite.test('Should send Strict and Lax cookies to the same site', async () => {
+	const client = await createClient({ site: `${BASE_URL}/dashboard` });
+
+	assertEqual(await sentCookieNames(client), ['lax', 'none', 'strict', 'unspecified'], 'Same-site requests get every cookie');
+});
+
+suite.test('Should withhold Strict and Lax cookies cross-site', async () => {
+	const client = await createClient({ site: 'https://shop.example' });
+
+	assertEqual(await sentCookieNames(client), ['none', 'unspecified'], 'Cross-site requests only get SameSite=None');
+});
+
+suite.test('Should send Lax cookies on cross-site navigations', async () => {
+	const client = await createClient({ site: 'https://shop.example' });
+
+	const names = await sentCookieNames(client, { cookies: { navigation: true } });
+	assertEqual(names, ['lax', 'none', 'unspecified'], 'Safe top-level navigations get SameSite=Lax');
+});
+
+suite.test('Should take the site per request or from a function', async () => {
+	const client = await createClient({ site: (context) => context.req.pageUrl });
+
+	const fromPage = await sentCookieNames(client, { pageUrl: 'https://shop.example/cart' });
+	assertEqual(fromPage, ['none', 'unspecified'], 'Should derive the site from the request');
+
+	const overridden = await sentCookieNames(client, { pageUrl: 'https://shop.example/cart', cookies: { site: BASE_URL } });
+	assertEqual(overridden.length, 4, 'cookies.site should override the plugin option');
+});
+
+suite.test('Should reject SameSite cookies set by cross-site responses', async () => {
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ site: 'https://shop.example' })]
+	});
+
+	await client.get('/set-custom-cookie?name=tracker&value=1%3B%20SameSite%3DLax');
+	await client.get('/set-custom-cookie?name=widget&value=1%3B%20SameSite%3DNone');
+
+	const stored = await client.jar.getCookieString(BASE_URL);
+	assert(!stored.includes('tracker'), 'Should not store a Lax cookie from a cross-site response');
+	assert(stored.includes('widget=1'), 'Should store a SameSite=None cookie');
+});
+
+suite.test('Should expose the cross-site decision', async () => {
+	const plugin = cookieJarPlugin({ site: 'https://app.example.com' });
+	plugin.onAttach({});
+
+	const context = { req: { url: 'https://api.example.com/me', headers: {} } };
+	await plugin.onRequest(context);
+	assertEqual(context.sameSite.crossSite, false, 'Subdomains of the same registrable domain are same-site');
+	assertEqual(context.sameSite.sameSiteContext, 'strict', 'Same-site requests use the strict context');
+
+	assertEqual(getSameSiteDecision('http://app.example.com/', 'https://app.example.com').crossSite, true, 'Scheme should matter');
+	assertEqual(getSameSiteDecision('https://a.co.uk/', 'https://b.co.uk').crossSite, true, 'Public suffixes should not make sites equal');
+	assertEqual(getSameSiteDecision('https://a.co.uk/', undefined), null, 'No site means no decision');
+});
+
+suite.test('Should reject invalid sites', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ site: 42 }),
+		'INVALID_OPTIONS',
+		'Should validate the site option'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'SameSite Enforcement', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
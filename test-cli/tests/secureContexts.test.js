@@ -0,0 +1,99 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, receive, sendCookie } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { CookieJar } from 'tough-cookie';
+import { cookieJarPlugin } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Secure Contexts');
+const mockServer = new MockServer(4220);
+const BASE_URL = `http://127.0.0.1:${mockServer.port}`;
+const SECURE_COOKIE_PATH = '/set-custom-cookie?name=sid&value=abc%3B%20Path%3D%2F%3B%20Secure';
+
+/**
+ * Client whose jar, like browsers with loopback disabled, only trusts https.
+ */
+function createClient(options = {}) {
+	return createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ jar: new CookieJar(undefined, { allowSecureOnLocal: false }), ...options })]
+	});
+}
+
+/**
+ * Runs a response and a follow-up request through the plugin hooks, returning the Cookie header sent.
+ */
+async function roundTrip(plugin, url, setCookie) {
+	await receive(plugin, url, setCookie);
+
+	return sendCookie(plugin, url);
+}
+
+suite.test('Should not send Secure cookies over http by default', async () => {
+	const client = createClient();
+
+	await client.get(SECURE_COOKIE_PATH);
+	const response = await client.getJson('/echo-cookies');
+
+	assertEqual(response.data.cookies, 'none', 'Secure cookies should stay on https');
+});
+
+suite.test('Should store and send Secure cookies for listed hosts', async () => {
+	const client = createClient({ secureContexts: ['127.0.0.1'] });
+
+	await client.get(SECURE_COOKIE_PATH);
+	const response = await client.getJson('/echo-cookies');
+
+	assertEqual(response.data.cookies, 'sid=abc', 'Should treat the listed host as secure');
+});
+
+suite.test('Should match wildcard and RegExp hosts', async () => {
+	const { plugin } = createPlugin({ secureContexts: ['*.intranet', /^dev-\d+\.internal$/] });
+
+	// Bare special-use names such as `test` are refused by tough-cookie, so the bare suffix is a plain intranet host
+	assertEqual(await roundTrip(plugin, 'http://app.intranet/', 'a=1; Secure'), 'a=1', 'Wildcard should match subdomains');
+	assertEqual(await roundTrip(plugin, 'http://dev-42.internal/', 'b=1; Secure'), 'b=1', 'RegExp should match');
+	assertEqual(await roundTrip(plugin, 'http://intranet/', 'c=1; Secure'), undefined, 'Wildcard should not match the bare suffix');
+});
+
+suite.test('Should not trust other hosts', async () => {
+	const { plugin } = createPlugin({ secureContexts: ['*.test'] });
+
+	assertEqual(await roundTrip(plugin, 'http://example.com/', 'sid=1; Secure'), undefined, 'Unlisted hosts keep the https rule');
+	assertEqual(await roundTrip(plugin, 'http://app.test.example.com/', 'sid=1; Secure'), undefined, 'Wildcards should anchor at the end');
+});
+
+suite.test('Should accept a predicate', async () => {
+	const seen = [];
+	const { plugin } = createPlugin({
+		secureContexts: (url) => {
+			seen.push(url.hostname);
+
+			return url.port === '8080';
+		}
+	});
+
+	assertEqual(await roundTrip(plugin, 'http://dev.example:8080/', 'sid=1; Secure'), 'sid=1', 'Predicate should trust the URL');
+	assert(seen.includes('dev.example'), 'Predicate should receive the parsed request URL');
+	assertEqual(await roundTrip(plugin, 'http://dev.example:9090/', 'other=1; Secure'), undefined, 'Predicate should decide per URL');
+});
+
+suite.test('Should reject invalid secureContexts', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ secureContexts: 'localhost' }),
+		'INVALID_OPTIONS',
+		'Should require an array or a function'
+	);
+
+	await assertThrows(
+		async () => cookieJarPlugin({ secureContexts: ['localhost', 42] }),
+		'INVALID_OPTIONS',
+		'Should validate every entry'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Secure Contexts', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
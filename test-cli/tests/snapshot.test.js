@@ -0,0 +1,96 @@
+import { TestSuite, MockServer, assert, assertEqual } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, snapshotJar, restoreJar, diffSnapshots } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Jar Snapshots');
+const mockServer = new MockServer(4214);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// One jar shared by every case, like a test suite reusing a client
+const sharedJar = new CookieJar();
+const client = createLuminara({
+	baseURL: BASE_URL,
+	plugins: [cookieJarPlugin({ jar: sharedJar })]
+});
+
+suite.test('Should expose snapshot(), restore() and diff() on client.jar', async () => {
+	assertEqual(typeof client.jar.snapshot, 'function', 'Should add snapshot()');
+	assertEqual(typeof client.jar.restore, 'function', 'Should add restore()');
+	assertEqual(typeof client.jar.diff, 'function', 'Should add diff()');
+});
+
+suite.test('Should return an immutable snapshot', async () => {
+	await client.get('/set-cookie');
+	const snapshot = await client.jar.snapshot();
+
+	assert(Object.isFrozen(snapshot) && Object.isFrozen(snapshot.cookies), 'Snapshot should be frozen');
+	assert(snapshot.cookies.every((cookie) => Object.isFrozen(cookie)), 'Cookies should be frozen');
+
+	await client.get('/set-custom-cookie?name=later&value=1');
+	assert(!snapshot.cookies.some((cookie) => cookie.key === 'later'), 'Later changes should not leak into the snapshot');
+});
+
+suite.test('Should roll the jar back with restore()', async () => {
+	await client.jar.removeAllCookies();
+	await client.get('/set-cookie');
+	const baseline = await client.jar.snapshot();
+
+	await client.get('/set-custom-cookie?name=temp&value=1');
+	await client.get('/set-custom-cookie?name=session&value=changed');
+	await client.jar.restore(baseline);
+
+	const response = await client.getJson('/echo-cookies');
+	assert(response.data.cookies.includes('session=abc123'), 'Should bring back the captured values');
+	assert(!response.data.cookies.includes('temp=1'), 'Should drop cookies added after the snapshot');
+});
+
+suite.test('Should list exactly the cookies a request changed', async () => {
+	await client.jar.removeAllCookies();
+	await client.get('/set-cookie');
+	const before = await client.jar.snapshot();
+
+	await client.get('/set-custom-cookie?name=session&value=rotated');
+	await client.get('/set-custom-cookie?name=extra&value=1');
+	const after = await client.jar.snapshot();
+
+	const diff = client.jar.diff(before, after);
+	assertEqual(diff.added.map((cookie) => cookie.key), ['extra'], 'Should list added cookies');
+	assertEqual(diff.removed.length, 0, 'Should list no removed cookies');
+	assertEqual(diff.changed.length, 1, 'Should list the rotated cookie');
+	assertEqual(diff.changed[0].before.value, 'abc123', 'Should include the old cookie');
+	assertEqual(diff.changed[0].after.value, 'rotated', 'Should include the new cookie');
+	assert(diff.changed[0].fields.includes('value'), 'Should name the changed attributes');
+});
+
+suite.test('Should report removed cookies and ignore access times', async () => {
+	const jar = new CookieJar();
+	await jar.setCookie('a=1', BASE_URL);
+	await jar.setCookie('b=2', BASE_URL);
+	const before = await snapshotJar(jar);
+
+	// Reading cookies updates lastAccessed, which is not a change
+	await jar.getCookies(BASE_URL);
+	await jar.setCookie('a=; Max-Age=0', BASE_URL);
+
+	const diff = diffSnapshots(before, await snapshotJar(jar));
+	assertEqual(diff.removed.map((cookie) => cookie.key), ['a'], 'Should list removed cookies');
+	assertEqual(diff.changed.length, 0, 'Should not report access time updates');
+});
+
+suite.test('Should keep domain cookies as domain cookies after restore', async () => {
+	const jar = new CookieJar();
+	await jar.setCookie('wide=1; Domain=example.com', 'https://example.com/');
+	const snapshot = await snapshotJar(jar);
+
+	await restoreJar(jar, snapshot);
+	assertEqual(await jar.getCookieString('https://www.example.com/'), 'wide=1', 'Should still match subdomains');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Jar Snapshots', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
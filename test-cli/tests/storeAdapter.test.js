@@ -0,0 +1,127 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import {
+	cookieJarPlugin,
+	createMemoryAdapter,
+	adapterConformanceTests,
+	runAdapterConformance,
+	AdapterCookieStore
+} from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Store Adapters');
+const mockServer = new MockServer(4212);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+// The bundled reference adapter must pass the conformance kit itself
+for (const { description, run } of adapterConformanceTests(createMemoryAdapter)) {
+	suite.test(description, run);
+}
+
+suite.test('Should store and send cookies through an adapter', async () => {
+	const adapter = createMemoryAdapter();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ store: adapter })]
+	});
+
+	await client.get('/set-cookie');
+	const stored = await adapter.list({ domain: 'localhost' });
+	assertEqual(stored.length, 3, 'Should write cookies to the adapter');
+
+	const response = await client.getJson('/echo-cookies');
+	assert(response.data.cookies.includes('session=abc123'), 'Should read cookies from the adapter');
+});
+
+suite.test('Should share an adapter-backed session between clients', async () => {
+	const adapter = createMemoryAdapter();
+	const client1 = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ store: adapter })]
+	});
+	const client2 = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ store: adapter })]
+	});
+
+	await client1.get('/set-cookie');
+	const response = await client2.getJson('/echo-cookies');
+	assert(response.data.cookies.includes('session=abc123'), 'Second client should see cookies from the shared adapter');
+});
+
+suite.test('Should work with a minimal hand-written adapter', async () => {
+	const rows = new Map();
+	const id = ({ domain, path, name, partitionKey = '' }) => `${partitionKey}|${domain}|${path}|${name}`;
+	const adapter = {
+		get: async (key) => rows.has(id(key)) ? JSON.parse(rows.get(id(key))) : null,
+		set: async (key, cookie) => {
+			rows.set(id(key), JSON.stringify(cookie));
+		},
+		delete: async (key) => {
+			rows.delete(id(key));
+		},
+		list: async (filter = {}) => [...rows.values()]
+			.map((row) => JSON.parse(row))
+			.filter((cookie) => (!filter.domain || cookie.domain === filter.domain) && (!filter.path || cookie.path === filter.path))
+			.filter((cookie) => filter.partitionKey === undefined || (cookie.partitionKey ?? null) === filter.partitionKey)
+	};
+
+	const { failed, results } = await runAdapterConformance(() => {
+		rows.clear();
+
+		return adapter;
+	});
+	const failures = results.filter((result) => result.error).map((result) => result.error.message);
+	assertEqual(failed, 0, `Conformance failures: ${failures.join('; ')}`);
+});
+
+suite.test('Should report adapters that break the contract', async () => {
+	const leaky = () => {
+		const adapter = createMemoryAdapter();
+		const list = adapter.list;
+		adapter.list = () => list();
+
+		return adapter;
+	};
+
+	const { failed } = await runAdapterConformance(leaky);
+	assert(failed > 0, 'Adapter ignoring list() filters should fail conformance');
+
+	// Keys cookies by domain, path and name only, as adapters written before partitions did
+	const unpartitioned = () => {
+		const adapter = createMemoryAdapter();
+		const { get, set, delete: remove } = adapter;
+		adapter.get = ({ domain, path, name }) => get({ domain, path, name });
+		adapter.set = ({ domain, path, name }, cookie) => set({ domain, path, name }, cookie);
+		adapter.delete = ({ domain, path, name }) => remove({ domain, path, name });
+
+		return adapter;
+	};
+
+	const { results } = await runAdapterConformance(unpartitioned);
+	const failures = results.filter((result) => result.error).map((result) => result.description);
+	assertEqual(failures, ['Adapter keeps partitioned cookies apart by partitionKey'], 'Adapter ignoring partitionKey should fail conformance');
+});
+
+suite.test('Should reject adapters missing contract methods', async () => {
+	await assertThrows(
+		async () => new AdapterCookieStore({ get: async () => null }),
+		'INVALID_OPTIONS',
+		'Should validate the adapter'
+	);
+});
+
+suite.test('Should reject combining store with jar or persist', async () => {
+	await assertThrows(
+		async () => cookieJarPlugin({ store: createMemoryAdapter(), persist: { path: 'cookies.json' } }),
+		'INVALID_OPTIONS',
+		'Should reject conflicting storage options'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Store Adapters', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -0,0 +1,128 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, createPlugin, receive, send } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, formatCookieTrace } from '../../src/index.js';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Cookie Trace');
+const mockServer = new MockServer(4230);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+const APP_URL = 'https://app.example/';
+
+// Traces every request unless the test says otherwise
+function createTracingPlugin(options) {
+	return createPlugin({ trace: true, ...options }).plugin;
+}
+
+/**
+ * Summarizes a trace as `name sent` or `name <reason>` per cookie.
+ */
+function summarize(trace) {
+	return trace.cookies.map((entry) => `${entry.name} ${entry.sent ? 'sent' : entry.reason}`);
+}
+
+suite.test('Should explain domain, path and expiry mismatches', async () => {
+	const plugin = createTracingPlugin();
+	const expires = new Date(Date.now() + 2000).toUTCString();
+
+	await receive(plugin, APP_URL, ['session=1; Path=/', 'admin=1; Path=/admin', `promo=1; Path=/; Expires=${expires}`]);
+	await receive(plugin, 'https://other.example/', 'other=1; Path=/');
+	await new Promise((resolve) => setTimeout(resolve, 2100));
+
+	const { cookieTrace } = await send(plugin, APP_URL);
+
+	assertEqual(summarize(cookieTrace), ['session sent', 'admin path', 'promo expired', 'other domain'], 'Should explain every cookie');
+	assertEqual(cookieTrace.url, APP_URL, 'Should carry the URL');
+	assertEqual(cookieTrace.cookies[1].detail, 'path /admin does not cover the request path /', 'Should spell out the reason');
+	assertEqual(cookieTrace.cookies[3].detail, 'host-only cookie of other.example, the request host is app.example', 'Should name both hosts');
+});
+
+suite.test('Should explain Secure and SameSite withholding', async () => {
+	const plugin = createTracingPlugin();
+
+	await receive(plugin, APP_URL, ['sid=1; Path=/; Secure', 'pref=1; Path=/; SameSite=Lax', 'open=1; Path=/']);
+
+	const { cookieTrace } = await send(plugin, 'http://app.example/', { cookies: { site: 'https://shop.example' } });
+
+	assertEqual(summarize(cookieTrace), ['sid secure', 'pref same-site', 'open sent'], 'Should explain the withheld cookies');
+	assertEqual(cookieTrace.sameSiteContext, 'none', 'Should carry the SameSite context');
+	assertEqual(cookieTrace.cookies[1].detail, 'SameSite=Lax cookie on a cross-site request', 'Should name the SameSite rule');
+});
+
+suite.test('Should report the plugin\'s own decisions', async () => {
+	const plugin = createTracingPlugin({
+		denyDomains: ['ads.app.example'],
+		policies: [{ name: 'no-debug', on: 'send', match: { name: 'debug' }, action: 'reject' }]
+	});
+
+	await receive(plugin, APP_URL, ['session=1; Path=/', 'theme=dark; Path=/', 'debug=1; Path=/', 'shared=1; Domain=app.example; Path=/']);
+
+	const { cookieTrace } = await send(plugin, APP_URL, { headers: { Cookie: 'theme=light' } });
+	assertEqual(summarize(cookieTrace), ['session sent', 'theme overridden', 'debug policy', 'shared sent'], 'Should report overrides and policies');
+	assertEqual(cookieTrace.cookies[2].detail, 'rejected by policy "no-debug"', 'Should name the rule');
+
+	const blocked = (await send(plugin, 'https://ads.app.example/')).cookieTrace;
+	assertEqual(summarize(blocked), ['session domain', 'theme domain', 'debug domain', 'shared blocked'], 'Should report blocked hosts');
+});
+
+suite.test('Should trace partitioned cookies of other sites', async () => {
+	const plugin = createTracingPlugin({ site: 'https://news.example' });
+
+	const context = await send(plugin, 'https://widget.example/');
+	await receive(plugin, 'https://widget.example/', 'w=1; Path=/; Secure; SameSite=None; Partitioned', context.req);
+
+	const sameSite = (await send(plugin, 'https://widget.example/')).cookieTrace;
+	assertEqual(summarize(sameSite), ['w sent'], 'Should send it under its partition');
+	assertEqual(sameSite.cookies[0].partition, 'https://news.example', 'Should carry the partition key');
+
+	const otherSite = (await send(plugin, 'https://widget.example/', { cookies: { site: 'https://shop.example' } })).cookieTrace;
+	assertEqual(summarize(otherSite), ['w partition'], 'Should withhold it under another site');
+});
+
+suite.test('Should be switched on and off per request', async () => {
+	const { plugin } = createPlugin();
+	await receive(plugin, APP_URL, 'session=1; Path=/');
+
+	assertEqual((await send(plugin, APP_URL)).cookieTrace, undefined, 'Should not trace by default');
+
+	const traced = await send(plugin, APP_URL, { cookies: { trace: true, send: false } });
+	assertEqual(summarize(traced.cookieTrace), ['session disabled'], 'Should trace when the request asks');
+	assertEqual(traced.req.headers.Cookie, undefined, 'Should still not send');
+
+	await assertThrows(async () => send(plugin, APP_URL, { cookies: { trace: 'yes' } }), 'INVALID_OPTIONS', 'Should validate the request option');
+	await assertThrows(async () => cookieJarPlugin({ trace: 1 }), 'INVALID_OPTIONS', 'Should validate the plugin option');
+});
+
+suite.test('Should format the trace as a table', async () => {
+	const plugin = createTracingPlugin();
+	await receive(plugin, APP_URL, ['session=1; Path=/', 'admin=1; Path=/admin']);
+
+	const table = formatCookieTrace((await send(plugin, APP_URL)).cookieTrace);
+
+	assertEqual(table.split('\n'), [
+		'Cookies for https://app.example/',
+		'Name     Domain       Path    Sent  Reason',
+		'session  app.example  /       yes',
+		'admin    app.example  /admin  no    path: path /admin does not cover the request path /'
+	], 'Should align the columns');
+	assertEqual(formatCookieTrace({ url: APP_URL, site: null, sameSiteContext: null, cookies: [] }), 'Cookies for https://app.example/\n(the jar is empty)', 'Should show an empty jar');
+});
+
+suite.test('Should log traces through a client', async () => {
+	const traces = [];
+	const logger = { debug: (fields) => fields.cookieTrace && traces.push(fields.cookieTrace) };
+	const client = createLuminara({ baseURL: BASE_URL, plugins: [cookieJarPlugin({ trace: true, logger })] });
+
+	await client.get('/set-cookie');
+	await client.get('/echo-cookies');
+
+	assertEqual(traces.length, 2, 'Should log one trace per request');
+	assertEqual(traces[0].cookies.length, 0, 'Should start with an empty jar');
+	assert(traces[1].cookies.every((entry) => entry.sent), 'Should send every stored cookie');
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Cookie Trace', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
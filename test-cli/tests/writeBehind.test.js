@@ -0,0 +1,158 @@
+import { TestSuite, MockServer, assert, assertEqual, assertThrows, sleep } from '../testUtils.js';
+import { runTestSuiteIfDirect } from '../runTestSuite.js';
+import { createLuminara } from 'luminara';
+import { cookieJarPlugin, FileCookieStore } from '../../src/index.js';
+import { CookieJar } from 'tough-cookie';
+import { spawnSync } from 'node:child_process';
+import { access, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+// Create test suite and mock server with unique port
+const suite = new TestSuite('Write-Behind Persistence');
+const mockServer = new MockServer(4213);
+const BASE_URL = `http://localhost:${mockServer.port}`;
+
+const STORE_MODULE = new URL('../../src/fileCookieStore.js', import.meta.url).href;
+
+async function createTempPath() {
+	const dir = await mkdtemp(join(tmpdir(), 'luminara-cookie-jar-'));
+
+	return join(dir, 'cookies.json');
+}
+
+async function readCookieNames(path) {
+	const data = JSON.parse(await readFile(path, 'utf8'));
+
+	return data.cookies.map((cookie) => cookie.key);
+}
+
+function fileExists(path) {
+	return access(path).then(() => true, () => false);
+}
+
+/**
+ * Runs a child process that stores one cookie with a long write-behind delay,
+ * then runs `ending` to shut the process down.
+ */
+function runChild(path, ending) {
+	const script = `
+		import { FileCookieStore } from '${STORE_MODULE}';
+		import { CookieJar } from 'tough-cookie';
+		const store = new FileCookieStore(${JSON.stringify(path)}, { writeBehind: { delay: 60000 } });
+		const jar = new CookieJar(store);
+		await store.load();
+		await jar.setCookie('session=pending', 'http://localhost/');
+		${ending}
+	`;
+
+	return spawnSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 });
+}
+
+suite.test('Should batch changes until the debounce delay passes', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path, writeBehind: { delay: 200 } } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.get('/set-custom-cookie?name=extra&value=1');
+	assert(!(await fileExists(path)), 'Should not write while changes keep arriving');
+	assert(client.jar.store.pendingChanges > 0, 'Should count pending changes');
+
+	await sleep(400);
+	const names = await readCookieNames(path);
+	assert(names.includes('session') && names.includes('extra'), 'Should write all batched changes at once');
+	assertEqual(client.jar.store.pendingChanges, 0, 'Should have no pending changes after the write');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should write as soon as the size threshold is reached', async () => {
+	const path = await createTempPath();
+	const store = new FileCookieStore(path, { writeBehind: { delay: 60000, maxPending: 3 } });
+	const jar = new CookieJar(store);
+	await store.load();
+
+	await jar.setCookie('a=1', BASE_URL);
+	await jar.setCookie('b=2', BASE_URL);
+	await sleep(50);
+	assert(!(await fileExists(path)), 'Should wait below the threshold');
+
+	await jar.setCookie('c=3', BASE_URL);
+	await sleep(50);
+	assertEqual(await readCookieNames(path), ['a', 'b', 'c'], 'Should write once maxPending changes are waiting');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should write pending changes on flush()', async () => {
+	const path = await createTempPath();
+	const client = createLuminara({
+		baseURL: BASE_URL,
+		plugins: [cookieJarPlugin({ persist: { path, writeBehind: true } })]
+	});
+
+	await client.get('/set-cookie');
+	await client.jar.store.flush();
+
+	assert((await readCookieNames(path)).includes('session'), 'Should write without waiting for the delay');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should flush pending changes on beforeExit', async () => {
+	const path = await createTempPath();
+	const result = runChild(path, '');
+
+	assertEqual(result.status, 0, `Child should exit cleanly: ${result.stderr}`);
+	assertEqual(await readCookieNames(path), ['session'], 'Should write before the process exits');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should flush pending changes on SIGTERM and still terminate', async () => {
+	const path = await createTempPath();
+	const result = runChild(path, 'setInterval(() => {}, 1000);\n\t\tprocess.kill(process.pid, \'SIGTERM\');');
+
+	assertEqual(result.signal, 'SIGTERM', 'Should terminate with SIGTERM after flushing');
+	assertEqual(await readCookieNames(path), ['session'], 'Should write before terminating');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should only listen for shutdown while changes are pending', async () => {
+	const path = await createTempPath();
+	const listeners = process.listenerCount('SIGTERM');
+	const store = new FileCookieStore(path, { writeBehind: { delay: 60000 } });
+	const jar = new CookieJar(store);
+	await store.load();
+
+	await jar.setCookie('a=1', BASE_URL);
+	assertEqual(process.listenerCount('SIGTERM'), listeners + 1, 'Should listen while changes are pending');
+
+	await store.flush();
+	assertEqual(process.listenerCount('SIGTERM'), listeners, 'Should stop listening once flushed');
+
+	await rm(dirname(path), { recursive: true, force: true });
+});
+
+suite.test('Should reject invalid write-behind options', async () => {
+	await assertThrows(
+		async () => new FileCookieStore('cookies.json', { writeBehind: { maxPending: 0 } }),
+		'INVALID_OPTIONS',
+		'Should validate maxPending'
+	);
+	await assertThrows(
+		async () => new FileCookieStore('cookies.json', { writeBehind: { delay: -1 } }),
+		'INVALID_OPTIONS',
+		'Should validate delay'
+	);
+});
+
+// Enable direct execution of this test file
+await runTestSuiteIfDirect(import.meta.url, 'Write-Behind Persistence', suite, mockServer);
+
+// Export for test runner
+export { suite, mockServer };
@@ -1,5 +1,877 @@
 // types/index.d.ts
-import { CookieJar } from 'tough-cookie';
+import { Cookie, CookieJar, MemoryCookieStore, Store } from 'tough-cookie';
+
+/**
+ * 32 bytes of key material. Strings are read as hex (64 characters) or base64.
+ */
+export type CookieKey = Uint8Array | string;
+
+export type CookieKeySource = CookieKey | (() => CookieKey | Promise<CookieKey>);
+
+export interface CookieEncryptionOptions {
+	/**
+	 * Key (or key provider) used to encrypt, and tried first when decrypting.
+	 */
+	key: CookieKeySource;
+	/**
+	 * Retired keys still accepted for decryption. Files read with one of
+	 * these are re-encrypted with `key`.
+	 */
+	previousKeys?: CookieKeySource[] | (() => CookieKey[] | Promise<CookieKey[]>);
+}
+
+export interface WriteBehindOptions {
+	/**
+	 * Milliseconds without changes before pending changes are written.
+	 * @default 1000
+	 */
+	delay?: number;
+	/**
+	 * Number of pending changes that triggers a write without waiting for the delay.
+	 * @default 100
+	 */
+	maxPending?: number;
+}
+
+/**
+ * Logger receiving the plugin's messages, pino-style: `logger.warn(fields, message)`.
+ * Levels the logger lacks are skipped. Cookie values in fields are redacted.
+ */
+export interface CookieLogger {
+	/**
+	 * Cookies stored, updated, deleted, expired and sent.
+	 */
+	debug?: (fields: Record<string, unknown>, message: string) => void;
+	info?: (fields: Record<string, unknown>, message: string) => void;
+	/**
+	 * Rejected cookies, prefix violations and failed imports.
+	 */
+	warn?: (fields: Record<string, unknown>, message: string) => void;
+	/**
+	 * Cookies that could not be loaded or persisted.
+	 */
+	error?: (fields: Record<string, unknown>, message: string) => void;
+}
+
+/**
+ * Replaces the value of a Set-Cookie header with `[redacted]`, keeping its name and attributes.
+ * With `request: true`, redacts every pair of a Cookie request header instead.
+ */
+export function redactCookie(header: string, options?: { request?: boolean }): string;
+
+export interface CookieImportOptions {
+	/**
+	 * Where cookies that fail to import are reported. Defaults to the console; `false` silences it.
+	 */
+	logger?: CookieLogger | false;
+}
+
+export interface FileCookieStoreOptions {
+	/**
+	 * File mode used when writing the cookie file.
+	 * @default 0o600
+	 */
+	mode?: number;
+	/**
+	 * Encrypt the cookie file at rest with AES-256-GCM.
+	 */
+	encryption?: CookieEncryptionOptions;
+	/**
+	 * Batch changes instead of writing after each one. `true` uses the defaults.
+	 * @default false
+	 */
+	writeBehind?: boolean | WriteBehindOptions;
+	/**
+	 * Write pending changes on `beforeExit` and SIGTERM.
+	 * @default true
+	 */
+	flushOnExit?: boolean;
+	/**
+	 * Where background write failures are reported. Defaults to the console; `false` silences it.
+	 */
+	logger?: CookieLogger | false;
+}
+
+export interface CookieJarPersistOptions extends FileCookieStoreOptions {
+	/**
+	 * JSON file the jar is loaded from and written back to.
+	 */
+	path: string;
+}
+
+export interface SerializedCookieFile {
+	cookies: Record<string, unknown>[];
+	/**
+	 * Partitioned cookies, by partition key.
+	 */
+	partitions?: Record<string, Record<string, unknown>[]>;
+}
+
+/**
+ * tough-cookie store that mirrors the jar to a JSON file.
+ * Writes are atomic (temporary file + rename).
+ */
+export class FileCookieStore extends MemoryCookieStore {
+	constructor(path: string, options?: FileCookieStoreOptions);
+	readonly path: string;
+	readonly mode: number;
+	readonly encryption: CookieEncryptionOptions | null;
+	readonly writeBehind: Required<WriteBehindOptions> | null;
+	readonly flushOnExit: boolean;
+	/**
+	 * Logger the store reports background write failures to, with redacted fields.
+	 */
+	readonly logger: Required<CookieLogger>;
+	/**
+	 * Number of changes not yet written to disk.
+	 */
+	readonly pendingChanges: number;
+	/**
+	 * Reads the cookie file into memory. The file is only read once.
+	 */
+	load(): Promise<void>;
+	/**
+	 * Writes pending changes now and resolves once every change has been written to disk.
+	 */
+	flush(): Promise<void>;
+	serializeCookies(): SerializedCookieFile;
+	restoreCookies(data: Partial<SerializedCookieFile>): void;
+	/**
+	 * Store of a partition's cookies, written to the same file.
+	 */
+	partitionStore(partitionKey: string): MemoryCookieStore;
+	/**
+	 * Partition keys with stored cookies, once the file is loaded.
+	 */
+	listPartitionKeys(): Promise<string[]>;
+}
+
+export type CookieJarErrorCode =
+	| 'INVALID_OPTIONS'
+	| 'INVALID_COOKIE_KEY'
+	| 'COOKIE_KEY_MISMATCH'
+	| 'COOKIE_FILE_ENCRYPTED'
+	| 'COOKIE_FILE_NOT_ENCRYPTED'
+	| 'COOKIE_FILE_CORRUPT'
+	| 'COOKIE_FILE_UNSUPPORTED'
+	| 'TOO_MANY_REDIRECTS';
+
+export class CookieJarError extends Error {
+	constructor(message: string, code: CookieJarErrorCode | string);
+	code: CookieJarErrorCode | string;
+}
+
+/**
+ * Generates a random 32 byte key for `encryption.key`.
+ */
+export function generateCookieKey(): Uint8Array;
+
+/**
+ * Parses Netscape cookies.txt content. Comments, malformed lines and expired cookies are skipped.
+ */
+export function parseNetscape(text: string): Cookie[];
+
+/**
+ * Formats cookies as Netscape cookies.txt content.
+ */
+export function formatNetscape(cookies: Cookie[]): string;
+
+/**
+ * Imports Netscape cookies.txt content into a jar and returns the stored cookies.
+ */
+export function importNetscape(jar: CookieJar, text: string, options?: CookieImportOptions): Promise<Cookie[]>;
+
+/**
+ * Exports every unexpired cookie in a jar as Netscape cookies.txt content.
+ * Partitioned cookies are left out and reported as a warning on `options.logger`.
+ */
+export function exportNetscape(jar: CookieJar, options?: { logger?: CookieLogger | false }): Promise<string>;
+
+/**
+ * Cookie in the Playwright storageState / Puppeteer `page.cookies()` shape.
+ */
+export interface BrowserCookie {
+	name: string;
+	value: string;
+	/**
+	 * A leading dot marks a domain (non host-only) cookie.
+	 */
+	domain: string;
+	path?: string;
+	/**
+	 * Seconds since epoch, `-1` for session cookies.
+	 */
+	expires?: number;
+	httpOnly?: boolean;
+	secure?: boolean;
+	sameSite?: 'Strict' | 'Lax' | 'None';
+	/**
+	 * Top-level site of a partitioned (CHIPS) cookie. Exports use the string form; imports also accept Puppeteer's `{ sourceOrigin }`.
+	 */
+	partitionKey?: string | { sourceOrigin: string };
+}
+
+export interface StorageState {
+	cookies: BrowserCookie[];
+	origins: Array<Record<string, unknown>>;
+}
+
+export function fromBrowserCookie(cookie: BrowserCookie): Cookie;
+
+export function toBrowserCookie(cookie: Cookie, options?: { defaultSameSite?: 'Strict' | 'Lax' | 'None'; partitionKey?: string }): BrowserCookie;
+
+/**
+ * Imports the cookies of a Playwright storageState (object or JSON text) into a jar.
+ * Cookies with a `partitionKey` go to that partition.
+ */
+export function importStorageState(jar: CookieJar, state: StorageState | string, options?: CookieImportOptions): Promise<Cookie[]>;
+
+/**
+ * Exports the jar as a Playwright storageState. Unspecified sameSite is exported as `Lax`;
+ * partitioned cookies carry their `partitionKey`.
+ */
+export function exportStorageState(jar: CookieJar, options?: { origins?: StorageState['origins'] }): Promise<StorageState>;
+
+/**
+ * Imports Puppeteer `page.cookies()` output into a jar.
+ */
+export function importPuppeteerCookies(jar: CookieJar, cookies: BrowserCookie[], options?: CookieImportOptions): Promise<Cookie[]>;
+
+/**
+ * Exports cookies for Puppeteer `page.setCookie(...cookies)`. Partitioned cookies carry their `partitionKey`.
+ */
+export function exportPuppeteerCookies(jar: CookieJar): Promise<BrowserCookie[]>;
+
+export interface HarCookie {
+	name: string;
+	value: string;
+	path?: string;
+	domain?: string;
+	/**
+	 * ISO 8601 date.
+	 */
+	expires?: string;
+	httpOnly?: boolean;
+	secure?: boolean;
+	sameSite?: string;
+}
+
+export interface HarImportResult {
+	/**
+	 * Cookies stored from Set-Cookie responses.
+	 */
+	stored: Cookie[];
+	/**
+	 * Cookies that were sent in requests before any response set them.
+	 */
+	seeded: Cookie[];
+}
+
+export interface HarExchange {
+	startedAt: number;
+	method: string;
+	url: string;
+	cookieHeader: string;
+	status?: number;
+	statusText?: string;
+	setCookies: string[];
+}
+
+export interface HarRecorder {
+	readonly entries: Array<Record<string, any>>;
+	record(exchange: HarExchange): void;
+	/**
+	 * Returns a HAR 1.2 document with the recorded entries.
+	 */
+	toHar(): { log: { version: string; creator: { name: string; version: string }; entries: Array<Record<string, any>> } };
+	clear(): void;
+}
+
+/**
+ * Replays the cookies of a HAR log (object or JSON text) into a jar, in entry order.
+ */
+export function importHar(jar: CookieJar, har: object | string, options?: CookieImportOptions): Promise<HarImportResult>;
+
+/**
+ * Creates a recorder for the plugin's `har` option.
+ */
+export function createHarRecorder(): HarRecorder;
+
+export function toHarCookie(cookie: Cookie): HarCookie;
+
+export function parseCookieHeader(header: string): HarCookie[];
+
+export interface CookieJarSeedOptions {
+	/**
+	 * Path of a Netscape cookies.txt file imported when the plugin attaches.
+	 */
+	netscape?: string;
+	/**
+	 * Path of a Playwright storageState JSON file imported when the plugin attaches.
+	 */
+	storageState?: string;
+	/**
+	 * Path of a HAR file whose cookie traffic is replayed into the jar when the plugin attaches.
+	 */
+	har?: string;
+}
+
+export interface CookieAdapterKey {
+	/**
+	 * Canonical cookie domain (no leading dot).
+	 */
+	domain: string;
+	path: string;
+	name: string;
+	/**
+	 * Partition key of a partitioned (CHIPS) cookie; absent for other cookies. Part of the cookie's identity.
+	 */
+	partitionKey?: string;
+}
+
+export interface CookieAdapterFilter {
+	/**
+	 * Only cookies with exactly this domain.
+	 */
+	domain?: string;
+	/**
+	 * Only cookies with exactly this path.
+	 */
+	path?: string;
+	/**
+	 * Only cookies of this partition; `null` for unpartitioned cookies only. Omitted matches both.
+	 */
+	partitionKey?: string | null;
+}
+
+/**
+ * Minimal async storage contract. Cookies cross the boundary as plain JSON objects (`cookie.toJSON()`).
+ */
+export interface CookieStoreAdapter {
+	get(key: CookieAdapterKey): Promise<Record<string, unknown> | null | undefined>;
+	set(key: CookieAdapterKey, cookie: Record<string, unknown>): Promise<void>;
+	/**
+	 * Missing keys are ignored.
+	 */
+	delete(key: CookieAdapterKey): Promise<void>;
+	/**
+	 * Returns every cookie when no filter is given.
+	 */
+	list(filter?: CookieAdapterFilter): Promise<Array<Record<string, unknown>>>;
+}
+
+/**
+ * tough-cookie Store backed by a CookieStoreAdapter.
+ */
+export class AdapterCookieStore extends Store {
+	constructor(adapter: CookieStoreAdapter);
+	readonly adapter: CookieStoreAdapter;
+	/**
+	 * Store of a partition's cookies, kept in the same adapter with a `partitionKey` in their keys and JSON.
+	 */
+	partitionStore(partitionKey: string): AdapterCookieStore;
+	/**
+	 * Partition keys the adapter holds cookies under.
+	 */
+	listPartitionKeys(): Promise<string[]>;
+}
+
+/**
+ * In-memory reference adapter.
+ */
+export function createMemoryAdapter(): CookieStoreAdapter;
+
+export interface AdapterConformanceCase {
+	description: string;
+	run(): Promise<void>;
+}
+
+/**
+ * Conformance cases for an adapter factory; each case gets a fresh adapter.
+ */
+export function adapterConformanceTests(createAdapter: () => CookieStoreAdapter | Promise<CookieStoreAdapter>): AdapterConformanceCase[];
+
+export function runAdapterConformance(createAdapter: () => CookieStoreAdapter | Promise<CookieStoreAdapter>): Promise<{
+	passed: number;
+	failed: number;
+	results: Array<{ description: string; error?: Error }>;
+}>;
+
+/**
+ * How a cookie name present in both a manual Cookie header and the jar is resolved.
+ */
+export type CookieMergeStrategy = 'manual-wins' | 'jar-wins' | 'both';
+
+/**
+ * Merges a manual Cookie header with the jar's cookie string, resolving names set in both.
+ */
+export function mergeCookieHeader(manualHeader: string, jarHeader: string, strategy?: CookieMergeStrategy): string;
+
+/**
+ * Per-request cookie controls, passed as the `cookies` request option.
+ * `false` is short for `{ send: false, store: false }`.
+ */
+export interface RequestCookieOptions {
+	/**
+	 * Add the jar's cookies to this request.
+	 * @default true
+	 */
+	send?: boolean;
+	/**
+	 * Store the cookies this response sets.
+	 * @default true
+	 */
+	store?: boolean;
+	/**
+	 * Use this jar instead of the plugin's jar for this request.
+	 */
+	jar?: CookieJar;
+	/**
+	 * Top-level site this request is made for (URL or host), overriding the plugin's `site` option.
+	 */
+	site?: string;
+	/**
+	 * Whether this request is a top-level navigation; cross-site GET/HEAD navigations send
+	 * SameSite=Lax cookies.
+	 * @default false
+	 */
+	navigation?: boolean;
+	/**
+	 * Record a cookie trace for this request, overriding the plugin's `trace` option.
+	 */
+	trace?: boolean;
+}
+
+/**
+ * SameSite context of a request, as `context.sameSite`.
+ */
+export interface SameSiteDecision {
+	/**
+	 * Top-level site the request was made for.
+	 */
+	site: string;
+	url: string;
+	/**
+	 * Whether the request leaves the top-level site.
+	 */
+	crossSite: boolean;
+	/**
+	 * Context passed to tough-cookie: `strict` sends and accepts every cookie, `lax` skips
+	 * SameSite=Strict cookies, `none` only sends and accepts SameSite=None (and unspecified) cookies.
+	 */
+	sameSiteContext: 'strict' | 'lax' | 'none';
+}
+
+/**
+ * Decides the SameSite context of a request. Sites compare by scheme and registrable domain.
+ * Returns null without a site.
+ */
+export function getSameSiteDecision(
+	url: string,
+	site?: string,
+	options?: { method?: string; navigation?: boolean }
+): SameSiteDecision | null;
+
+/**
+ * Why a cookie was not sent with a request.
+ */
+export type CookieTraceReason =
+	| 'expired'
+	| 'domain'
+	| 'path'
+	| 'secure'
+	| 'same-site'
+	| 'partition'
+	| 'blocked'
+	| 'policy'
+	| 'overridden'
+	| 'disabled'
+	| 'unmatched';
+
+export interface CookieTraceEntry {
+	name: string;
+	domain: string;
+	path: string;
+	/**
+	 * Partition key, for partitioned cookies.
+	 */
+	partition?: string;
+	sent: boolean;
+	reason: CookieTraceReason | null;
+	/**
+	 * The reason, spelled out.
+	 */
+	detail: string | null;
+}
+
+/**
+ * Every cookie in the jar and whether a request sent it, set as `context.cookieTrace`.
+ */
+export interface CookieTrace {
+	url: string;
+	site: string | null;
+	sameSiteContext: 'strict' | 'lax' | 'none' | null;
+	cookies: CookieTraceEntry[];
+}
+
+/**
+ * Formats a cookie trace as a text table, one row per cookie.
+ */
+export function formatCookieTrace(trace: CookieTrace): string;
+
+/**
+ * A Set-Cookie header of a response, as `response.cookies[i]`.
+ * Accepted cookies describe the cookie as stored; the others describe the header as sent by the server.
+ */
+export interface ResponseCookie {
+	name: string;
+	value: string;
+	domain: string | null;
+	path: string | null;
+	expires: Date | null;
+	/**
+	 * Max-Age attribute, in seconds.
+	 */
+	maxAge: number | null;
+	secure: boolean;
+	httpOnly: boolean;
+	sameSite: 'strict' | 'lax' | 'none' | null;
+	partitioned: boolean;
+	/**
+	 * Whether the jar stored it (a cookie dated in the past deletes the stored one).
+	 */
+	accepted: boolean;
+	/**
+	 * Why it was not stored.
+	 */
+	reason: string | null;
+	/**
+	 * The Set-Cookie header.
+	 */
+	setCookie: string;
+}
+
+/**
+ * A cookie of a request's Cookie header, as `context.sentCookies[i]` and `response.sentCookies[i]`.
+ */
+export interface SentCookie {
+	name: string;
+	value: string;
+	/**
+	 * Whether it came from the jar or the request's own Cookie header.
+	 */
+	source: 'jar' | 'manual';
+	domain?: string;
+	path?: string;
+}
+
+/**
+ * Fields the plugin sets on every response it handles, including the one `client.get()` resolves to.
+ */
+export interface CookieResponseFields {
+	/**
+	 * The response's Set-Cookie headers and whether the jar stored them.
+	 */
+	cookies: ResponseCookie[];
+	/**
+	 * The Cookie header the response's request was sent with; after followed redirects, the final hop's.
+	 */
+	sentCookies: SentCookie[];
+}
+
+/**
+ * One request of a redirect chain followed by the plugin.
+ */
+export interface RedirectHop {
+	method: string;
+	url: string;
+	/**
+	 * Cookie header sent with the request.
+	 */
+	cookieHeader: string;
+	status: number;
+	statusText?: string;
+	/**
+	 * Absolute redirect target, for 3xx responses.
+	 */
+	location?: string;
+	/**
+	 * Set-Cookie headers of the response.
+	 */
+	setCookies: string[];
+	/**
+	 * Request start time (ms since epoch).
+	 */
+	startedAt: number;
+}
+
+export interface RedirectOptions {
+	/**
+	 * Maximum number of redirects before the request fails with TOO_MANY_REDIRECTS.
+	 * @default 20
+	 */
+	max?: number;
+	/**
+	 * Called for every request of a followed chain, starting with the one that was redirected.
+	 */
+	onRedirect?: (hop: RedirectHop) => void;
+	/**
+	 * fetch implementation used for the follow-up requests. The Response it returns for the
+	 * final hop replaces the 3xx response as `context.res`.
+	 * @default globalThis.fetch
+	 */
+	fetch?: typeof fetch;
+}
+
+/**
+ * Host matcher: an exact host (`localhost`), a subdomain wildcard (`*.test`) or a RegExp.
+ */
+export type HostPattern = string | RegExp;
+
+export interface CookieRejection {
+	/**
+	 * Whether the cookie was not stored or not sent.
+	 */
+	action: 'store' | 'send';
+	url: string;
+	name: string;
+	/**
+	 * The Set-Cookie header (store) or the stored cookie (send).
+	 */
+	cookie: string;
+	reason: string;
+	/**
+	 * Name of the policy rule that rejected it.
+	 */
+	rule?: string;
+}
+
+export interface CookieLimits {
+	/**
+	 * Cookies kept per domain attribute.
+	 * @default 180
+	 */
+	maxCookiesPerDomain?: number;
+	/**
+	 * Cookies kept in the jar.
+	 * @default 3000
+	 */
+	maxCookies?: number;
+	/**
+	 * Largest accepted cookie, counting name and value bytes.
+	 * @default 4096
+	 */
+	maxCookieBytes?: number;
+	/**
+	 * Called with the cookies evicted after a response.
+	 */
+	onEvict?: (evictions: CookieEviction[]) => void;
+}
+
+export interface CookieEviction {
+	name: string;
+	domain: string;
+	path: string;
+	/**
+	 * Partition key, for partitioned cookies.
+	 */
+	partition?: string;
+	reason: 'expired' | 'domain-limit' | 'total-limit';
+	/**
+	 * The evicted cookie, serialized.
+	 */
+	cookie: string;
+	/**
+	 * When the cookie was last stored or sent.
+	 */
+	lastAccessed: Date | null;
+}
+
+export const DEFAULT_COOKIE_LIMITS: Readonly<Required<Omit<CookieLimits, 'onEvict'>>>;
+
+/**
+ * Evicts expired, then over-quota cookies (least recently used first) until the jar is within its limits. Reads the whole jar.
+ */
+export function enforceCookieLimits(
+	jar: CookieJar,
+	limits?: CookieLimits,
+	onEvicted?: (cookie: Cookie, eviction: CookieEviction) => void
+): Promise<CookieEviction[]>;
+
+/**
+ * Partitioned (CHIPS) cookie access added to the plugin's jar. The jar's `removeAllCookies()`
+ * empties its partitions too.
+ */
+export interface JarPartitionMethods {
+	/**
+	 * Jar holding the partitioned cookies set under a top-level site, if any.
+	 */
+	partition(site: string): CookieJar | undefined;
+	/**
+	 * Partition keys (scheme and registrable domain) with stored cookies.
+	 */
+	partitionKeys(): string[];
+}
+
+export interface CookiePolicyDetails {
+	action: 'store' | 'send';
+	url: string;
+	/**
+	 * Whether the request is cross-site relative to the top-level site.
+	 */
+	thirdParty: boolean;
+}
+
+export interface CookiePolicyMatch {
+	/**
+	 * Cookie name; `*` in a string matches any characters.
+	 */
+	name?: string | RegExp;
+	/**
+	 * Request host.
+	 */
+	host?: HostPattern | HostPattern[];
+	thirdParty?: boolean;
+	httpOnly?: boolean;
+	secure?: boolean;
+	/**
+	 * Whether the cookie has neither Expires nor Max-Age.
+	 */
+	session?: boolean;
+	/**
+	 * Matches cookies whose name and value exceed this many bytes.
+	 */
+	largerThan?: number;
+}
+
+export interface CookiePolicyRewrite {
+	/**
+	 * Caps the cookie lifetime in seconds; session cookies are left alone.
+	 */
+	maxAge?: number;
+	secure?: boolean;
+	httpOnly?: boolean;
+	sameSite?: 'strict' | 'lax' | 'none';
+	path?: string;
+}
+
+export interface CookiePolicyRule {
+	/**
+	 * Name recorded in matches and rejections.
+	 * @default 'policies[<index>]'
+	 */
+	name?: string;
+	/**
+	 * @default 'both'
+	 */
+	on?: 'store' | 'send' | 'both';
+	match?: CookiePolicyMatch | ((cookie: Cookie, details: CookiePolicyDetails) => boolean);
+	action: 'accept' | 'reject' | 'rewrite';
+	rewrite?: CookiePolicyRewrite | ((cookie: Cookie, details: CookiePolicyDetails) => Cookie | void);
+}
+
+export interface CookiePolicyMatchRecord {
+	rule: string;
+	action: 'accept' | 'reject' | 'rewrite';
+	direction: 'store' | 'send';
+	url: string;
+	name: string;
+}
+
+export type CookieEventType =
+	| 'cookie:stored'
+	| 'cookie:updated'
+	| 'cookie:deleted'
+	| 'cookie:rejected'
+	| 'cookie:expired'
+	| 'cookie:sent';
+
+export const COOKIE_EVENTS: ReadonlyArray<CookieEventType>;
+
+export interface CookieEvent {
+	type: CookieEventType;
+	name: string;
+	/**
+	 * The cookie; for `cookie:rejected`, the Set-Cookie header (store) or the stored cookie (send) as a string.
+	 */
+	cookie: Cookie | string;
+	url: string;
+	/**
+	 * Luminara request context of the request involved.
+	 */
+	context: any;
+	/**
+	 * `cookie:updated`: the cookie that was replaced.
+	 */
+	previous?: Cookie;
+	/**
+	 * `cookie:rejected`: why; `cookie:deleted`: `'server'`, `'domain-limit'` or `'total-limit'`.
+	 */
+	reason?: string;
+	/**
+	 * `cookie:rejected`: whether the cookie was not stored or not sent.
+	 */
+	action?: 'store' | 'send';
+	/**
+	 * `cookie:rejected`: policy rule that rejected it.
+	 */
+	rule?: string;
+}
+
+/**
+ * Cookie event subscription, on the plugin and on its jar. Plugins sharing a jar share its events.
+ */
+export interface CookieEventMethods {
+	on(type: CookieEventType, listener: (event: CookieEvent) => void): this;
+	once(type: CookieEventType, listener: (event: CookieEvent) => void): this;
+	off(type: CookieEventType, listener: (event: CookieEvent) => void): this;
+}
+
+/**
+ * Metrics backend adapter. Each method is optional; measurements of a kind the sink lacks are skipped.
+ */
+export interface CookieMetricsSink {
+	increment?(name: string, value: number, tags: Record<string, string>): void;
+	gauge?(name: string, value: number, tags: Record<string, string>): void;
+	histogram?(name: string, value: number, tags: Record<string, string>): void;
+}
+
+export const COOKIE_METRICS: Readonly<{
+	sent: 'cookie_jar.cookies_sent';
+	headerBytes: 'cookie_jar.cookie_header_bytes';
+	accepted: 'cookie_jar.cookies_accepted';
+	rejected: 'cookie_jar.cookies_rejected';
+	evicted: 'cookie_jar.cookies_evicted';
+	jarSize: 'cookie_jar.jar_size';
+}>;
+
+export interface CookieDomainStats {
+	sent: number;
+	accepted: number;
+	rejected: number;
+	evicted: number;
+}
+
+export interface CookieStats {
+	/**
+	 * Requests and redirect hops the plugin built a Cookie header for.
+	 */
+	requests: number;
+	sent: number;
+	cookieHeaderBytes: number;
+	maxCookieHeaderBytes: number;
+	accepted: number;
+	rejected: number;
+	evicted: number;
+	/**
+	 * Cookies in the plugin's jar, partitions included.
+	 */
+	jarSize: number;
+	/**
+	 * Counts per cookie domain, or per request host for rejected cookies.
+	 */
+	domains: Record<string, CookieDomainStats>;
+}
 
 export interface CookieJarPluginOptions {
 	/**
@@ -7,6 +879,94 @@ export interface CookieJarPluginOptions {
 	 * If omitted, the plugin will create a new jar per client.
 	 */
 	jar?: CookieJar;
+	/**
+	 * Load the jar from a JSON file on attach and write changes back to it.
+	 * Cannot be combined with `jar` or `store`.
+	 */
+	persist?: CookieJarPersistOptions;
+	/**
+	 * Back the jar with an async get/set/delete/list adapter.
+	 * Cannot be combined with `jar` or `persist`.
+	 */
+	store?: CookieStoreAdapter;
+	/**
+	 * Cookies imported into the jar when the plugin attaches.
+	 */
+	seed?: CookieJarSeedOptions;
+	/**
+	 * Records the Cookie/Set-Cookie traffic of every request.
+	 */
+	har?: HarRecorder;
+	/**
+	 * Which cookie is sent when a manual Cookie header and the jar contain the same name.
+	 * @default 'manual-wins'
+	 */
+	mergeStrategy?: CookieMergeStrategy;
+	/**
+	 * Follow redirects in the plugin, storing and sending cookies on every hop.
+	 */
+	redirects?: boolean | RedirectOptions;
+	/**
+	 * Top-level site requests are made for (URL or host), or a function of the request context
+	 * returning it. Enables SameSite enforcement and keys partitioned cookies.
+	 */
+	site?: string | ((context: any) => string | undefined | Promise<string | undefined>);
+	/**
+	 * Hosts whose plain-http requests may store and send Secure cookies: exact hosts,
+	 * `*.` wildcards or RegExps, or a predicate of the request URL.
+	 */
+	secureContexts?: HostPattern[] | ((url: URL) => boolean);
+	/**
+	 * Only requests to these hosts store and send cookies.
+	 */
+	allowDomains?: HostPattern[];
+	/**
+	 * Requests to these hosts never store or send cookies; wins over `allowDomains`.
+	 */
+	denyDomains?: HostPattern[];
+	/**
+	 * Called for every cookie that was not stored or sent. Defaults to a warning on `logger`.
+	 */
+	onCookieRejected?: (rejection: CookieRejection) => void;
+	/**
+	 * Cookie quotas with least-recently-used eviction. `true` uses {@link DEFAULT_COOKIE_LIMITS}.
+	 */
+	limits?: boolean | CookieLimits;
+	/**
+	 * Enforce `__Host-`/`__Secure-` prefix rules when storing: reject violations, or warn and
+	 * store them. `false` leaves it to the jar's `prefixSecurity`. `'warn'` with a `jar` requires
+	 * that jar to be created with `prefixSecurity: 'unsafe-disabled'`.
+	 * @default 'reject'
+	 */
+	cookiePrefixes?: 'reject' | 'warn' | false;
+	/**
+	 * Rules evaluated in order for every stored and sent cookie.
+	 */
+	policies?: CookiePolicyRule[];
+	/**
+	 * Called for every policy rule that matched a cookie, for auditing.
+	 */
+	onPolicyMatch?: (match: CookiePolicyMatchRecord) => void;
+	/**
+	 * Receives the plugin's log messages with structured fields and redacted cookie values.
+	 * Defaults to console warnings and errors; `false` silences it.
+	 */
+	logger?: CookieLogger | false;
+	/**
+	 * Receives cookie counters, gauges and histograms (see `COOKIE_METRICS`).
+	 */
+	metrics?: CookieMetricsSink;
+	/**
+	 * Record in `context.cookieTrace` whether each cookie in the jar was sent with a request, and why not.
+	 * @default false
+	 */
+	trace?: boolean;
+	/**
+	 * Failed responses whose Set-Cookie headers are stored: status classes (`'4xx'`)
+	 * or exact statuses (`401`). `false` ignores them.
+	 * @default ['4xx', '5xx']
+	 */
+	errorStatuses?: false | Array<`${1 | 2 | 3 | 4 | 5}xx` | number>;
 }
 
 export interface LuminaraPlugin {
@@ -17,7 +977,59 @@ export interface LuminaraPlugin {
 	_jar?: CookieJar | null;
 }
 
-export function cookieJarPlugin(options?: CookieJarPluginOptions): LuminaraPlugin;
+export function cookieJarPlugin(options?: CookieJarPluginOptions): LuminaraPlugin & CookieEventMethods & {
+	/**
+	 * Counts since the plugin was created or `resetStats()` was last called.
+	 */
+	stats(): Promise<CookieStats>;
+	resetStats(): void;
+};
+
+export interface JarSnapshot {
+	/**
+	 * Serialized cookies; partitioned cookies carry their partition key as `partition`.
+	 */
+	readonly cookies: ReadonlyArray<Readonly<Record<string, unknown>>>;
+}
+
+export interface CookieChange {
+	before: Readonly<Record<string, unknown>>;
+	after: Readonly<Record<string, unknown>>;
+	/**
+	 * Attributes that differ, e.g. `['value', 'expires']`.
+	 */
+	fields: string[];
+}
+
+export interface JarDiff {
+	added: Readonly<Record<string, unknown>>[];
+	removed: Readonly<Record<string, unknown>>[];
+	changed: CookieChange[];
+}
+
+/**
+ * Captures every unexpired cookie in the jar as a deeply frozen value.
+ */
+export function snapshotJar(jar: CookieJar): Promise<JarSnapshot>;
+
+/**
+ * Replaces the jar's contents with a snapshot.
+ */
+export function restoreJar(jar: CookieJar, snapshot: JarSnapshot): Promise<void>;
+
+/**
+ * Lists the cookies added, removed and changed between two snapshots.
+ */
+export function diffSnapshots(before: JarSnapshot, after: JarSnapshot): JarDiff;
+
+/**
+ * Snapshot helpers the plugin adds to its jar.
+ */
+export interface JarSnapshotMethods {
+	snapshot(): Promise<JarSnapshot>;
+	restore(snapshot: JarSnapshot): Promise<void>;
+	diff(before: JarSnapshot, after: JarSnapshot): JarDiff;
+}
 
 // Module augmentation for Luminara client
 declare module 'luminara' {
@@ -25,6 +1037,6 @@ declare module 'luminara' {
 		/**
 		 * Cookie jar attached by luminara-cookiejar plugin.
 		 */
-		jar?: CookieJar;
+		jar?: CookieJar & JarSnapshotMethods & JarPartitionMethods & CookieEventMethods;
 	}
 }